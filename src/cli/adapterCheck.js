@@ -0,0 +1,187 @@
+/**
+ * Adapter Check
+ * Renders a reference set of inputs through the browser and Node.js canvas
+ * adapters and verifies they produce pixel-identical images
+ *
+ * The browser side loads the core scripts as globals, in the order index.html
+ * lists them, so it covers the global-script path the web page runs. Both sides
+ * still draw with node-canvas (jsdom's canvas is node-canvas), so this does not
+ * catch differences in how a real browser rasterises the same drawing calls
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+const ContentAnalyzer = require('../core/contentAnalyzer');
+const SeedGenerator = require('../core/seedGenerator');
+const VisualGeneratorNode = require('../core/visualGeneratorNode');
+const StyleRegistry = require('../core/styles');
+const Symmetry = require('../core/symmetry');
+const PaletteGenerator = require('../core/palettes');
+const Filters = require('../core/filters');
+
+const INDEX_PATH = path.join(__dirname, '../../index.html');
+
+/**
+ * Built-in reference inputs, chosen to cover short, multi-paragraph and long content
+ */
+const REFERENCE_INPUTS = [
+    {
+        name: 'short',
+        content: 'A short note about tools.'
+    },
+    {
+        name: 'paragraphs',
+        content: 'First paragraph about writing.\n\nSecond paragraph about code and the shapes it leaves behind.\n\nThird paragraph, a little longer, about how small habits compound over a long career.'
+    },
+    {
+        name: 'long',
+        content: 'Generative art turns numbers into pictures. '.repeat(120)
+    }
+];
+
+class AdapterCheck {
+    /**
+     * @param {Logger} logger - Logger instance
+     * @param {number} size - Master size to render at (default: 1200)
+     */
+    constructor(logger, size = 1200) {
+        this.logger = logger;
+        this.size = size;
+    }
+
+    /**
+     * Get reference inputs, including the repository's sample content file
+     * @returns {Array<{name: string, content: string}>}
+     */
+    getReferenceInputs() {
+        const inputs = [...REFERENCE_INPUTS];
+        const samplePath = path.join(__dirname, '../../test-content.txt');
+
+        if (fs.existsSync(samplePath)) {
+            inputs.push({ name: 'test-content', content: fs.readFileSync(samplePath, 'utf-8') });
+        }
+
+        return inputs;
+    }
+
+    /**
+     * Parameter variants to check for every input: each style on its own,
+     * plus every symmetry mode and palette mode on the default style, a
+     * mirrored render at @2x, a fractal simplex contour and the full filter chain
+     * @returns {Array<{style: string, symmetry: string, paletteMode: string, scale?: number, noise?: Object, filters?: Array<string>}>}
+     */
+    getVariants() {
+        const variants = StyleRegistry.list().map(style => ({ style, symmetry: 'none', paletteMode: 'classic' }));
+
+        Symmetry.MODES
+            .filter(mode => mode !== 'none')
+            .forEach(symmetry => variants.push({ style: 'organic', symmetry, paletteMode: 'classic' }));
+
+        // Custom palettes come from the user's config, so only the built-in modes are checked
+        PaletteGenerator.MODES
+            .filter(mode => mode !== 'classic' && mode !== 'custom')
+            .forEach(paletteMode => variants.push({ style: 'organic', symmetry: 'none', paletteMode }));
+
+        // Scaled output goes through the scaled context, symmetry layer and texture blocks
+        variants.push({ style: 'organic', symmetry: 'mirror-x', paletteMode: 'classic', scale: 2 });
+
+        // Fractal simplex noise runs through the grid sampler and the 4D wrap
+        variants.push({ style: 'contour', symmetry: 'none', paletteMode: 'classic', noise: { type: 'simplex', fractal: 'ridged', octaves: 3 } });
+
+        // Every filter in turn, all working on the same pixels
+        variants.push({ style: 'organic', symmetry: 'none', paletteMode: 'classic', filters: Filters.TYPES });
+
+        return variants;
+    }
+
+    /**
+     * Load the core scripts into a jsdom window the way index.html does: as
+     * classic scripts sharing one global scope, in the order the page lists them
+     * The web-only scripts (src/web/) are left out; they need the page's DOM
+     * @param {JSDOM} dom - Window created with runScripts: 'outside-only'
+     * @returns {{VisualGenerator: Function, BrowserCanvasAdapter: Function}} The window's globals
+     */
+    loadBrowserScripts(dom) {
+        const html = fs.readFileSync(INDEX_PATH, 'utf-8');
+        const scripts = [...html.matchAll(/<script src="(src\/core\/[^"?]+)[^"]*"><\/script>/g)].map(match => match[1]);
+        const context = dom.getInternalVMContext();
+
+        scripts.forEach(script => {
+            const source = fs.readFileSync(path.join(path.dirname(INDEX_PATH), script), 'utf-8');
+            new vm.Script(source, { filename: script }).runInContext(context);
+        });
+
+        // Top-level classes of classic scripts are globals but not window properties
+        const globals = vm.runInContext(
+            'typeof VisualGenerator === "undefined" ? null : { VisualGenerator, BrowserCanvasAdapter }',
+            context
+        );
+        if (!globals) {
+            throw new Error(`${INDEX_PATH} does not load src/core/visualGenerator.js`);
+        }
+
+        return globals;
+    }
+
+    /**
+     * Render every reference input and variant through both adapters and compare
+     * @returns {{total: number, mismatched: number, results: Array<{name: string, differentPixels: number}>}}
+     */
+    run() {
+        const dom = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+        const browser = this.loadBrowserScripts(dom);
+        const browserAdapter = new browser.BrowserCanvasAdapter(dom.window.document);
+        const results = [];
+
+        for (const input of this.getReferenceInputs()) {
+            const metrics = new ContentAnalyzer(input.content).analyze();
+
+            for (const variant of this.getVariants()) {
+                const visualParams = { ...new SeedGenerator(metrics).generateVisualParams(), ...variant };
+
+                const browserCanvas = new browser.VisualGenerator(visualParams, this.size, this.size, browserAdapter)
+                    .generate().canvas;
+                const nodeCanvas = new VisualGeneratorNode(visualParams, this.size, this.size).generate();
+
+                const noise = variant.noise ? `+${variant.noise.type}-${variant.noise.fractal}` : '';
+                const filters = variant.filters ? '+filters' : '';
+                const name = `${input.name}/${variant.style}/${variant.symmetry}/${variant.paletteMode}${variant.scale ? `@${variant.scale}x` : ''}${noise}${filters}`;
+                const differentPixels = this.countDifferentPixels(browserCanvas, nodeCanvas);
+                results.push({ name, differentPixels });
+
+                if (differentPixels === 0) {
+                    this.logger.info(`Adapters match: ${name} (seed=${visualParams.seed})`);
+                } else {
+                    this.logger.error(`Adapter mismatch: ${name} has ${differentPixels} different pixel(s)`);
+                }
+            }
+        }
+
+        return {
+            total: results.length,
+            mismatched: results.filter(result => result.differentPixels > 0).length,
+            results
+        };
+    }
+
+    /**
+     * Count pixels that differ between two canvases of the same size
+     */
+    countDifferentPixels(canvasA, canvasB) {
+        const a = canvasA.getContext('2d').getImageData(0, 0, canvasA.width, canvasA.height).data;
+        const b = canvasB.getContext('2d').getImageData(0, 0, canvasB.width, canvasB.height).data;
+        let different = 0;
+
+        for (let i = 0; i < a.length; i += 4) {
+            if (a[i] !== b[i] || a[i + 1] !== b[i + 1] || a[i + 2] !== b[i + 2] || a[i + 3] !== b[i + 3]) {
+                different++;
+            }
+        }
+
+        return different;
+    }
+}
+
+module.exports = AdapterCheck;
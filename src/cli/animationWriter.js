@@ -0,0 +1,128 @@
+/**
+ * Animation Writer
+ * Collects the frames of one animated output and writes it as GIF, APNG,
+ * a directory of PNG frames, or MP4 through a local ffmpeg
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile, spawnSync } = require('child_process');
+const { promisify } = require('util');
+const Animation = require('../core/animation');
+const GifEncoder = require('./gifEncoder');
+const ApngEncoder = require('./apngEncoder');
+
+class AnimationWriter {
+    /**
+     * Check that an animation format can be written, before any frame is rendered
+     * @param {Object} settings - Settings from Animation.resolveSettings()
+     * @param {string} [ffmpeg='ffmpeg'] - ffmpeg executable for MP4 output
+     */
+    static checkSupport(settings, ffmpeg = 'ffmpeg') {
+        if (settings.format !== 'mp4') {
+            return;
+        }
+
+        const result = spawnSync(ffmpeg, ['-version'], { stdio: 'ignore' });
+        if (result.error || result.status !== 0) {
+            throw new Error(`MP4 output needs ffmpeg, but "${ffmpeg}" could not be run; install ffmpeg or set animation.ffmpeg to its path`);
+        }
+    }
+
+    /**
+     * @param {string} outputPath - Output file, or directory for the frames format
+     * @param {Object} settings - Settings from Animation.resolveSettings()
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {string} [ffmpeg='ffmpeg'] - ffmpeg executable for MP4 output
+     */
+    constructor(outputPath, settings, width, height, ffmpeg = 'ffmpeg') {
+        this.outputPath = outputPath;
+        this.settings = settings;
+        this.width = width;
+        this.height = height;
+        this.ffmpeg = ffmpeg;
+        this.frame = 0;
+        this.frameDirectory = null;
+
+        if (settings.format === 'gif') {
+            this.gif = new GifEncoder(width, height);
+            this.delays = Animation.getDelays(settings, 100);
+        } else if (settings.format === 'apng') {
+            this.apng = new ApngEncoder(settings.frames);
+            this.delays = Animation.getDelays(settings, 1000);
+        }
+    }
+
+    /**
+     * Add the next frame
+     * @param {Canvas} canvas - node-canvas Canvas of the output size
+     */
+    async addFrame(canvas) {
+        const delay = this.delays && this.delays[this.frame];
+
+        if (this.gif) {
+            this.gif.addFrame(canvas.getContext('2d').getImageData(0, 0, this.width, this.height).data, delay);
+        } else if (this.apng) {
+            this.apng.addFrame(canvas.toBuffer('image/png'), delay);
+        } else {
+            // Frames and MP4 write numbered PNG files; MP4 collects them in a temporary directory
+            if (!this.frameDirectory) {
+                this.frameDirectory = this.settings.format === 'frames'
+                    ? this.outputPath
+                    : await fs.mkdtemp(path.join(os.tmpdir(), 'abstract-frames-'));
+                await fs.mkdir(this.frameDirectory, { recursive: true });
+            }
+            await fs.writeFile(path.join(this.frameDirectory, this.getFrameName(this.frame)), canvas.toBuffer('image/png'));
+        }
+
+        this.frame++;
+    }
+
+    /**
+     * Write the animation
+     * @returns {Promise<number>} Size of the output in bytes (all frames, for the frames format)
+     */
+    async finish() {
+        if (this.gif || this.apng) {
+            const data = (this.gif || this.apng).finish();
+            await fs.writeFile(this.outputPath, data);
+            return data.length;
+        }
+
+        if (this.settings.format === 'frames') {
+            const sizes = await Promise.all(
+                Array.from({ length: this.frame }, (_, frame) => fs.stat(path.join(this.frameDirectory, this.getFrameName(frame))))
+            );
+            return sizes.reduce((total, stat) => total + stat.size, 0);
+        }
+
+        try {
+            // H.264 in yuv420p plays everywhere, but needs even dimensions, so odd sizes get a 1px pad
+            await promisify(execFile)(this.ffmpeg, [
+                '-y', '-loglevel', 'error',
+                '-framerate', String(Math.round(this.settings.fps * 1000) / 1000),
+                '-i', path.join(this.frameDirectory, 'frame-%04d.png'),
+                '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',
+                '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart',
+                this.outputPath
+            ]);
+        } catch (error) {
+            throw new Error(`ffmpeg failed: ${(error.stderr || error.message).trim()}`);
+        } finally {
+            await fs.rm(this.frameDirectory, { recursive: true, force: true });
+        }
+
+        return (await fs.stat(this.outputPath)).size;
+    }
+
+    /**
+     * File name of a frame, e.g. "frame-0001.png"
+     */
+    getFrameName(frame) {
+        return `frame-${String(frame + 1).padStart(4, '0')}.png`;
+    }
+}
+
+module.exports = AnimationWriter;
@@ -0,0 +1,150 @@
+/**
+ * APNG Encoder
+ * Assembles a looping animated PNG from the PNG files of its frames, reusing
+ * their compressed image data, so no image library beyond node-canvas is needed
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a chunk's type and data, as required by the PNG format
+ */
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+class ApngEncoder {
+    /**
+     * @param {number} frameCount - Number of frames that will be added
+     */
+    constructor(frameCount) {
+        this.frameCount = frameCount;
+        this.header = null;
+        this.chunks = [];
+        this.frames = 0;
+        this.sequence = 0;
+    }
+
+    /**
+     * Add a frame
+     * @param {Buffer} png - Frame encoded as PNG; every frame must have the same size and pixel format
+     * @param {number} delay - Display time in milliseconds
+     */
+    addFrame(png, delay) {
+        if (!Number.isInteger(delay) || delay < 0 || delay > 65535) {
+            throw new Error(`APNG frame delay must be an integer from 0 to 65535 milliseconds, got ${delay}`);
+        }
+
+        const { header, data } = this.readPng(png);
+
+        if (!this.header) {
+            this.header = header;
+        } else if (!header.equals(this.header)) {
+            throw new Error(`APNG frame ${this.frames + 1} does not match the size or pixel format of the first frame`);
+        }
+
+        // Frame control: full-size frame, replacing the previous one
+        const control = Buffer.alloc(26);
+        control.writeUInt32BE(this.sequence++, 0);
+        header.copy(control, 4, 0, 8); // Width and height
+        control.writeUInt16BE(delay, 20);
+        control.writeUInt16BE(1000, 22);
+        this.chunks.push(this.chunk('fcTL', control));
+
+        // The first frame is also the default image, so it keeps its IDAT chunks
+        data.forEach(part => {
+            if (this.frames === 0) {
+                this.chunks.push(this.chunk('IDAT', part));
+            } else {
+                const sequence = Buffer.alloc(4);
+                sequence.writeUInt32BE(this.sequence++, 0);
+                this.chunks.push(this.chunk('fdAT', Buffer.concat([sequence, part])));
+            }
+        });
+
+        this.frames++;
+    }
+
+    /**
+     * Finish the file
+     * @returns {Buffer} APNG data
+     */
+    finish() {
+        if (this.frames !== this.frameCount) {
+            throw new Error(`APNG expected ${this.frameCount} frames, got ${this.frames}`);
+        }
+
+        // Animation control: frame count, loop forever
+        const animation = Buffer.alloc(8);
+        animation.writeUInt32BE(this.frameCount, 0);
+
+        return Buffer.concat([
+            PNG_SIGNATURE,
+            this.chunk('IHDR', this.header),
+            this.chunk('acTL', animation),
+            ...this.chunks,
+            this.chunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+
+    /**
+     * Split a PNG into its header and image data chunks
+     * @returns {{header: Buffer, data: Array<Buffer>}}
+     */
+    readPng(png) {
+        if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) {
+            throw new Error('APNG frames must be PNG data');
+        }
+
+        let header = null;
+        const data = [];
+
+        for (let offset = 8; offset < png.length;) {
+            const length = png.readUInt32BE(offset);
+            const type = png.toString('ascii', offset + 4, offset + 8);
+            const body = png.subarray(offset + 8, offset + 8 + length);
+
+            if (type === 'IHDR') {
+                header = body;
+            } else if (type === 'IDAT') {
+                data.push(body);
+            }
+
+            offset += length + 12;
+        }
+
+        return { header, data };
+    }
+
+    /**
+     * Build a chunk: length, type, data and CRC
+     */
+    chunk(type, data) {
+        const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const length = Buffer.alloc(4);
+        const crc = Buffer.alloc(4);
+        length.writeUInt32BE(data.length, 0);
+        crc.writeUInt32BE(crc32(typeAndData), 0);
+
+        return Buffer.concat([length, typeAndData, crc]);
+    }
+}
+
+module.exports = ApngEncoder;
@@ -10,6 +10,9 @@ const fs = require('fs');
 const path = require('path');
 const Logger = require('./logger');
 const ImageGenerator = require('./imageGenerator');
+const AdapterCheck = require('./adapterCheck');
+const Formats = require('../core/formats');
+const Encodings = require('../core/encodings');
 const FileProvider = require('./contentProviders/fileProvider');
 const DirectoryProvider = require('./contentProviders/directoryProvider');
 const WordPressProvider = require('./contentProviders/wordpressProvider');
@@ -40,7 +43,33 @@ program
     .option('--id <id>', 'Single item ID')
     .option('--all', 'Process all items')
     .option('--config <path>', 'Path to config file')
-    .option('--crop-mode <mode>', 'Crop mode (direct, resize)')
+    .option('--crop-mode <mode>', 'Crop mode for the master layout (direct, resize, smart)')
+    .option('--crops <dir>', 'Replay saved crops ({id}-crops.json) from this directory (master layout)')
+    .option('--style <name>', 'Generative style (organic, auto, ...)')
+    .option('--symmetry <mode>', 'Symmetry (none, mirror-x, mirror-y, quad, kaleidoscope)')
+    .option('--palette-mode <mode>', 'Palette mode (generated, classic, custom, image)')
+    .option('--palette-file <path>', 'Load custom palettes from a .json, .gpl or .ase file')
+    .option('--layout <mode>', 'Layout (aspect: compose each format at its own size, master: crop from one square master)')
+    .option('--master-size <px>', 'Side of the square master in the master layout (e.g. 2400, 4000)', parseInt)
+    .option('--formats <names>', 'Comma-separated format presets to generate (e.g. landscape,landscape@2x,pinterest)')
+    .option('--encoding <format>', 'Output encoding (png, jpeg, webp, avif, svg); replaces the file name extension')
+    .option('--quality <1-100>', 'Quality for JPEG, WebP and AVIF output', parseInt)
+    .option('--max-bytes <size>', 'Size budget per image (e.g. 300k); quality is lowered until the file fits')
+    .option('--seeding <mode>', 'Seed from content metrics or a hash of the content (metrics, content)')
+    .option('--salt <text>', 'Project salt mixed into content seeding')
+    .option('--generator-version <number>', 'Reproduce images as an older generator version made them', parseInt)
+    .option('--noise <type>', 'Noise the styles sample (perlin, simplex)')
+    .option('--fractal <mode>', 'How noise octaves combine (fbm, ridged, turbulence)')
+    .option('--octaves <number>', 'Noise octaves (1-8)', parseInt)
+    .option('--background <type>', 'Background gradient (auto, linear, radial, conic, mesh)')
+    .option('--filters <names>', 'Comma-separated post-processing filters with default settings (e.g. grain,vignette)')
+    .option('--no-texture', 'Leave out the built-in noise texture')
+    .option('--tileable', 'Make images repeat seamlessly (aspect layout)')
+    .option('--tile-preview', 'Also write each tile repeated in a 3×3 grid ({id}-{format}-tiled); implies --tileable')
+    .option('--animate <format>', 'Render seamless loops instead of stills (gif, apng, mp4, frames)')
+    .option('--fps <number>', 'Animation frame rate', parseFloat)
+    .option('--duration <seconds>', 'Animation loop length in seconds', parseFloat)
+    .option('--frames <number>', 'Animation frame count (overrides --fps for the loop length)', parseInt)
     .option('--batch-size <number>', 'Batch size for processing', parseInt)
     .option('--output-dir <path>', 'Output directory')
     .action(async (options) => {
@@ -161,6 +190,44 @@ program
         console.log(JSON.stringify(config, null, 2));
     });
 
+/**
+ * Formats command
+ */
+program
+    .command('formats')
+    .description('List built-in format presets')
+    .action(() => {
+        console.log('\nFormat presets:\n');
+        Formats.PRESETS.forEach(preset => {
+            console.log(`  ${preset.name.padEnd(12)} ${`${preset.width}×${preset.height}`.padEnd(11)} ${preset.label}`);
+        });
+        console.log('\nAdd @2x or @3x to a preset for high-DPI variants (e.g. landscape@2x)');
+        console.log('Custom formats can be added to generation.formats as {"name", "width", "height", "scale"?}\n');
+    });
+
+/**
+ * Verify adapters command
+ */
+program
+    .command('verify-adapters')
+    .description('Check that the browser and Node.js canvas adapters produce identical images')
+    .option('--config <path>', 'Path to config file')
+    .action((options) => {
+        try {
+            const config = loadConfig(options);
+            const logger = new Logger(config);
+
+            const report = new AdapterCheck(logger).run();
+
+            logger.info(`Adapter check: ${report.total - report.mismatched}/${report.total} reference inputs identical`);
+            process.exit(report.mismatched > 0 ? 1 : 0);
+
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+    });
+
 /**
  * Helper: Load configuration
  */
@@ -177,6 +244,92 @@ function loadConfig(options) {
     if (options.cropMode) {
         config.generation.cropMode = options.cropMode;
     }
+    if (options.crops) {
+        config.generation.crops = options.crops;
+    }
+    if (options.style) {
+        config.generation.style = options.style;
+    }
+    if (options.symmetry) {
+        config.generation.symmetry = options.symmetry;
+    }
+    if (options.layout) {
+        config.generation.layout = options.layout;
+    }
+    if (options.masterSize) {
+        config.generation.masterSize = options.masterSize;
+    }
+    if (options.formats) {
+        config.generation.formats = options.formats.split(',').map(name => name.trim()).filter(Boolean);
+    }
+    if (options.paletteMode) {
+        config.palette = { ...config.palette, mode: options.paletteMode };
+    }
+    if (options.paletteFile) {
+        // A palette file implies custom palettes unless a mode was given explicitly
+        config.palette = { ...config.palette, file: options.paletteFile, mode: options.paletteMode || 'custom' };
+    }
+    if (options.encoding) {
+        const encoding = options.encoding.toLowerCase();
+        const known = Encodings.FORMATS[encoding];
+        const extension = encoding === 'svg' ? '.svg' : known && known.extensions[0];
+        if (!extension) {
+            throw new Error(`Unknown encoding: ${options.encoding} (available: ${[...Object.keys(Encodings.FORMATS), 'svg'].join(', ')})`);
+        }
+        const pattern = config.output.filenamePattern;
+        config.output.filenamePattern = pattern.slice(0, pattern.length - path.extname(pattern).length) + extension;
+    }
+    if (options.quality) {
+        config.output.quality = options.quality;
+    }
+    if (options.maxBytes) {
+        config.output.maxBytes = options.maxBytes;
+    }
+    if (options.seeding) {
+        config.generation.seeding = { ...config.generation.seeding, mode: options.seeding.toLowerCase() };
+    }
+    if (options.salt !== undefined) {
+        config.generation.seeding = { ...config.generation.seeding, salt: options.salt };
+    }
+    if (options.generatorVersion !== undefined) {
+        config.generation.seeding = { ...config.generation.seeding, generatorVersion: options.generatorVersion };
+    }
+    if (options.noise) {
+        config.generation.noise = { ...config.generation.noise, type: options.noise.toLowerCase() };
+    }
+    if (options.fractal) {
+        config.generation.noise = { ...config.generation.noise, fractal: options.fractal.toLowerCase() };
+    }
+    if (options.octaves !== undefined) {
+        config.generation.noise = { ...config.generation.noise, octaves: options.octaves };
+    }
+    if (options.background) {
+        config.generation.background = { ...config.generation.background, type: options.background.toLowerCase() };
+    }
+    if (options.filters) {
+        config.generation.filters = options.filters.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    }
+    if (options.texture === false) {
+        config.generation.texture = false;
+    }
+    if (options.tileable || options.tilePreview) {
+        config.generation.tileable = true;
+    }
+    if (options.tilePreview) {
+        config.output.tilePreview = true;
+    }
+    if (options.animate) {
+        config.animation = { ...config.animation, enabled: true, format: options.animate.toLowerCase() };
+    }
+    if (options.fps) {
+        config.animation = { ...config.animation, fps: options.fps };
+    }
+    if (options.duration) {
+        config.animation = { ...config.animation, duration: options.duration };
+    }
+    if (options.frames) {
+        config.animation = { ...config.animation, frames: options.frames };
+    }
     if (options.outputDir) {
         config.output.directory = options.outputDir;
     }
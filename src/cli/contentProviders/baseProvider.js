@@ -3,6 +3,9 @@
  * All content providers must implement this interface
  */
 
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
 class BaseProvider {
     /**
      * Get all content items
@@ -44,6 +47,28 @@ class BaseProvider {
     getName() {
         return 'BaseProvider';
     }
+
+    /**
+     * Collect the image sources referenced by <img> tags, in document order
+     * Call this on the HTML before it is stripped to plain text
+     * @param {string} html - HTML content
+     * @param {string} base - Site URL or directory that relative sources are resolved against
+     * @returns {Array<string>} Unique absolute URLs or file paths
+     */
+    extractImageUrls(html, base) {
+        const dom = new JSDOM(html);
+        const sources = [...dom.window.document.querySelectorAll('img[src]')]
+            .map(img => img.getAttribute('src').trim())
+            .filter(src => src.length > 0)
+            .map(src => {
+                if (/^[a-z][a-z0-9+.-]*:/i.test(src)) {
+                    return src;
+                }
+                return /^https?:/i.test(base) ? new URL(src, base + '/').href : path.resolve(base, src);
+            });
+
+        return [...new Set(sources)];
+    }
 }
 
 module.exports = BaseProvider;
@@ -73,6 +73,7 @@ class DirectoryProvider extends BaseProvider {
         const basename = path.basename(filePath, ext);
 
         let plainText = '';
+        let images = [];
 
         switch (ext) {
             case '.txt':
@@ -81,12 +82,14 @@ class DirectoryProvider extends BaseProvider {
 
             case '.html':
             case '.htm':
+                images = this.extractImageUrls(content, path.dirname(filePath));
                 plainText = this.stripHtml(content);
                 break;
 
             case '.md':
             case '.markdown':
                 const html = marked(content);
+                images = this.extractImageUrls(html, path.dirname(filePath));
                 plainText = this.stripHtml(html);
                 break;
 
@@ -98,7 +101,8 @@ class DirectoryProvider extends BaseProvider {
             id: basename,
             title: basename.replace(/-|_/g, ' '),
             content: plainText.trim(),
-            filePath: filePath
+            filePath: filePath,
+            images
         };
     }
 
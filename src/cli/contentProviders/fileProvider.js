@@ -33,6 +33,7 @@ class FileProvider extends BaseProvider {
         const basename = path.basename(this.filePath, ext);
 
         let plainText = '';
+        let images = [];
 
         switch (ext) {
             case '.txt':
@@ -41,6 +42,7 @@ class FileProvider extends BaseProvider {
 
             case '.html':
             case '.htm':
+                images = this.extractImageUrls(content, path.dirname(this.filePath));
                 plainText = this.stripHtml(content);
                 break;
 
@@ -48,6 +50,7 @@ class FileProvider extends BaseProvider {
             case '.markdown':
                 // Convert markdown to HTML, then strip HTML
                 const html = marked(content);
+                images = this.extractImageUrls(html, path.dirname(this.filePath));
                 plainText = this.stripHtml(html);
                 break;
 
@@ -59,7 +62,8 @@ class FileProvider extends BaseProvider {
         this.cachedContent = {
             id: basename,
             title: basename.replace(/-|_/g, ' '),
-            content: plainText.trim()
+            content: plainText.trim(),
+            images
         };
 
         return this.cachedContent;
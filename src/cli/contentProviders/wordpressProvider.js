@@ -32,7 +32,7 @@ class WordPressProvider extends BaseProvider {
         let hasMore = true;
 
         while (hasMore) {
-            const url = `${this.siteUrl}/wp-json/wp/v2/posts?per_page=${this.postsPerPage}&page=${page}`;
+            const url = `${this.siteUrl}/wp-json/wp/v2/posts?per_page=${this.postsPerPage}&page=${page}&_embed=wp:term,wp:featuredmedia`;
 
             try {
                 const response = await fetch(url);
@@ -73,7 +73,7 @@ class WordPressProvider extends BaseProvider {
      * Fetch a single post by ID
      */
     async fetchPostById(id) {
-        const url = `${this.siteUrl}/wp-json/wp/v2/posts/${id}`;
+        const url = `${this.siteUrl}/wp-json/wp/v2/posts/${id}?_embed=wp:term,wp:featuredmedia`;
 
         try {
             const response = await fetch(url);
@@ -92,6 +92,13 @@ class WordPressProvider extends BaseProvider {
      * Convert WordPress post to content item
      */
     postToItem(post) {
+        // Collect image URLs before the HTML is discarded, featured image first
+        const images = this.extractImageUrls(post.content.rendered, this.siteUrl);
+        const featured = this.getFeaturedImageUrl(post);
+        if (featured && !images.includes(featured)) {
+            images.unshift(featured);
+        }
+
         // Extract plain text from HTML content
         const content = this.stripHtml(post.content.rendered);
         const title = this.stripHtml(post.title.rendered);
@@ -101,10 +108,34 @@ class WordPressProvider extends BaseProvider {
             title: title,
             content: content,
             slug: post.slug,
-            date: post.date
+            date: post.date,
+            categories: this.getCategorySlugs(post),
+            images
         };
     }
 
+    /**
+     * Featured image URL from the embedded media, if any
+     */
+    getFeaturedImageUrl(post) {
+        const media = post._embedded && post._embedded['wp:featuredmedia'];
+        return media && media[0] && media[0].source_url ? media[0].source_url : null;
+    }
+
+    /**
+     * Category slugs from the embedded terms, or category IDs if terms were not embedded
+     */
+    getCategorySlugs(post) {
+        const terms = ((post._embedded && post._embedded['wp:term']) || []).flat();
+        const categories = terms.filter(term => term && term.taxonomy === 'category');
+
+        if (categories.length > 0) {
+            return categories.map(term => term.slug);
+        }
+
+        return (post.categories || []).map(id => id.toString());
+    }
+
     /**
      * Strip HTML tags
      */
@@ -0,0 +1,119 @@
+/**
+ * Crop Loader
+ * Replays crops saved by the web crop editor (or recorded by smart crop) so
+ * the CLI reproduces the same framing for the same item
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class CropLoader {
+    /**
+     * @param {string} directory - Directory holding {id}-crops.json files
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Load the crops saved for an item, scaled to the current master size
+     * Crops saved for different content or a different seed are ignored, since they framed a different composition
+     * @param {string} fileName - Crop file name for the item, e.g. "42-crops.json"
+     * @param {Object} item - Content item
+     * @param {{contentHash: number, seed: number}} image - Content hash and seed of the item's image
+     * @param {number} masterSize - Side of the master the crops are applied to
+     * @returns {Promise<{crops: Object, warning: string|null}>} Crops by format name, plus why none were loaded, if relevant
+     */
+    async load(fileName, item, image, masterSize) {
+        const { contentHash, seed } = image;
+        const filePath = path.join(this.directory, fileName);
+
+        let text;
+        try {
+            text = await fs.readFile(filePath, 'utf-8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { crops: {}, warning: null };
+            }
+            throw error;
+        }
+
+        let record;
+        try {
+            record = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${fileName}: invalid JSON - ${error.message}`);
+        }
+
+        this.validate(record, fileName);
+
+        if (String(record.id) !== String(item.id)) {
+            return { crops: {}, warning: `${fileName} is for item "${record.id}", not "${item.id}"; ignoring it` };
+        }
+        if (record.contentHash !== undefined && record.contentHash !== contentHash) {
+            return { crops: {}, warning: `${fileName} was saved for different content (hash ${record.contentHash}, now ${contentHash}); ignoring it` };
+        }
+        if (record.seed !== undefined && record.seed !== seed) {
+            const version = record.generatorVersion !== undefined ? ` by generator version ${record.generatorVersion}` : '';
+            return { crops: {}, warning: `${fileName} was saved for a different image (seed ${record.seed}${version}, now ${seed}); check generation.seeding, ignoring it` };
+        }
+
+        const scale = masterSize / record.masterSize;
+        const crops = {};
+
+        for (const [name, crop] of Object.entries(record.crops)) {
+            const width = Math.min(masterSize, Math.round(crop.width * scale));
+            const height = Math.min(masterSize, Math.round(crop.height * scale));
+
+            crops[name] = {
+                ...crop,
+                x: Math.min(masterSize - width, Math.round(crop.x * scale)),
+                y: Math.min(masterSize - height, Math.round(crop.y * scale)),
+                width,
+                height
+            };
+        }
+
+        return { crops, warning: null };
+    }
+
+    /**
+     * Check a crop record's shape
+     */
+    validate(record, label) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            throw new Error(`${label}: expected an object with id, masterSize and crops`);
+        }
+        if (record.id === undefined || record.id === null) {
+            throw new Error(`${label}: missing "id"`);
+        }
+        if (!Number.isInteger(record.masterSize) || record.masterSize < 1) {
+            throw new Error(`${label}: "masterSize" must be a positive integer, got ${JSON.stringify(record.masterSize)}`);
+        }
+        if (!record.crops || typeof record.crops !== 'object' || Array.isArray(record.crops)) {
+            throw new Error(`${label}: "crops" must be an object of crops by format name`);
+        }
+
+        for (const [name, crop] of Object.entries(record.crops)) {
+            const cropLabel = `${label} crops.${name}`;
+            if (!crop || typeof crop !== 'object') {
+                throw new Error(`${cropLabel}: expected {x, y, width, height}`);
+            }
+
+            for (const key of ['x', 'y', 'width', 'height']) {
+                if (typeof crop[key] !== 'number' || !Number.isFinite(crop[key]) || crop[key] < 0) {
+                    throw new Error(`${cropLabel}: ${key} must be a non-negative number, got ${JSON.stringify(crop[key])}`);
+                }
+            }
+
+            if (crop.width === 0 || crop.height === 0) {
+                throw new Error(`${cropLabel}: width and height must be greater than 0`);
+            }
+            if (crop.x + crop.width > record.masterSize || crop.y + crop.height > record.masterSize) {
+                throw new Error(`${cropLabel}: extends past the ${record.masterSize}×${record.masterSize} master`);
+            }
+        }
+    }
+}
+
+module.exports = CropLoader;
@@ -0,0 +1,315 @@
+/**
+ * GIF Encoder
+ * Writes looping animated GIFs from RGBA frames without native dependencies.
+ * The palette is built once from the first frame by median cut, and later
+ * frames only store the pixels that changed, so slow loops stay small
+ */
+
+const PALETTE_SIZE = 255;
+const TRANSPARENT_INDEX = 255;
+
+class GifEncoder {
+    /**
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.chunks = [];
+        this.lookup = null;
+        this.previous = null;
+        this.frames = 0;
+    }
+
+    /**
+     * Add a frame
+     * @param {Uint8ClampedArray} rgba - Frame pixels, as in ImageData.data
+     * @param {number} delay - Display time in hundredths of a second
+     */
+    addFrame(rgba, delay) {
+        if (rgba.length !== this.width * this.height * 4) {
+            throw new Error(`GIF frame ${this.frames + 1} has ${rgba.length} bytes of pixels, expected ${this.width * this.height * 4} for ${this.width}x${this.height}`);
+        }
+        if (!Number.isInteger(delay) || delay < 0 || delay > 65535) {
+            throw new Error(`GIF frame delay must be an integer from 0 to 65535 hundredths of a second, got ${delay}`);
+        }
+
+        if (!this.lookup) {
+            const palette = this.buildPalette(rgba);
+            this.lookup = this.buildLookup(palette);
+            this.writeHeader(palette);
+        }
+
+        const indices = new Uint8Array(this.width * this.height);
+        for (let i = 0; i < indices.length; i++) {
+            const p = i * 4;
+            indices[i] = this.lookup[((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3)];
+        }
+
+        const region = this.previous ? this.getChangedRegion(indices) : { x: 0, y: 0, width: this.width, height: this.height };
+        const pixels = new Uint8Array(region.width * region.height);
+
+        // Pixels that match the previous frame are left transparent, which shows the frame below
+        for (let row = 0; row < region.height; row++) {
+            for (let column = 0; column < region.width; column++) {
+                const i = (region.y + row) * this.width + region.x + column;
+                pixels[row * region.width + column] = this.previous && this.previous[i] === indices[i]
+                    ? TRANSPARENT_INDEX
+                    : indices[i];
+            }
+        }
+
+        // Graphic control extension: keep the previous frame, transparency on
+        this.chunks.push(Buffer.from([
+            0x21, 0xf9, 0x04, 0x05, delay & 0xff, (delay >> 8) & 0xff, TRANSPARENT_INDEX, 0x00
+        ]));
+
+        // Image descriptor, no local colour table
+        const descriptor = Buffer.alloc(10);
+        descriptor[0] = 0x2c;
+        descriptor.writeUInt16LE(region.x, 1);
+        descriptor.writeUInt16LE(region.y, 3);
+        descriptor.writeUInt16LE(region.width, 5);
+        descriptor.writeUInt16LE(region.height, 7);
+        this.chunks.push(descriptor);
+
+        this.chunks.push(this.compress(pixels));
+        this.previous = indices;
+        this.frames++;
+    }
+
+    /**
+     * Finish the file
+     * @returns {Buffer} GIF data
+     */
+    finish() {
+        if (!this.lookup) {
+            throw new Error('A GIF needs at least one frame');
+        }
+
+        return Buffer.concat([...this.chunks, Buffer.from([0x3b])]);
+    }
+
+    /**
+     * Header, global colour table and the loop-forever extension
+     */
+    writeHeader(palette) {
+        const screen = Buffer.alloc(13);
+        screen.write('GIF89a', 0, 'ascii');
+        screen.writeUInt16LE(this.width, 6);
+        screen.writeUInt16LE(this.height, 8);
+        screen[10] = 0xf7; // Global colour table of 256 entries
+        this.chunks.push(screen);
+
+        const table = Buffer.alloc(256 * 3);
+        palette.forEach((color, index) => table.set(color, index * 3));
+        this.chunks.push(table);
+
+        this.chunks.push(Buffer.from([0x21, 0xff, 0x0b]));
+        this.chunks.push(Buffer.from('NETSCAPE2.0', 'ascii'));
+        this.chunks.push(Buffer.from([0x03, 0x01, 0x00, 0x00, 0x00]));
+    }
+
+    /**
+     * Reduce a frame to at most 255 colours by median cut over a 15-bit histogram
+     * @returns {Array<Array<number>>} RGB colours
+     */
+    buildPalette(rgba) {
+        const histogram = new Uint32Array(32768);
+        for (let p = 0; p < rgba.length; p += 4) {
+            histogram[((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3)]++;
+        }
+
+        const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+        const keys = [];
+        for (let key = 0; key < histogram.length; key++) {
+            if (histogram[key] > 0) {
+                keys.push(key);
+            }
+        }
+
+        const describe = boxKeys => {
+            const ranges = [0, 1, 2].map(c => {
+                let min = 31;
+                let max = 0;
+                boxKeys.forEach(key => {
+                    min = Math.min(min, channel(key, c));
+                    max = Math.max(max, channel(key, c));
+                });
+                return max - min;
+            });
+            const count = boxKeys.reduce((total, key) => total + histogram[key], 0);
+            return { keys: boxKeys, ranges, count };
+        };
+
+        const boxes = [describe(keys)];
+
+        // Split the most populated box along its widest channel until the palette is full
+        while (boxes.length < PALETTE_SIZE) {
+            let target = -1;
+            boxes.forEach((box, index) => {
+                if (box.keys.length > 1 && (target < 0 || box.count * Math.max(...box.ranges) > boxes[target].count * Math.max(...boxes[target].ranges))) {
+                    target = index;
+                }
+            });
+            if (target < 0) {
+                break;
+            }
+
+            const box = boxes[target];
+            const c = box.ranges.indexOf(Math.max(...box.ranges));
+            const sorted = [...box.keys].sort((a, b) => channel(a, c) - channel(b, c));
+
+            // Split at the weighted median, keeping at least one key on each side
+            let seen = 0;
+            let split = 1;
+            for (let i = 0; i < sorted.length - 1; i++) {
+                seen += histogram[sorted[i]];
+                split = i + 1;
+                if (seen >= box.count / 2) {
+                    break;
+                }
+            }
+
+            boxes.splice(target, 1, describe(sorted.slice(0, split)), describe(sorted.slice(split)));
+        }
+
+        // Each box becomes its pixel-weighted average colour
+        return boxes.map(box => [0, 1, 2].map(c => {
+            const sum = box.keys.reduce((total, key) => {
+                const value = channel(key, c);
+                return total + ((value << 3) | (value >> 2)) * histogram[key];
+            }, 0);
+            return Math.round(sum / box.count);
+        }));
+    }
+
+    /**
+     * Nearest palette index for every 15-bit colour
+     */
+    buildLookup(palette) {
+        const lookup = new Uint8Array(32768);
+
+        for (let key = 0; key < lookup.length; key++) {
+            const r = (((key >> 10) & 31) << 3) | 4;
+            const g = (((key >> 5) & 31) << 3) | 4;
+            const b = ((key & 31) << 3) | 4;
+
+            let best = 0;
+            let bestDistance = Infinity;
+            palette.forEach((color, index) => {
+                const distance = (color[0] - r) ** 2 + (color[1] - g) ** 2 + (color[2] - b) ** 2;
+                if (distance < bestDistance) {
+                    best = index;
+                    bestDistance = distance;
+                }
+            });
+            lookup[key] = best;
+        }
+
+        return lookup;
+    }
+
+    /**
+     * Bounding box of the pixels that differ from the previous frame
+     * An unchanged frame keeps a single transparent pixel
+     */
+    getChangedRegion(indices) {
+        let left = this.width;
+        let top = this.height;
+        let right = -1;
+        let bottom = -1;
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const i = y * this.width + x;
+                if (indices[i] !== this.previous[i]) {
+                    left = Math.min(left, x);
+                    right = Math.max(right, x);
+                    top = Math.min(top, y);
+                    bottom = Math.max(bottom, y);
+                }
+            }
+        }
+
+        if (right < 0) {
+            return { x: 0, y: 0, width: 1, height: 1 };
+        }
+
+        return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+    }
+
+    /**
+     * LZW-compress palette indices into GIF data sub-blocks
+     */
+    compress(pixels) {
+        const minCodeSize = 8;
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+
+        const output = [minCodeSize];
+        let block = [];
+        let bits = 0;
+        let bitCount = 0;
+
+        const emit = (code, size) => {
+            bits |= code << bitCount;
+            bitCount += size;
+            while (bitCount >= 8) {
+                block.push(bits & 0xff);
+                bits >>= 8;
+                bitCount -= 8;
+                if (block.length === 255) {
+                    output.push(255, ...block);
+                    block = [];
+                }
+            }
+        };
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+
+        emit(clearCode, codeSize);
+        let prefix = pixels[0];
+
+        for (let i = 1; i < pixels.length; i++) {
+            const key = (prefix << 8) | pixels[i];
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix, codeSize);
+            if (nextCode === 4096) {
+                // Table full: start over
+                emit(clearCode, codeSize);
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+                table = new Map();
+            } else {
+                if (nextCode >= 1 << codeSize) {
+                    codeSize++;
+                }
+                table.set(key, nextCode++);
+            }
+            prefix = pixels[i];
+        }
+
+        emit(prefix, codeSize);
+        emit(endCode, codeSize);
+        if (bitCount > 0) {
+            block.push(bits & 0xff);
+        }
+        if (block.length > 0) {
+            output.push(block.length, ...block);
+        }
+        output.push(0);
+
+        return Buffer.from(output);
+    }
+}
+
+module.exports = GifEncoder;
@@ -0,0 +1,72 @@
+/**
+ * Image Encoder
+ * Encodes rendered canvases as PNG, JPEG, WebP or AVIF within an optional
+ * size budget. PNG and JPEG use node-canvas; WebP and AVIF need sharp, an
+ * optional dependency that is missing where it could not be installed
+ */
+
+const Encodings = require('../core/encodings');
+
+class ImageEncoder {
+    /**
+     * @param {Object} settings - { quality, minQuality, qualityStep, maxBytes }, see Encodings.resolveSettings()
+     */
+    constructor(settings = {}) {
+        this.settings = Encodings.resolveSettings(settings);
+    }
+
+    /**
+     * Check that the backend can produce an encoding, before any image is rendered
+     */
+    checkSupport(encoding) {
+        if (encoding === 'webp' || encoding === 'avif') {
+            this.loadSharp(encoding);
+        }
+    }
+
+    /**
+     * Encode a canvas
+     * @param {Canvas} canvas - node-canvas Canvas
+     * @param {string} encoding - Encoding name from Encodings.FORMATS
+     * @returns {Promise<{data: Buffer, size: number, quality: number|null, attempts: number, fits: boolean}>}
+     */
+    async encode(canvas, encoding) {
+        let png = null;
+
+        return Encodings.encodeWithinBudget(encoding, async quality => {
+            let data;
+
+            switch (encoding) {
+                case 'png':
+                    data = canvas.toBuffer('image/png');
+                    break;
+
+                case 'jpeg':
+                    data = canvas.toBuffer('image/jpeg', { quality: quality / 100 });
+                    break;
+
+                default: {
+                    // sharp re-encodes from a lossless PNG, made once per image
+                    const sharp = this.loadSharp(encoding);
+                    png = png || canvas.toBuffer('image/png');
+                    data = await sharp(png)[encoding]({ quality }).toBuffer();
+                }
+            }
+
+            return { data, size: data.length };
+        }, this.settings);
+    }
+
+    /**
+     * Load sharp, which is only needed for WebP and AVIF
+     */
+    loadSharp(encoding) {
+        try {
+            return require('sharp');
+        } catch (error) {
+            throw new Error(`${Encodings.FORMATS[encoding].label} output needs the optional sharp package (npm install sharp)`);
+        }
+    }
+}
+
+module.exports = ImageEncoder;
@@ -8,6 +8,21 @@ const path = require('path');
 const ContentAnalyzer = require('../core/contentAnalyzer');
 const SeedGenerator = require('../core/seedGenerator');
 const VisualGeneratorNode = require('../core/visualGeneratorNode');
+const StyleRegistry = require('../core/styles');
+const { FractalNoise } = require('../core/random');
+const Layers = require('../core/layers');
+const Backgrounds = require('../core/backgrounds');
+const Filters = require('../core/filters');
+const PaletteGenerator = require('../core/palettes');
+const PaletteLoader = require('./paletteLoader');
+const PaletteExtractor = require('./paletteExtractor');
+const Formats = require('../core/formats');
+const SmartCrop = require('../core/smartCrop');
+const CropLoader = require('./cropLoader');
+const Encodings = require('../core/encodings');
+const ImageEncoder = require('./imageEncoder');
+const Animation = require('../core/animation');
+const AnimationWriter = require('./animationWriter');
 
 class ImageGenerator {
     /**
@@ -17,11 +32,131 @@ class ImageGenerator {
     constructor(config, logger) {
         this.config = config;
         this.logger = logger;
+
+        // Resolve formats up front so a bad entry fails before any item is processed
+        this.formats = Formats.resolve(config.generation.formats);
+        this.cropMode = config.generation.cropMode || 'direct';
+        if (!Formats.CROP_MODES.includes(this.cropMode)) {
+            throw new Error(`Unknown crop mode: ${this.cropMode} (available: ${Formats.CROP_MODES.join(', ')})`);
+        }
+        this.layout = Formats.resolveLayout(config.generation.layout, config.generation.cropMode, config.generation.crops);
+        const masterSize = config.generation.masterSize || Formats.DEFAULT_MASTER_SIZE;
+        Formats.validateLayout(this.layout, masterSize);
+        this.masterSize = Formats.getMasterSize(this.formats, masterSize);
+        if (this.layout === 'master') {
+            // Masters are drawn at each format's scale, so a large master at @4x could exhaust memory
+            Formats.validateMasterScale(this.masterSize, this.formats);
+        }
+        this.smartCrop = new SmartCrop(config.generation.smartCrop);
+
+        // Tiles repeat at their own edges; a crop from a master would cut the repeat
+        this.tileable = !!config.generation.tileable;
+        this.tilePreview = this.tileable && !!config.output.tilePreview;
+        if (this.tileable && this.layout !== 'aspect') {
+            throw new Error('generation.tileable needs the aspect layout, as crops of a master do not repeat seamlessly');
+        }
+        if (config.output.tilePreview && !this.tileable) {
+            this.logger.warn('output.tilePreview only applies with generation.tileable; no previews will be written');
+        }
+
+        // Saved crops (from the web crop editor) are replayed per item in the master layout
+        this.cropLoader = config.generation.crops ? new CropLoader(config.generation.crops) : null;
+        if (this.cropLoader && this.layout !== 'master') {
+            this.logger.warn('generation.crops only applies to the master layout; saved crops will be ignored');
+            this.cropLoader = null;
+        }
+
+        // The file extension picks the encoding; check it and its settings before any item is processed
+        const extension = path.extname(config.output.filenamePattern).toLowerCase();
+        this.encoding = extension === '.svg' ? 'svg' : (extension ? Encodings.fromExtension(extension) : 'png');
+        if (!this.encoding) {
+            throw new Error(`Unsupported output extension "${extension}" (use .png, .jpg, .webp, .avif or .svg)`);
+        }
+        if (this.encoding !== 'svg') {
+            this.encoder = new ImageEncoder({
+                quality: config.output.quality,
+                minQuality: config.output.minQuality,
+                qualityStep: config.output.qualityStep,
+                maxBytes: Encodings.parseBytes(config.output.maxBytes)
+            });
+            this.encoder.checkSupport(this.encoding);
+            if (this.encoder.settings.maxBytes && !Encodings.FORMATS[this.encoding].lossy) {
+                this.logger.warn(`output.maxBytes cannot shrink lossless ${Encodings.FORMATS[this.encoding].label} files; use a .jpg, .webp or .avif filenamePattern to apply the budget`);
+            }
+        }
+
+        // Post-processing filters run on raster output; generation.texture: false leaves out the built-in grain
+        this.filters = Filters.resolve(config.generation.filters || []);
+        this.texture = config.generation.texture !== false;
+        this.svgTexture = this.texture ? config.output.svgTexture : 'none';
+        if (this.encoding === 'svg' && this.filters.length > 0) {
+            this.logger.warn('generation.filters only apply to raster output; SVG files are written without them');
+        }
+
+        // Animation renders every format as a loop instead of a still image
+        const animationConfig = config.animation || {};
+        this.animation = null;
+        if (animationConfig.enabled) {
+            const { format, fps, duration, frames, motion } = animationConfig;
+            this.animation = Animation.resolveSettings({ format, fps, duration, frames, motion });
+            if (this.encoding === 'svg') {
+                throw new Error('Animation needs raster frames; use a .png filenamePattern instead of .svg');
+            }
+            this.ffmpeg = animationConfig.ffmpeg || 'ffmpeg';
+            AnimationWriter.checkSupport(this.animation, this.ffmpeg);
+        }
+
+        // Check seeding up front; an older generatorVersion reproduces images made before later changes
+        this.seeding = SeedGenerator.resolveOptions(config.generation.seeding || {});
+        if (this.seeding.generatorVersion < SeedGenerator.GENERATOR_VERSION) {
+            this.logger.info(`Reproducing generator version ${this.seeding.generatorVersion} (current: ${SeedGenerator.GENERATOR_VERSION})`);
+        }
+
+        // Noise settings for every style; generation.styleOptions.<style>.noise overrides them per style
+        FractalNoise.resolveSettings(config.generation.noise || {});
+        Object.entries(config.generation.styleOptions || {}).forEach(([style, options]) => {
+            try {
+                FractalNoise.resolveSettings({ ...config.generation.noise, ...(options || {}).noise });
+                if (style === 'organic' && options && options.layers !== undefined) {
+                    Layers.checkOverrides(options.layers);
+                }
+            } catch (error) {
+                throw new Error(`generation.styleOptions.${style}: ${error.message}`);
+            }
+        });
+
+        // Background gradient settings; anything left out is derived from the seed
+        Backgrounds.resolveSettings(config.generation.background || {});
+
+        // Load and validate user palettes once, so a bad entry fails before any item is processed
+        this.paletteLoader = new PaletteLoader();
+        this.customPalettes = null;
+        if ((config.palette || {}).mode === 'custom') {
+            this.customPalettes = this.paletteLoader.load(config);
+            this.logger.debug(`Loaded ${this.customPalettes.length} custom palette(s): ${this.customPalettes.map(palette => palette.name).join(', ')}`);
+        }
+
+        // Image palettes are extracted per item; results are cached by image list
+        const paletteConfig = config.palette || {};
+        this.paletteExtractor = new PaletteExtractor({
+            colors: paletteConfig.imageColors,
+            minContrast: paletteConfig.minContrast
+        });
+        this.imagePalettes = new Map();
+        if (paletteConfig.mode === 'image') {
+            const imageSource = paletteConfig.imageSource || 'post';
+            if (!['post', 'brand'].includes(imageSource)) {
+                throw new Error(`Unknown palette imageSource: ${imageSource} (available: post, brand)`);
+            }
+            if (imageSource === 'brand' && !paletteConfig.image) {
+                throw new Error('palette.imageSource "brand" requires palette.image (path to the brand reference image)');
+            }
+        }
     }
 
     /**
      * Generate images for a content item
-     * @param {Object} item - Content item {id, title, content}
+     * @param {Object} item - Content item {id, title, content, categories?}
      * @returns {Promise<Array<string>>} Array of generated file paths
      */
     async generateForItem(item) {
@@ -42,29 +177,66 @@ class ImageGenerator {
             this.logger.debug(`Metrics: ${metrics.wordCount} words, ${metrics.characters} chars, ${metrics.paragraphCount} paragraphs`);
 
             // Step 2: Generate visual parameters
-            const seedGen = new SeedGenerator(metrics);
+            const seedGen = new SeedGenerator(metrics, this.seeding);
             const visualParams = seedGen.generateVisualParams();
 
             // Add user-defined stroke parameters
             visualParams.minStroke = this.config.generation.minStroke;
             visualParams.maxStroke = this.config.generation.maxStroke;
 
-            this.logger.debug(`Visual params: seed=${visualParams.seed}, density=${visualParams.density.toFixed(2)}, palette=${visualParams.paletteIndex}`);
+            // Resolve the style up front so 'auto' is logged as the style it picked
+            visualParams.style = StyleRegistry.resolve(this.config.generation.style, visualParams.contentHash, visualParams.generatorVersion);
+            visualParams.styleOptions = (this.config.generation.styleOptions || {})[visualParams.style];
+            visualParams.noise = this.config.generation.noise;
+            visualParams.background = this.config.generation.background;
+            visualParams.texture = this.texture;
+            visualParams.filters = this.filters;
+            visualParams.symmetry = this.config.generation.symmetry || 'none';
+            visualParams.tileable = this.tileable;
+
+            // Palette settings
+            const paletteConfig = this.config.palette || {};
+            visualParams.paletteMode = paletteConfig.mode || PaletteGenerator.getDefaultMode(visualParams.generatorVersion);
+            visualParams.paletteContrast = paletteConfig.minContrast;
+            if (this.customPalettes) {
+                visualParams.customPalette = this.paletteLoader.select(
+                    this.customPalettes, paletteConfig, item, visualParams.contentHash
+                );
+            }
+            if (visualParams.paletteMode === 'image') {
+                await this.applyImagePalette(item, visualParams, paletteConfig);
+            }
+
+            const palette = PaletteGenerator.getPalette(visualParams);
+
+            this.logger.debug(`Visual params: seed=${visualParams.seed} (${visualParams.seeding}, v${visualParams.generatorVersion}), density=${visualParams.density.toFixed(2)}, palette=${visualParams.paletteMode}:${palette.name}, style=${visualParams.style}, symmetry=${visualParams.symmetry}`);
 
             // Step 3: Generate images for each format
+            // In the master layout every format is cropped from the same master, rendered once
             const generatedFiles = [];
             const formats = this.getFormats();
-
-            for (const format of formats) {
-                try {
-                    const filePath = await this.generateFormat(item, visualParams, format);
-                    generatedFiles.push(filePath);
-                    this.logger.info(`Generated ${format.name} (${format.width}×${format.height}) for item ${item.id}`);
-                } catch (error) {
-                    this.logger.error(`Failed to generate ${format.name} for item ${item.id}: ${error.message}`);
+            const masters = {};
+            const crops = { saved: await this.loadSavedCrops(item, visualParams), used: {} };
+
+            if (this.animation) {
+                generatedFiles.push(...await this.generateAnimations(item, visualParams, formats, masters, crops));
+            } else {
+                for (const format of formats) {
+                    try {
+                        const filePath = await this.generateFormat(item, visualParams, format, masters, crops);
+                        generatedFiles.push(filePath);
+                        const { width, height } = Formats.getPixelSize(format);
+                        this.logger.info(`Generated ${format.name} (${width}×${height}) for item ${item.id}`);
+                    } catch (error) {
+                        this.logger.error(`Failed to generate ${format.name} for item ${item.id}: ${error.message}`);
+                    }
                 }
             }
 
+            if (Object.keys(crops.used).length > 0) {
+                await this.writeCrops(item, visualParams, crops.used);
+            }
+
             return generatedFiles;
 
         } catch (error) {
@@ -74,30 +246,295 @@ class ImageGenerator {
     }
 
     /**
-     * Generate a specific format
+     * Extract the palette from the post's images or the brand image and use it
+     * as a custom palette; falls back to a generated palette if no image can be read
+     */
+    async applyImagePalette(item, visualParams, paletteConfig) {
+        const { sources, name } = this.getPaletteImages(item, paletteConfig);
+        const cacheKey = sources.join('\n');
+
+        if (sources.length > 0 && !this.imagePalettes.has(cacheKey)) {
+            this.logger.debug(`Extracting palette from ${sources.length} image(s): ${sources.join(', ')}`);
+            const { palette, failed } = await this.paletteExtractor.fromImages(sources, name);
+            failed.forEach(entry => this.logger.warn(`Could not read palette image ${entry.source}: ${entry.error}`));
+            this.imagePalettes.set(cacheKey, palette);
+        }
+
+        const palette = this.imagePalettes.get(cacheKey);
+        if (palette) {
+            visualParams.paletteMode = 'custom';
+            visualParams.customPalette = palette;
+        } else {
+            this.logger.warn(`No palette image available for item ${item.id}, using a generated palette`);
+            visualParams.paletteMode = 'generated';
+        }
+    }
+
+    /**
+     * Images to extract the palette from: the post's own images (up to
+     * palette.maxImages), or the brand image when the post has none or
+     * imageSource is 'brand'
+     * @returns {{sources: Array<string>, name: string}}
      */
-    async generateFormat(item, visualParams, format) {
-        // Generate master image at maximum size
-        const masterSize = 1200;
-        const masterCanvas = this.generateMasterImage(visualParams, masterSize);
+    getPaletteImages(item, paletteConfig) {
+        const images = item.images || [];
 
-        // Apply cropping strategy
-        const finalCanvas = this.applyCropMode(masterCanvas, format.width, format.height);
+        if ((paletteConfig.imageSource || 'post') === 'post' && images.length > 0) {
+            return { sources: images.slice(0, paletteConfig.maxImages || 3), name: `${item.id} images` };
+        }
 
-        // Save to file
+        if (paletteConfig.image) {
+            return { sources: [paletteConfig.image], name: path.basename(paletteConfig.image) };
+        }
+
+        return { sources: [], name: '' };
+    }
+
+    /**
+     * Generate a specific format
+     * @param {Object} masters - Per-item cache of rendered masters, shared between formats
+     * @param {Object} crops - Per-item crops: saved ones to replay, and every saved or smart crop used so far
+     */
+    async generateFormat(item, visualParams, format, masters = {}, crops = { saved: {}, used: {} }) {
         const fileName = this.getFileName(item.id, format.name);
         const outputPath = path.join(this.config.output.directory, fileName);
+        const isSvg = this.encoding === 'svg';
+
+        // Scaled formats (e.g. landscape@2x) are laid out at the format's size and drawn with more pixels
+        const scale = format.scale || 1;
+        const pixelSize = Formats.getPixelSize(format);
 
         // Ensure output directory exists
         await fs.mkdir(this.config.output.directory, { recursive: true });
 
-        // Save as PNG
-        const buffer = finalCanvas.toBuffer('image/png');
-        await fs.writeFile(outputPath, buffer);
+        if (this.layout === 'aspect') {
+            // Compose directly at the format's size, so the layout fits its aspect ratio
+            const generator = new VisualGeneratorNode({ ...visualParams, scale }, format.width, format.height);
+            if (isSvg) {
+                const svg = generator.generateSvg({ texture: this.svgTexture })
+                    .toSVG({ outputWidth: pixelSize.width, outputHeight: pixelSize.height });
+                await fs.writeFile(outputPath, svg);
+                if (this.tilePreview) {
+                    await this.writeTilePreviewSvg(item, format, fileName, pixelSize);
+                }
+            } else {
+                const canvas = generator.generate();
+                await this.writeImage(outputPath, canvas, item, format);
+                if (this.tilePreview) {
+                    await this.writeTilePreview(item, format, canvas);
+                }
+            }
+            return outputPath;
+        }
+
+        const crop = this.resolveCrop(item, visualParams, format, masters, crops);
+
+        if (isSvg) {
+            // Vector output: crop through the viewBox instead of resampling pixels
+            masters.svg = masters.svg || this.generateMasterSvg(visualParams, this.masterSize);
+            const viewport = crop
+                ? { x: crop.x, y: crop.y, width: crop.width, height: crop.height }
+                : this.getCropViewport(this.masterSize, this.masterSize, format.width, format.height);
+            await fs.writeFile(outputPath, masters.svg.toSVG({
+                ...viewport,
+                outputWidth: pixelSize.width,
+                outputHeight: pixelSize.height
+            }));
+            return outputPath;
+        }
+
+        // Generate master image at maximum size, at the format's scale
+        const master = this.getMasterImage(visualParams, scale, masters);
+        const finalCanvas = this.cropMaster(master, format, crop, visualParams);
+
+        await this.writeImage(outputPath, finalCanvas, item, format);
 
         return outputPath;
     }
 
+    /**
+     * Pick the crop for a format in the master layout: a saved crop if one is
+     * replayed, else a smart crop in smart mode, else null for the crop mode's default
+     * Crops that were used are recorded in crops.used
+     */
+    resolveCrop(item, visualParams, format, masters, crops) {
+        let crop = crops.saved[format.name] || null;
+        if (crop) {
+            this.logger.info(`Replaying ${crop.mode || 'saved'} crop ${format.name} for item ${item.id}: ${crop.width}×${crop.height} at (${crop.x}, ${crop.y})`);
+        } else if (this.cropMode === 'smart') {
+            crop = this.findSmartCrop(item, visualParams, format, masters);
+        }
+        if (crop) {
+            crops.used[format.name] = crop;
+        }
+
+        return crop;
+    }
+
+    /**
+     * Cut a format out of a master rendered at the format's scale, then run the
+     * filters on the crop, so effects such as the vignette fit the format
+     * Crops are in layout units, the master in pixels
+     */
+    cropMaster(master, format, crop, visualParams) {
+        const scale = format.scale || 1;
+        const pixelSize = Formats.getPixelSize(format);
+
+        const canvas = this.applyCropMode(master, pixelSize.width, pixelSize.height, crop && {
+            x: crop.x * scale,
+            y: crop.y * scale,
+            width: crop.width * scale,
+            height: crop.height * scale
+        });
+        Filters.apply(canvas.getContext('2d'), visualParams.filters || [], {
+            palette: PaletteGenerator.getPalette(visualParams),
+            seed: visualParams.seed,
+            scale,
+            tileable: visualParams.tileable
+        });
+
+        return canvas;
+    }
+
+    /**
+     * Render every format as a seamless loop
+     * Frames are rendered one at a time and handed to each format's writer; in
+     * the master layout each frame's master is rendered once and cropped into
+     * every format, with the crops chosen on the still image
+     * @returns {Promise<Array<string>>} Generated file (or frame directory) paths
+     */
+    async generateAnimations(item, visualParams, formats, masters, crops) {
+        const settings = this.animation;
+        const { label } = Animation.FORMATS[settings.format];
+        await fs.mkdir(this.config.output.directory, { recursive: true });
+
+        const outputs = [];
+        for (const format of formats) {
+            try {
+                const { width, height } = Formats.getPixelSize(format);
+                const outputPath = path.join(this.config.output.directory, this.getAnimationFileName(item.id, format.name));
+                const crop = this.layout === 'master' ? this.resolveCrop(item, visualParams, format, masters, crops) : null;
+
+                outputs.push({ format, crop, outputPath, writer: new AnimationWriter(outputPath, settings, width, height, this.ffmpeg) });
+            } catch (error) {
+                this.logger.error(`Failed to generate ${format.name} for item ${item.id}: ${error.message}`);
+            }
+        }
+
+        if (!StyleRegistry.get(visualParams.style).animated) {
+            this.logger.warn(`The ${visualParams.style} style does not animate yet; every frame of item ${item.id} will be the same`);
+        }
+        this.logger.info(`Rendering ${settings.frames} frames for item ${item.id} (${label}, ${Math.round(settings.fps * 100) / 100} fps, ${settings.duration}s loop)`);
+
+        for (let frame = 0; frame < settings.frames; frame++) {
+            const frameParams = { ...visualParams, time: Animation.getTime(frame, settings.frames), motion: settings.motion };
+            const frameMasters = {};
+
+            for (const output of outputs.filter(entry => !entry.failed)) {
+                try {
+                    const scale = output.format.scale || 1;
+                    const canvas = this.layout === 'aspect'
+                        ? new VisualGeneratorNode({ ...frameParams, scale }, output.format.width, output.format.height).generate()
+                        : this.cropMaster(this.getMasterImage(frameParams, scale, frameMasters), output.format, output.crop, frameParams);
+
+                    await output.writer.addFrame(canvas);
+                } catch (error) {
+                    output.failed = true;
+                    this.logger.error(`Failed to generate ${output.format.name} for item ${item.id}: ${error.message}`);
+                }
+            }
+
+            this.logger.debug(`Rendered frame ${frame + 1}/${settings.frames} for item ${item.id}`);
+        }
+
+        const generatedFiles = [];
+        for (const output of outputs.filter(entry => !entry.failed)) {
+            try {
+                const size = await output.writer.finish();
+                const { width, height } = Formats.getPixelSize(output.format);
+                generatedFiles.push(output.outputPath);
+                this.logger.info(`Generated ${output.format.name} (${width}×${height}, ${settings.frames} frames, ${label}, ${Encodings.formatBytes(size)}) for item ${item.id}`);
+            } catch (error) {
+                this.logger.error(`Failed to generate ${output.format.name} for item ${item.id}: ${error.message}`);
+            }
+        }
+
+        return generatedFiles;
+    }
+
+    /**
+     * Encode a canvas with the output encoding, within output.maxBytes if set,
+     * and log the settings that were chosen
+     */
+    async writeImage(outputPath, canvas, item, format) {
+        const result = await this.encoder.encode(canvas, this.encoding);
+        await fs.writeFile(outputPath, result.data);
+
+        const { label } = Encodings.FORMATS[this.encoding];
+        const { maxBytes } = this.encoder.settings;
+        const quality = result.quality === null ? '' : ` at quality ${result.quality}`;
+        const budget = maxBytes ? `, budget ${Encodings.formatBytes(maxBytes)}, ${result.attempts} attempt(s)` : '';
+        const summary = `${format.name} for item ${item.id} as ${label}${quality} (${Encodings.formatBytes(result.size)}${budget})`;
+
+        if (!result.fits) {
+            this.logger.warn(`Encoded ${summary}, still over budget`);
+        } else if (result.quality !== null || maxBytes) {
+            this.logger.info(`Encoded ${summary}`);
+        } else {
+            this.logger.debug(`Encoded ${summary}`);
+        }
+    }
+
+    /**
+     * Write a preview of a tile repeated in a 3×3 grid, e.g. "42-landscape-tiled.png",
+     * to check the seams
+     */
+    async writeTilePreview(item, format, tile) {
+        const { createCanvas } = require('canvas');
+        const canvas = createCanvas(tile.width * 3, tile.height * 3);
+        const ctx = canvas.getContext('2d');
+
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 3; column++) {
+                ctx.drawImage(tile, column * tile.width, row * tile.height);
+            }
+        }
+
+        const previewFormat = { ...format, name: `${format.name}-tiled` };
+        await this.writeImage(path.join(this.config.output.directory, this.getFileName(item.id, previewFormat.name)), canvas, item, previewFormat);
+        this.logger.info(`Wrote 3×3 tile preview of ${format.name} for item ${item.id}`);
+    }
+
+    /**
+     * Write a 3×3 tile preview for SVG output, referencing the tile file
+     * instead of copying it, so it stays small and shows the file as written
+     */
+    async writeTilePreviewSvg(item, format, tileFileName, pixelSize) {
+        const { width, height } = pixelSize;
+        const images = [];
+
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 3; column++) {
+                images.push(`<image x="${column * width}" y="${row * height}" width="${width}" height="${height}" href="${encodeURIComponent(tileFileName)}"/>`);
+            }
+        }
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width * 3}" height="${height * 3}" viewBox="0 0 ${width * 3} ${height * 3}">\n${images.join('\n')}\n</svg>\n`;
+        await fs.writeFile(path.join(this.config.output.directory, this.getFileName(item.id, `${format.name}-tiled`)), svg);
+        this.logger.info(`Wrote 3×3 tile preview of ${format.name} for item ${item.id}`);
+    }
+
+    /**
+     * Get the master image for a scale, rendering it on first use
+     * The master is unfiltered; cropMaster() filters each crop
+     * @param {Object} masters - Per-item cache of rendered masters
+     */
+    getMasterImage(visualParams, scale, masters) {
+        const key = `png@${scale}`;
+        masters[key] = masters[key] || this.generateMasterImage({ ...visualParams, scale, filters: null }, this.masterSize);
+        return masters[key];
+    }
+
     /**
      * Generate master image at full size
      */
@@ -106,15 +543,134 @@ class ImageGenerator {
         return generator.generate();
     }
 
+    /**
+     * Generate master image as SVG
+     */
+    generateMasterSvg(visualParams, size) {
+        const generator = new VisualGeneratorNode(visualParams, size, size);
+        return generator.generateSvg({ texture: this.svgTexture });
+    }
+
+    /**
+     * Load the crops saved for an item, if a crops directory is configured
+     */
+    async loadSavedCrops(item, visualParams) {
+        if (!this.cropLoader) {
+            return {};
+        }
+
+        const { crops, warning } = await this.cropLoader.load(
+            this.getCropsFileName(item.id), item, visualParams, this.masterSize
+        );
+        if (warning) {
+            this.logger.warn(warning);
+        }
+
+        return crops;
+    }
+
+    /**
+     * Pick the most interesting region of the master for a format, and log it
+     * so the choice can be inspected afterwards
+     * SVG output is scored on the raster master, which has the same composition
+     */
+    findSmartCrop(item, visualParams, format, masters) {
+        // Score the master at the format's scale, then express the crop in layout units
+        const scale = format.scale || 1;
+        const master = this.getMasterImage(visualParams, scale, masters);
+        const key = `pixels@${scale}`;
+        masters[key] = masters[key] || master.getContext('2d').getImageData(0, 0, master.width, master.height);
+
+        const pixelSize = Formats.getPixelSize(format);
+        const found = this.smartCrop.findCrop(masters[key], pixelSize.width, pixelSize.height);
+        const width = Math.min(Math.round(found.width / scale), this.masterSize);
+        const height = Math.min(Math.round(found.height / scale), this.masterSize);
+        const crop = {
+            ...found,
+            x: Math.min(Math.round(found.x / scale), this.masterSize - width),
+            y: Math.min(Math.round(found.y / scale), this.masterSize - height),
+            width,
+            height
+        };
+        const round = value => Math.round(value * 1000) / 1000;
+
+        this.logger.info(`Smart crop ${format.name} for item ${item.id}: ${crop.width}×${crop.height} at (${crop.x}, ${crop.y}), score ${crop.score.toFixed(2)} (edge ${crop.edge.toFixed(2)}, variance ${crop.variance.toFixed(2)}, density ${crop.density.toFixed(2)})`);
+
+        return {
+            mode: 'smart',
+            x: crop.x,
+            y: crop.y,
+            width: crop.width,
+            height: crop.height,
+            score: round(crop.score),
+            edge: round(crop.edge),
+            variance: round(crop.variance),
+            density: round(crop.density)
+        };
+    }
+
+    /**
+     * Write the crops used for an item next to its images, in the format the
+     * web crop editor exports and generation.crops replays
+     */
+    async writeCrops(item, visualParams, crops) {
+        const filePath = path.join(this.config.output.directory, this.getCropsFileName(item.id));
+        const record = {
+            id: item.id,
+            contentHash: visualParams.contentHash,
+            seed: visualParams.seed,
+            generatorVersion: visualParams.generatorVersion,
+            masterSize: this.masterSize,
+            crops
+        };
+
+        await fs.writeFile(filePath, JSON.stringify(record, null, 2) + '\n');
+        this.logger.debug(`Recorded crops for item ${item.id} in ${filePath}`);
+    }
+
+    /**
+     * Get the source region and output size for a crop, matching applyCropMode()
+     */
+    getCropViewport(sourceWidth, sourceHeight, targetWidth, targetHeight) {
+        if (this.cropMode === 'resize') {
+            // Scale to cover the target, then take the centre
+            const scale = Math.max(targetWidth / sourceWidth, targetHeight / sourceHeight);
+            const width = targetWidth / scale;
+            const height = targetHeight / scale;
+
+            return {
+                x: (sourceWidth - width) / 2,
+                y: (sourceHeight - height) / 2,
+                width,
+                height,
+                outputWidth: targetWidth,
+                outputHeight: targetHeight
+            };
+        }
+
+        // Direct crop from top-left
+        return {
+            x: 0,
+            y: 0,
+            width: targetWidth,
+            height: targetHeight,
+            outputWidth: targetWidth,
+            outputHeight: targetHeight
+        };
+    }
+
     /**
      * Apply crop mode to canvas
+     * @param {Object|null} crop - Source region chosen by smart crop, scaled to the target
      */
-    applyCropMode(sourceCanvas, targetWidth, targetHeight) {
+    applyCropMode(sourceCanvas, targetWidth, targetHeight, crop = null) {
         const { createCanvas } = require('canvas');
         const canvas = createCanvas(targetWidth, targetHeight);
         const ctx = canvas.getContext('2d');
 
-        if (this.config.generation.cropMode === 'resize') {
+        if (crop) {
+            ctx.drawImage(sourceCanvas, crop.x, crop.y, crop.width, crop.height, 0, 0, targetWidth, targetHeight);
+        } else if (this.cropMode === 'resize') {
             // Resize + Crop mode
             this.resizeAndCrop(ctx, sourceCanvas, targetWidth, targetHeight);
         } else {
@@ -168,12 +724,7 @@ class ImageGenerator {
      * Get formats to generate
      */
     getFormats() {
-        const formatMap = {
-            'landscape': { name: 'landscape', width: 1200, height: 628 },
-            'square': { name: 'square', width: 1200, height: 1200 }
-        };
-
-        return this.config.generation.formats.map(name => formatMap[name]);
+        return this.formats;
     }
 
     /**
@@ -183,6 +734,23 @@ class ImageGenerator {
         const pattern = this.config.output.filenamePattern;
         return pattern.replace('{id}', id).replace('{format}', format);
     }
+
+    /**
+     * Get file name for an animated output, with the animation format's
+     * extension, e.g. "42-landscape.gif" (or "42-landscape-frames" for frames)
+     */
+    getAnimationFileName(id, format) {
+        const fileName = this.getFileName(id, format);
+        return fileName.slice(0, fileName.length - path.extname(fileName).length) + Animation.FORMATS[this.animation.format].extension;
+    }
+
+    /**
+     * Get file name for an item's crop record, e.g. "42-crops.json"
+     */
+    getCropsFileName(id) {
+        const fileName = this.getFileName(id, 'crops');
+        return fileName.slice(0, fileName.length - path.extname(fileName).length) + '.json';
+    }
 }
 
 module.exports = ImageGenerator;
@@ -0,0 +1,218 @@
+/**
+ * Palette Extractor
+ * Derives a bg/accents palette from images by median-cut quantization, so
+ * headers can match a brand reference or the photos inside a post
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ColorUtils = require('../core/colors');
+
+class PaletteExtractor {
+    /**
+     * @param {Object} options - { colors: clusters to quantize into (default 6), sampleSize: longest side images are scaled to (default 128), minContrast: OKLab lightness gap between background and accents (default 0.3),
+     *                            timeout: milliseconds a remote image may take (default 15000), maxBytes: largest remote image accepted (default 20 MB) }
+     */
+    constructor(options = {}) {
+        this.colors = options.colors || 6;
+        this.sampleSize = options.sampleSize || 128;
+        this.minContrast = options.minContrast !== undefined ? options.minContrast : 0.3;
+        this.timeout = options.timeout || 15000;
+        this.maxBytes = options.maxBytes || 20 * 1024 * 1024;
+    }
+
+    /**
+     * Build a palette from one or more images
+     * @param {Array<string>} sources - File paths, http(s) URLs or data URIs
+     * @param {string} name - Palette name
+     * @returns {Promise<{palette: Object|null, failed: Array<{source: string, error: string}>}>} Palette (null if no image could be read) and the sources that failed
+     */
+    async fromImages(sources, name) {
+        const samples = [];
+        const failed = [];
+
+        for (const source of sources) {
+            try {
+                samples.push(...await this.loadPixels(source));
+            } catch (error) {
+                failed.push({ source, error: error.message });
+            }
+        }
+
+        if (samples.length === 0) {
+            return { palette: null, failed };
+        }
+
+        return { palette: this.buildPalette(this.quantize(samples, this.colors), name), failed };
+    }
+
+    /**
+     * Decode an image, scale it down and return its opaque pixels as [r, g, b]
+     */
+    async loadPixels(source) {
+        const { createCanvas, loadImage } = require('canvas');
+
+        let input = source;
+        if (/^https?:/i.test(source)) {
+            input = await this.fetchImage(source);
+        } else if (!/^data:/i.test(source) && !fs.existsSync(source)) {
+            throw new Error(`Image not found: ${path.resolve(source)}`);
+        }
+
+        const image = await loadImage(input);
+        const scale = Math.min(1, this.sampleSize / Math.max(image.width, image.height));
+        const width = Math.max(1, Math.round(image.width * scale));
+        const height = Math.max(1, Math.round(image.height * scale));
+
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const pixels = [];
+        for (let i = 0; i < data.length; i += 4) {
+            // Skip transparent pixels so logos on transparent backgrounds are not dominated by black
+            if (data[i + 3] >= 128) {
+                pixels.push([data[i], data[i + 1], data[i + 2]]);
+            }
+        }
+
+        return pixels;
+    }
+
+    /**
+     * Download an image, giving up once it takes longer than the timeout or
+     * grows past the size limit
+     * @param {string} url - http(s) URL
+     * @returns {Promise<Buffer>} Image bytes
+     */
+    async fetchImage(url) {
+        const tooLarge = () => new Error(`Image is larger than the ${Math.round(this.maxBytes / 1024)} KB limit`);
+
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(this.timeout) });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            if (Number(response.headers.get('content-length')) > this.maxBytes) {
+                await response.body.cancel();
+                throw tooLarge();
+            }
+
+            // The header can be missing or wrong, so count the bytes as they arrive too
+            const chunks = [];
+            let received = 0;
+            for await (const chunk of response.body || []) {
+                received += chunk.length;
+                if (received > this.maxBytes) {
+                    throw tooLarge();
+                }
+                chunks.push(chunk);
+            }
+
+            return Buffer.concat(chunks);
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                throw new Error(`No complete response within ${this.timeout / 1000} s`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Median cut: repeatedly split the box with the widest channel range at its median
+     * @param {Array<Array<number>>} pixels - [r, g, b] samples
+     * @param {number} count - Maximum number of clusters
+     * @returns {Array<{rgb: Array<number>, count: number}>} Cluster averages, most populous first
+     */
+    quantize(pixels, count) {
+        const range = box => {
+            let widest = { channel: 0, size: -1 };
+            for (let channel = 0; channel < 3; channel++) {
+                let min = 255;
+                let max = 0;
+                for (const pixel of box) {
+                    min = Math.min(min, pixel[channel]);
+                    max = Math.max(max, pixel[channel]);
+                }
+                if (max - min > widest.size) {
+                    widest = { channel, size: max - min };
+                }
+            }
+            return widest;
+        };
+
+        const boxes = [pixels];
+        while (boxes.length < count) {
+            // Weight the range by population so large, varied regions are split first
+            let target = -1;
+            let best = 0;
+            boxes.forEach((box, index) => {
+                const score = range(box).size * box.length;
+                if (box.length > 1 && score > best) {
+                    best = score;
+                    target = index;
+                }
+            });
+
+            if (target === -1) {
+                break;
+            }
+
+            const box = boxes[target];
+            const { channel } = range(box);
+            const sorted = [...box].sort((a, b) => a[channel] - b[channel]);
+            const median = Math.floor(sorted.length / 2);
+            boxes.splice(target, 1, sorted.slice(0, median), sorted.slice(median));
+        }
+
+        return boxes
+            .map(box => ({
+                rgb: [0, 1, 2].map(channel => box.reduce((sum, pixel) => sum + pixel[channel], 0) / box.length),
+                count: box.length
+            }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Turn clusters into a palette: the dominant color (plus a close neighbour)
+     * becomes the background, the most vivid remaining colors the accents
+     */
+    buildPalette(clusters, name) {
+        const colors = clusters.map(cluster => {
+            const hex = ColorUtils.toHex(cluster.rgb);
+            return { hex, lch: ColorUtils.hexToOklch(hex) };
+        });
+
+        const background = colors[0];
+        const neighbour = colors.slice(1).find(color => Math.abs(color.lch[0] - background.lch[0]) <= 0.15);
+        const bg = neighbour ? [background, neighbour] : [background];
+        const bgLightness = bg.reduce((sum, color) => sum + color.lch[0], 0) / bg.length;
+        const lighter = bgLightness < 0.5;
+
+        let accents = colors
+            .filter(color => !bg.includes(color))
+            .sort((a, b) => b.lch[1] - a.lch[1])
+            .slice(0, 3);
+
+        // Monochrome images: fall back to the background's complement
+        if (accents.length === 0) {
+            const [, chroma, hue] = background.lch;
+            accents = [{ lch: [bgLightness, Math.max(chroma, 0.1), (hue + 180) % 360] }];
+        }
+
+        return {
+            name,
+            bg: bg.map(color => color.hex),
+            accents: accents.map(color => {
+                const [lightness, chroma, hue] = color.lch;
+                const target = lighter
+                    ? Math.max(lightness, Math.min(bgLightness + this.minContrast, 0.98))
+                    : Math.min(lightness, Math.max(bgLightness - this.minContrast, 0.02));
+                return ColorUtils.oklchToHex(target, chroma, hue);
+            })
+        };
+    }
+}
+
+module.exports = PaletteExtractor;
@@ -0,0 +1,367 @@
+/**
+ * Palette Loader
+ * Loads user-defined palettes from config.json and palette files (JSON,
+ * GIMP .gpl, Adobe .ase), validates them and selects one per item
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ColorUtils = require('../core/colors');
+
+class PaletteLoader {
+    /**
+     * Supported selection modes
+     */
+    static get SELECTIONS() {
+        return ['hashed', 'fixed', 'per-category'];
+    }
+
+    /**
+     * Load every user palette from the config's palettes section and palette.file
+     * @param {Object} config - Full configuration
+     * @returns {Array<{name: string, bg: Array<string>, accents: Array<string>}>} Validated palettes
+     */
+    load(config) {
+        const paletteConfig = config.palette || {};
+        const palettes = [];
+
+        if (config.palettes !== undefined) {
+            if (!Array.isArray(config.palettes)) {
+                throw new Error('config palettes: expected an array of palettes');
+            }
+            config.palettes.forEach((palette, index) => {
+                palettes.push(this.validatePalette(palette, `config palettes[${index}]`));
+            });
+        }
+
+        if (paletteConfig.file) {
+            palettes.push(...this.loadFile(paletteConfig.file));
+        }
+
+        if (palettes.length === 0) {
+            throw new Error('Palette mode custom needs at least one palette (config "palettes" or --palette-file)');
+        }
+
+        // Names are how fixed and per-category selection refer to palettes
+        const seen = new Set();
+        for (const palette of palettes) {
+            if (seen.has(palette.name)) {
+                throw new Error(`Duplicate palette name "${palette.name}"`);
+            }
+            seen.add(palette.name);
+        }
+
+        this.validateSelection(paletteConfig, palettes);
+
+        return palettes;
+    }
+
+    /**
+     * Load palettes from a file, picking the parser from the extension
+     * @param {string} filePath - Path to a .json, .gpl or .ase file
+     */
+    loadFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        const source = path.basename(filePath);
+
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Palette file not found: ${filePath}`);
+        }
+
+        switch (ext) {
+            case '.json':
+                return this.parseJson(fs.readFileSync(filePath, 'utf-8'), source);
+
+            case '.gpl':
+                return this.parseGpl(fs.readFileSync(filePath, 'utf-8'), source);
+
+            case '.ase':
+                return this.parseAse(fs.readFileSync(filePath), source);
+
+            default:
+                throw new Error(`Unsupported palette file format: ${ext || filePath} (use .json, .gpl or .ase)`);
+        }
+    }
+
+    /**
+     * JSON: an array of palettes, or an object with a palettes array
+     */
+    parseJson(text, source) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${source}: invalid JSON - ${error.message}`);
+        }
+
+        const palettes = Array.isArray(data) ? data : data && data.palettes;
+        if (!Array.isArray(palettes)) {
+            throw new Error(`${source}: expected an array of palettes or { "palettes": [...] }`);
+        }
+
+        return palettes.map((palette, index) => this.validatePalette(palette, `${source} palettes[${index}]`));
+    }
+
+    /**
+     * GIMP palette: one palette per file, one "R G B name" swatch per line
+     */
+    parseGpl(text, source) {
+        const lines = text.split(/\r?\n/);
+        if (!lines[0] || lines[0].trim() !== 'GIMP Palette') {
+            throw new Error(`${source}: not a GIMP palette (first line must be "GIMP Palette")`);
+        }
+
+        let name = path.basename(source, path.extname(source));
+        const swatches = [];
+
+        lines.slice(1).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const lineLabel = `${source} line ${index + 2}`;
+
+            if (!line || line.startsWith('#') || line.startsWith('Columns:')) {
+                return;
+            }
+            if (line.startsWith('Name:')) {
+                name = line.slice('Name:'.length).trim() || name;
+                return;
+            }
+
+            const match = line.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+            if (!match) {
+                throw new Error(`${lineLabel}: expected "R G B [name]", got "${line}"`);
+            }
+
+            const rgb = match.slice(1, 4).map(Number);
+            if (rgb.some(channel => channel > 255)) {
+                throw new Error(`${lineLabel}: channel values must be 0-255, got "${line}"`);
+            }
+
+            swatches.push({ name: match[4].trim(), color: ColorUtils.toHex(rgb) });
+        });
+
+        return [this.fromSwatches(name, swatches, source)];
+    }
+
+    /**
+     * Adobe Swatch Exchange: each group becomes a palette; swatches outside
+     * any group form a palette named after the file
+     */
+    parseAse(buffer, source) {
+        if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'ASEF') {
+            throw new Error(`${source}: not an Adobe Swatch Exchange file (missing ASEF signature)`);
+        }
+
+        const blockCount = buffer.readUInt32BE(8);
+        const ungrouped = { name: path.basename(source, path.extname(source)), swatches: [] };
+        const groups = [];
+        let group = null;
+        let offset = 12;
+
+        for (let block = 0; block < blockCount; block++) {
+            if (offset + 6 > buffer.length) {
+                throw new Error(`${source}: truncated at block ${block}`);
+            }
+
+            const type = buffer.readUInt16BE(offset);
+            const length = buffer.readUInt32BE(offset + 2);
+            const start = offset + 6;
+            offset = start + length;
+
+            if (offset > buffer.length) {
+                throw new Error(`${source}: truncated at block ${block}`);
+            }
+
+            if (type === 0xC001) {
+                group = { name: this.readAseString(buffer, start).value, swatches: [] };
+                groups.push(group);
+            } else if (type === 0xC002) {
+                group = null;
+            } else if (type === 0x0001) {
+                const { value: name, end } = this.readAseString(buffer, start);
+                const color = this.readAseColor(buffer, end, `${source} swatch "${name}"`);
+                (group || ungrouped).swatches.push({ name, color });
+            }
+        }
+
+        return [ungrouped, ...groups]
+            .filter(entry => entry.swatches.length > 0)
+            .map(entry => this.fromSwatches(entry.name, entry.swatches, source));
+    }
+
+    /**
+     * Read a length-prefixed, null-terminated UTF-16BE string
+     */
+    readAseString(buffer, offset) {
+        const length = buffer.readUInt16BE(offset);
+        const bytes = Buffer.from(buffer.subarray(offset + 2, offset + 2 + length * 2));
+        const value = bytes.swap16().toString('utf16le').replace(/\0+$/, '');
+        return { value, end: offset + 2 + length * 2 };
+    }
+
+    /**
+     * Read an ASE color model and its float values as a hex color
+     */
+    readAseColor(buffer, offset, label) {
+        const model = buffer.toString('ascii', offset, offset + 4).trim();
+        const values = [];
+        const valueCount = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 }[model];
+
+        if (!valueCount) {
+            throw new Error(`${label}: unsupported color model "${model}"`);
+        }
+
+        for (let i = 0; i < valueCount; i++) {
+            values.push(buffer.readFloatBE(offset + 4 + i * 4));
+        }
+
+        switch (model) {
+            case 'RGB':
+                return ColorUtils.toHex(values.map(value => value * 255));
+
+            case 'CMYK': {
+                const [c, m, y, k] = values;
+                return ColorUtils.toHex([c, m, y].map(value => 255 * (1 - value) * (1 - k)));
+            }
+
+            case 'Gray':
+                return ColorUtils.toHex([values[0] * 255, values[0] * 255, values[0] * 255]);
+
+            default:
+                return this.labToHex(values[0] * 100, values[1], values[2]);
+        }
+    }
+
+    /**
+     * CIE Lab (D50, as stored in ASE files) to sRGB hex
+     */
+    labToHex(L, a, b) {
+        const epsilon = 216 / 24389;
+        const kappa = 24389 / 27;
+        const fy = (L + 16) / 116;
+        const fx = fy + a / 500;
+        const fz = fy - b / 200;
+        const inverse = f => (f * f * f > epsilon ? f * f * f : (116 * f - 16) / kappa);
+
+        const x = inverse(fx) * 0.96422;
+        const y = (L > kappa * epsilon ? fy * fy * fy : L / kappa);
+        const z = inverse(fz) * 0.82521;
+
+        // XYZ (D50) to linear sRGB, Bradford-adapted
+        return ColorUtils.toHex([
+            3.1338561 * x - 1.6168667 * y - 0.4906146 * z,
+            -0.9787684 * x + 1.9161415 * y + 0.0334540 * z,
+            0.0719453 * x - 0.2289914 * y + 1.4052427 * z
+        ].map(value => ColorUtils.fromLinear(Math.max(value, 0))));
+    }
+
+    /**
+     * Split a flat swatch list into background and accents
+     * Swatches named "bg..." or "background..." are background colors;
+     * if none are named that way, the first swatch is the background
+     */
+    fromSwatches(name, swatches, source) {
+        const isBackground = swatch => /^(bg|background)\b/i.test(swatch.name);
+        let bg = swatches.filter(isBackground);
+        let accents = swatches.filter(swatch => !isBackground(swatch));
+
+        if (bg.length === 0) {
+            bg = swatches.slice(0, 1);
+            accents = swatches.slice(1);
+        }
+
+        return this.validatePalette({
+            name,
+            bg: bg.map(swatch => swatch.color),
+            accents: accents.map(swatch => swatch.color)
+        }, `${source} palette "${name}"`);
+    }
+
+    /**
+     * Check a palette's shape and colors, normalizing colors to '#rrggbb'
+     * @param {Object} palette - { name, bg, accents }
+     * @param {string} label - Where the palette came from, used in error messages
+     */
+    validatePalette(palette, label) {
+        if (!palette || typeof palette !== 'object' || Array.isArray(palette)) {
+            throw new Error(`${label}: expected an object with name, bg and accents`);
+        }
+        if (typeof palette.name !== 'string' || palette.name.trim() === '') {
+            throw new Error(`${label}: missing "name"`);
+        }
+
+        const name = palette.name.trim();
+        const normalizeList = key => {
+            const colors = palette[key];
+            if (!Array.isArray(colors) || colors.length === 0) {
+                throw new Error(`${label} ("${name}"): "${key}" must be a non-empty array of hex colors`);
+            }
+
+            return colors.map((color, index) => {
+                const hex = ColorUtils.normalizeHex(color);
+                if (!hex) {
+                    throw new Error(`${label} ("${name}"): ${key}[${index}] ${JSON.stringify(color)} is not a hex color (#rgb or #rrggbb)`);
+                }
+                return hex;
+            });
+        };
+
+        return { name, bg: normalizeList('bg'), accents: normalizeList('accents') };
+    }
+
+    /**
+     * Check palette.selection and the palette names it refers to
+     */
+    validateSelection(paletteConfig, palettes) {
+        const selection = paletteConfig.selection || 'hashed';
+        const names = palettes.map(palette => palette.name);
+        const available = `(available: ${names.join(', ')})`;
+
+        if (!PaletteLoader.SELECTIONS.includes(selection)) {
+            throw new Error(`Unknown palette selection: ${selection} (available: ${PaletteLoader.SELECTIONS.join(', ')})`);
+        }
+
+        if (selection === 'fixed' && !names.includes(paletteConfig.name)) {
+            throw new Error(`palette.name "${paletteConfig.name}" does not match any palette ${available}`);
+        }
+
+        if (selection === 'per-category') {
+            Object.entries(paletteConfig.categories || {}).forEach(([category, name]) => {
+                if (!names.includes(name)) {
+                    throw new Error(`palette.categories.${category}: unknown palette "${name}" ${available}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Pick the palette for an item
+     * hashed: by content hash; fixed: palette.name; per-category: the first of the
+     * item's categories listed in palette.categories, falling back to hashed
+     * @param {Array<Object>} palettes - Validated palettes from load()
+     * @param {Object} paletteConfig - The config's palette section
+     * @param {{categories?: Array<string>}} item - Content item
+     * @param {number} contentHash - Content hash from SeedGenerator
+     */
+    select(palettes, paletteConfig, item, contentHash) {
+        const byName = name => palettes.find(palette => palette.name === name);
+
+        switch (paletteConfig.selection || 'hashed') {
+            case 'fixed':
+                return byName(paletteConfig.name);
+
+            case 'per-category': {
+                const categories = paletteConfig.categories || {};
+                const category = (item.categories || []).find(entry => categories[entry]);
+                if (category) {
+                    return byName(categories[category]);
+                }
+                return palettes[contentHash % palettes.length];
+            }
+
+            default:
+                return palettes[contentHash % palettes.length];
+        }
+    }
+}
+
+module.exports = PaletteLoader;
@@ -0,0 +1,100 @@
+/**
+ * Animation Module
+ * Settings and frame timing for animated loops. Each frame is rendered with
+ * params.time running from 0 to 1 over the loop; styles move their noise
+ * offsets around a circle in time, so the last frame leads back into the first
+ */
+
+class Animation {
+    /**
+     * Animated outputs; frames writes one PNG per frame into a directory
+     */
+    static get FORMATS() {
+        return {
+            gif: { label: 'GIF', extension: '.gif' },
+            apng: { label: 'APNG', extension: '.png' },
+            mp4: { label: 'MP4', extension: '.mp4' },
+            frames: { label: 'PNG frames', extension: '-frames' }
+        };
+    }
+
+    /**
+     * Default settings: a 4 second loop at 12 fps with subtle motion
+     */
+    static get DEFAULTS() {
+        return { format: 'gif', fps: 12, duration: 4, frames: null, motion: 0.3 };
+    }
+
+    /**
+     * Fill in defaults and check animation settings
+     * The frame count defaults to fps × duration; an explicit frame count keeps
+     * the loop length and sets the frame rate instead
+     * @param {Object} settings - { format, fps, duration, frames, motion }
+     * @returns {{format: string, fps: number, duration: number, frames: number, motion: number}}
+     */
+    static resolveSettings(settings = {}) {
+        const resolved = {
+            ...Animation.DEFAULTS,
+            ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== null))
+        };
+
+        if (!Animation.FORMATS[resolved.format]) {
+            throw new Error(`Unknown animation format: ${resolved.format} (available: ${Object.keys(Animation.FORMATS).join(', ')})`);
+        }
+        if (typeof resolved.duration !== 'number' || !(resolved.duration > 0) || resolved.duration > 60) {
+            throw new Error(`animation.duration must be a number of seconds from 0 to 60, got ${JSON.stringify(resolved.duration)}`);
+        }
+        if (typeof resolved.motion !== 'number' || !(resolved.motion >= 0) || resolved.motion > 2) {
+            throw new Error(`animation.motion must be a number from 0 to 2, got ${JSON.stringify(resolved.motion)}`);
+        }
+
+        if (settings.frames !== undefined && settings.frames !== null) {
+            if (!Number.isInteger(resolved.frames) || resolved.frames < 2) {
+                throw new Error(`animation.frames must be an integer of at least 2, got ${JSON.stringify(resolved.frames)}`);
+            }
+            resolved.fps = resolved.frames / resolved.duration;
+        } else {
+            resolved.frames = Math.round(resolved.fps * resolved.duration);
+        }
+
+        // GIF delays are in hundredths of a second, and most viewers slow down anything faster than 50 fps
+        if (typeof resolved.fps !== 'number' || !(resolved.fps >= 1) || resolved.fps > 50) {
+            throw new Error(`animation fps must be from 1 to 50, got ${JSON.stringify(Math.round(resolved.fps * 100) / 100)}`);
+        }
+        if (resolved.frames < 2 || resolved.frames > 1000) {
+            throw new Error(`An animation needs from 2 to 1000 frames, got ${resolved.frames}`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Loop time of a frame, from 0 (the still image) up to but excluding 1
+     */
+    static getTime(frame, frames) {
+        return frame / frames;
+    }
+
+    /**
+     * Display time of each frame in a unit (e.g. 100 for GIF hundredths of a
+     * second), rounded so the delays add up to the exact loop length
+     * @param {{frames: number, duration: number}} settings - Resolved settings
+     * @param {number} unitsPerSecond - Units per second
+     * @returns {Array<number>} Delay of each frame
+     */
+    static getDelays(settings, unitsPerSecond) {
+        const total = settings.duration * unitsPerSecond;
+        const delays = [];
+
+        for (let frame = 0; frame < settings.frames; frame++) {
+            delays.push(Math.round(((frame + 1) * total) / settings.frames) - Math.round((frame * total) / settings.frames));
+        }
+
+        return delays;
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Animation;
+}
@@ -0,0 +1,224 @@
+/**
+ * Backgrounds Module
+ * Settings and colour maths of the gradient backgrounds: multi-stop linear
+ * gradients at any angle, radial, conic and noise-warped mesh gradients, all
+ * interpolated through OKLab so midpoints stay clean instead of turning grey
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const BackgroundsDeps = (typeof module !== 'undefined' && module.exports)
+    ? { SeededRandom: require('./random').SeededRandom, ColorUtils: require('./colors') }
+    : { SeededRandom, ColorUtils };
+
+class Backgrounds {
+    /**
+     * Background types; auto picks one from the seed
+     */
+    static get TYPES() {
+        return ['auto', 'linear', 'radial', 'conic', 'mesh'];
+    }
+
+    /**
+     * Default settings: everything derived from the seed
+     */
+    static get DEFAULTS() {
+        return { type: 'auto', angle: null, centerX: null, centerY: null, warp: null };
+    }
+
+    /**
+     * Fill in defaults and check background settings
+     * Settings left at null are derived from the seed by derive()
+     * @param {Object} settings - { type, angle (degrees, 0 = to top, clockwise), centerX, centerY (0-1), warp (0-1) }
+     * @returns {{type: string, angle: number|null, centerX: number|null, centerY: number|null, warp: number|null}}
+     */
+    static resolveSettings(settings = {}) {
+        const resolved = {
+            ...Backgrounds.DEFAULTS,
+            ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== null))
+        };
+        const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+        if (!Backgrounds.TYPES.includes(resolved.type)) {
+            throw new Error(`Unknown background type: ${resolved.type} (available: ${Backgrounds.TYPES.join(', ')})`);
+        }
+        if (resolved.angle !== null && !isNumberIn(resolved.angle, 0, 360)) {
+            throw new Error(`background.angle must be a number of degrees from 0 to 360, got ${JSON.stringify(resolved.angle)}`);
+        }
+        ['centerX', 'centerY', 'warp'].forEach(key => {
+            if (resolved[key] !== null && !isNumberIn(resolved[key], 0, 1)) {
+                throw new Error(`background.${key} must be a number from 0 to 1, got ${JSON.stringify(resolved[key])}`);
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * The background of an image: settings from params.background, the rest derived from the seed
+     * Only mesh gradients and the mirrored vertical linear gradient repeat, so
+     * tileable images pick between those two
+     * @param {Object} params - Visual parameters
+     * @param {Array<string>} colors - Background colours of the palette
+     * @returns {{type: string, angle: number, centerX: number, centerY: number, warp: number,
+     *            colors: Array<string>, mesh: {columns: number, rows: number, colors: Array<string>}}}
+     */
+    static derive(params, colors) {
+        const settings = Backgrounds.resolveSettings(params.background || {});
+
+        // A sequence of its own, drawn in a fixed order so overrides leave the other choices unchanged
+        const algorithm = BackgroundsDeps.SeededRandom.forVersion(params.generatorVersion);
+        const rng = new BackgroundsDeps.SeededRandom((params.seed ^ 0x85ebca6b) >>> 0, algorithm);
+        const typePick = rng.random();
+        const angle = Math.round(rng.random() * 360) % 360;
+        const centerX = Math.round((0.2 + rng.random() * 0.6) * 100) / 100;
+        const centerY = Math.round((0.2 + rng.random() * 0.6) * 100) / 100;
+        const warp = Math.round((0.3 + rng.random() * 0.4) * 100) / 100;
+
+        let type = settings.type;
+        if (type === 'auto') {
+            const weighted = params.tileable
+                ? ['linear', 'mesh', 'mesh']
+                : ['linear', 'linear', 'linear', 'radial', 'radial', 'conic', 'mesh', 'mesh'];
+            type = weighted[Math.floor(typePick * weighted.length)];
+        } else if (params.tileable && type !== 'mesh') {
+            type = 'linear';
+        }
+
+        // Mesh control points take the palette colours in a seeded order, so
+        // neighbouring points differ more often than not
+        const columns = params.tileable ? 4 : 3;
+        const rows = 3;
+        const meshColors = [];
+        for (let i = 0; i < columns * rows; i++) {
+            meshColors.push(colors[Math.floor(rng.random() * colors.length)]);
+        }
+
+        return {
+            type,
+            angle: params.tileable ? 180 : (settings.angle !== null ? settings.angle : angle),
+            centerX: settings.centerX !== null ? settings.centerX : centerX,
+            centerY: settings.centerY !== null ? settings.centerY : centerY,
+            warp: settings.warp !== null ? settings.warp : warp,
+            colors: params.tileable ? [...colors, ...colors.slice(0, -1).reverse()] : colors,
+            mesh: { columns, rows, colors: meshColors }
+        };
+    }
+
+    /**
+     * Gradient stops for a canvas or SVG gradient, with extra stops between the
+     * colours so the browser's sRGB interpolation follows the OKLab ramp
+     * @param {Array<string>} colors - Colours spread evenly from 0 to 1
+     * @param {number} [steps=8] - Stops per pair of colours
+     * @returns {Array<{offset: number, color: string}>}
+     */
+    static getStops(colors, steps = 8) {
+        if (colors.length === 1) {
+            return [{ offset: 0, color: colors[0] }, { offset: 1, color: colors[0] }];
+        }
+
+        const stops = [];
+        const count = (colors.length - 1) * steps;
+        for (let i = 0; i <= count; i++) {
+            stops.push({ offset: i / count, color: BackgroundsDeps.ColorUtils.rampAtOklab(colors, i / count) });
+        }
+        return stops;
+    }
+
+    /**
+     * End points of a linear gradient at a CSS angle (0 = to top, 90 = to right),
+     * long enough that the first and last colours reach the corners
+     * @returns {{x0: number, y0: number, x1: number, y1: number}}
+     */
+    static getLinearPoints(angle, width, height) {
+        const radians = (angle * Math.PI) / 180;
+        const dx = Math.sin(radians);
+        const dy = -Math.cos(radians);
+        const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+
+        return {
+            x0: width / 2 - dx * half,
+            y0: height / 2 - dy * half,
+            x1: width / 2 + dx * half,
+            y1: height / 2 + dy * half
+        };
+    }
+
+    /**
+     * Colours of a conic gradient around the circle, from the start angle clockwise
+     * The colours run there and back, so the end meets the start without a seam
+     * @param {Array<string>} colors - Background colours
+     * @param {number} size - Number of entries
+     * @returns {Array<Array<number>>} [r, g, b] per entry
+     */
+    static getConicRamp(colors, size) {
+        const loop = [...colors, ...colors.slice(0, -1).reverse()];
+        const ramp = [];
+        for (let i = 0; i < size; i++) {
+            ramp.push(BackgroundsDeps.ColorUtils.parseHex(BackgroundsDeps.ColorUtils.rampAtOklab(loop, i / size)));
+        }
+        return ramp;
+    }
+
+    /**
+     * Position around a conic gradient, from 0 at the start angle to 1 after a full turn clockwise
+     */
+    static getConicPosition(x, y, centerX, centerY, angle) {
+        const degrees = (Math.atan2(x - centerX, centerY - y) * 180) / Math.PI - angle;
+        return (((degrees % 360) + 360) % 360) / 360;
+    }
+
+    /**
+     * Control points of a mesh gradient in OKLab
+     * @param {{columns: number, rows: number, colors: Array<string>}} mesh - Mesh from derive()
+     * @returns {Array<Array<number>>} [L, a, b] per point, row by row
+     */
+    static getMeshPoints(mesh) {
+        return mesh.colors.map(color => BackgroundsDeps.ColorUtils.hexToOklab(color));
+    }
+
+    /**
+     * Colour of a mesh gradient, blending the four surrounding control points
+     * with smoothstep weights so the cell edges do not show
+     * Control points sit at the corners of the unit square and between them; a
+     * periodic mesh instead wraps the last column and row round to the first
+     * @param {Array<Array<number>>} points - Points from getMeshPoints()
+     * @param {{columns: number, rows: number}} mesh - Mesh from derive()
+     * @param {number} u - Horizontal position, 0-1
+     * @param {number} v - Vertical position, 0-1
+     * @param {boolean} [periodic=false] - Whether the mesh repeats
+     * @returns {Array<number>} [r, g, b], unclamped
+     */
+    static getMeshColor(points, mesh, u, v, periodic = false) {
+        const { columns, rows } = mesh;
+        const locate = (t, count) => {
+            if (periodic) {
+                const position = (((t % 1) + 1) % 1) * count;
+                const index = Math.floor(position);
+                return [index % count, (index + 1) % count, position - index];
+            }
+            const position = Math.min(Math.max(t, 0), 1) * (count - 1);
+            const index = Math.min(Math.floor(position), count - 2);
+            return [index, index + 1, position - index];
+        };
+
+        const [x0, x1, fx] = locate(u, columns);
+        const [y0, y1, fy] = locate(v, rows);
+        const sx = fx * fx * (3 - 2 * fx);
+        const sy = fy * fy * (3 - 2 * fy);
+        const a = points[y0 * columns + x0];
+        const b = points[y0 * columns + x1];
+        const c = points[y1 * columns + x0];
+        const d = points[y1 * columns + x1];
+
+        return BackgroundsDeps.ColorUtils.oklabToRgb([0, 1, 2].map(i => {
+            const top = a[i] + (b[i] - a[i]) * sx;
+            const bottom = c[i] + (d[i] - c[i]) * sx;
+            return top + (bottom - top) * sy;
+        }));
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Backgrounds;
+}
@@ -0,0 +1,187 @@
+/**
+ * Color Utilities
+ * Hex parsing, formatting and interpolation shared by the styles, plus
+ * conversions to the perceptual OKLab/OKLCH spaces
+ */
+
+class ColorUtils {
+    /**
+     * Parse '#RRGGBB' or '#RGB' into [r, g, b] (0-255)
+     */
+    static parseHex(hex) {
+        let value = hex.replace('#', '');
+        if (value.length === 3) {
+            value = value.split('').map(c => c + c).join('');
+        }
+        const number = parseInt(value, 16);
+        return [(number >> 16) & 255, (number >> 8) & 255, number & 255];
+    }
+
+    /**
+     * Normalize '#RGB' or '#RRGGBB' (case-insensitive) to '#rrggbb'
+     * @returns {string|null} Normalized color, or null if the value is not a hex color
+     */
+    static normalizeHex(value) {
+        if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value.trim())) {
+            return null;
+        }
+        return ColorUtils.toHex(ColorUtils.parseHex(value.trim()));
+    }
+
+    /**
+     * Format [r, g, b] (0-255, clamped and rounded) as '#rrggbb'
+     */
+    static toHex(rgb) {
+        return '#' + rgb
+            .map(channel => Math.round(Math.min(Math.max(channel, 0), 255)).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Linear interpolation between two hex colors
+     */
+    static lerp(hexA, hexB, t) {
+        const a = ColorUtils.parseHex(hexA);
+        const b = ColorUtils.parseHex(hexB);
+        return ColorUtils.toHex(a.map((channel, i) => channel + (b[i] - channel) * t));
+    }
+
+    /**
+     * Sample a multi-stop color ramp at t (0-1)
+     */
+    static rampAt(colors, t) {
+        if (colors.length === 1) {
+            return colors[0];
+        }
+        const position = Math.min(Math.max(t, 0), 1) * (colors.length - 1);
+        const index = Math.min(Math.floor(position), colors.length - 2);
+        return ColorUtils.lerp(colors[index], colors[index + 1], position - index);
+    }
+
+    /**
+     * Perceptually uniform interpolation between two hex colors, through OKLab
+     */
+    static lerpOklab(hexA, hexB, t) {
+        const a = ColorUtils.hexToOklab(hexA);
+        const b = ColorUtils.hexToOklab(hexB);
+        return ColorUtils.oklabToHex(a.map((value, i) => value + (b[i] - value) * t));
+    }
+
+    /**
+     * Sample a multi-stop color ramp at t (0-1), interpolating through OKLab
+     */
+    static rampAtOklab(colors, t) {
+        if (colors.length === 1) {
+            return colors[0];
+        }
+        const position = Math.min(Math.max(t, 0), 1) * (colors.length - 1);
+        const index = Math.min(Math.floor(position), colors.length - 2);
+        return ColorUtils.lerpOklab(colors[index], colors[index + 1], position - index);
+    }
+
+    /**
+     * Shift every channel of a hex color by the same amount
+     */
+    static shift(hex, amount) {
+        return ColorUtils.toHex(ColorUtils.parseHex(hex).map(channel => channel + amount));
+    }
+
+    /**
+     * sRGB channel (0-255) to linear light (0-1)
+     */
+    static toLinear(channel) {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    /**
+     * Linear light (0-1) to sRGB channel (0-255, unclamped)
+     */
+    static fromLinear(value) {
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return c * 255;
+    }
+
+    /**
+     * Hex color to OKLab [L, a, b]
+     */
+    static hexToOklab(hex) {
+        const [r, g, b] = ColorUtils.parseHex(hex).map(ColorUtils.toLinear);
+
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+        return [
+            0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        ];
+    }
+
+    /**
+     * OKLab [L, a, b] to unclamped sRGB [r, g, b] (0-255)
+     */
+    static oklabToRgb([L, a, b]) {
+        const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+        const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+        const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+        return [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ].map(ColorUtils.fromLinear);
+    }
+
+    /**
+     * OKLab [L, a, b] to hex (clamped to sRGB)
+     */
+    static oklabToHex(lab) {
+        return ColorUtils.toHex(ColorUtils.oklabToRgb(lab));
+    }
+
+    /**
+     * Hex color to OKLCH [L, C, H] with hue in degrees
+     */
+    static hexToOklch(hex) {
+        const [L, a, b] = ColorUtils.hexToOklab(hex);
+        const hue = (Math.atan2(b, a) * 180) / Math.PI;
+        return [L, Math.hypot(a, b), hue < 0 ? hue + 360 : hue];
+    }
+
+    /**
+     * OKLCH to hex, reducing chroma until the color fits in sRGB
+     * so hue and lightness are preserved
+     */
+    static oklchToHex(L, C, H) {
+        const toLab = chroma => {
+            const radians = (H * Math.PI) / 180;
+            return [L, chroma * Math.cos(radians), chroma * Math.sin(radians)];
+        };
+        const inGamut = chroma => ColorUtils.oklabToRgb(toLab(chroma))
+            .every(channel => channel >= -0.5 && channel <= 255.5);
+
+        if (inGamut(C)) {
+            return ColorUtils.oklabToHex(toLab(C));
+        }
+
+        let low = 0;
+        let high = C;
+        for (let i = 0; i < 20; i++) {
+            const mid = (low + high) / 2;
+            if (inGamut(mid)) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return ColorUtils.oklabToHex(toLab(low));
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColorUtils;
+}
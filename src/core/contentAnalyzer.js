@@ -43,6 +43,7 @@ class ContentAnalyzer {
             : 0;
         const readingTime = Math.ceil(wordCount / 200); // Average reading speed: 200 words/min
         const paragraphCount = this.getParagraphCount();
+        const paragraphLengths = this.getParagraphLengths();
 
         return {
             characters,
@@ -50,6 +51,7 @@ class ContentAnalyzer {
             avgWordLength: Math.round(avgWordLength * 10) / 10,
             readingTime,
             paragraphCount,
+            paragraphLengths,
             words,
             cleanContent: this.cleanContent
         };
@@ -87,6 +89,23 @@ class ContentAnalyzer {
         return Math.max(paragraphs.length, 1);
     }
 
+    /**
+     * Get the word count of each paragraph, using the same paragraph rules as getParagraphCount()
+     * @returns {Array<number>}
+     */
+    getParagraphLengths() {
+        const htmlParagraphs = this.rawContent.match(/<p[^>]*>/gi);
+        const paragraphs = htmlParagraphs && htmlParagraphs.length > 0
+            ? this.rawContent.split(/<p[^>]*>/i).slice(1)
+            : this.rawContent.split(/\n\s*\n|\r\n\s*\r\n/);
+
+        const lengths = paragraphs
+            .map(para => this.cleanText(para).split(/\s+/).filter(word => word.length > 0).length)
+            .filter(length => length > 0);
+
+        return lengths.length > 0 ? lengths : [this.getWords().length];
+    }
+
     /**
      * Get content hash (simple implementation for seed generation)
      */
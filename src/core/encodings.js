@@ -0,0 +1,135 @@
+/**
+ * Encodings Module
+ * Image encodings shared by the web downloads and the CLI, their settings,
+ * and the size budget that lowers quality step by step until a file fits
+ */
+
+class Encodings {
+    /**
+     * Supported encodings; lossy ones take a quality from 1 to 100
+     */
+    static get FORMATS() {
+        return {
+            png: { label: 'PNG', mime: 'image/png', extensions: ['.png'], lossy: false },
+            jpeg: { label: 'JPEG', mime: 'image/jpeg', extensions: ['.jpg', '.jpeg'], lossy: true },
+            webp: { label: 'WebP', mime: 'image/webp', extensions: ['.webp'], lossy: true },
+            avif: { label: 'AVIF', mime: 'image/avif', extensions: ['.avif'], lossy: true }
+        };
+    }
+
+    /**
+     * Default quality settings
+     */
+    static get DEFAULTS() {
+        return { quality: 85, minQuality: 40, qualityStep: 5 };
+    }
+
+    /**
+     * Encoding for a file extension such as '.webp'
+     * @returns {string|undefined} Encoding name
+     */
+    static fromExtension(extension) {
+        const ext = extension.toLowerCase();
+        return Object.keys(Encodings.FORMATS).find(name => Encodings.FORMATS[name].extensions.includes(ext));
+    }
+
+    /**
+     * Fill in defaults and check quality settings
+     * @param {Object} settings - { quality, minQuality, qualityStep, maxBytes }
+     * @returns {{quality: number, minQuality: number, qualityStep: number, maxBytes: number|null}}
+     */
+    static resolveSettings(settings = {}) {
+        const resolved = {
+            ...Encodings.DEFAULTS,
+            ...Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined && value !== null)),
+            maxBytes: settings.maxBytes || null
+        };
+
+        for (const key of ['quality', 'minQuality', 'qualityStep']) {
+            const value = resolved[key];
+            if (!Number.isInteger(value) || value < 1 || value > 100) {
+                throw new Error(`${key} must be an integer from 1 to 100, got ${JSON.stringify(value)}`);
+            }
+        }
+        if (resolved.minQuality > resolved.quality) {
+            throw new Error(`minQuality (${resolved.minQuality}) must not be above quality (${resolved.quality})`);
+        }
+        if (resolved.maxBytes !== null && (!Number.isInteger(resolved.maxBytes) || resolved.maxBytes < 1)) {
+            throw new Error(`maxBytes must be a positive integer, got ${JSON.stringify(settings.maxBytes)}`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Parse a byte size such as 800000, "800k", "800KB" or "1.5m"
+     * @returns {number|null} Bytes, or null for an empty value
+     */
+    static parseBytes(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([km]?)b?$/i);
+        if (!match) {
+            throw new Error(`Invalid size "${value}" (use bytes, or a number with k or m, e.g. 800k)`);
+        }
+
+        const multiplier = { '': 1, k: 1024, m: 1024 * 1024 }[match[2].toLowerCase()];
+        return Math.round(parseFloat(match[1]) * multiplier);
+    }
+
+    /**
+     * Human-readable size, e.g. "183 KB"
+     */
+    static formatBytes(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${Math.round(bytes / 1024)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    }
+
+    /**
+     * Encode at the configured quality, then, if a size budget is set, lower
+     * the quality by qualityStep until the result fits or minQuality is reached
+     * Lossless encodings are encoded once, as the quality has no effect on them
+     * @param {string} encoding - Encoding name
+     * @param {function(number): Promise<{data: *, size: number}>} encode - Encodes at a quality from 1 to 100
+     * @param {Object} settings - Settings from resolveSettings()
+     * @returns {Promise<{data: *, size: number, quality: number|null, attempts: number, fits: boolean}>} The encoded image and the settings chosen; fits is false if it is still over budget
+     */
+    static async encodeWithinBudget(encoding, encode, settings) {
+        const { quality, minQuality, qualityStep, maxBytes } = settings;
+
+        if (!Encodings.FORMATS[encoding].lossy) {
+            const result = await encode(null);
+            return { ...result, quality: null, attempts: 1, fits: maxBytes === null || result.size <= maxBytes };
+        }
+
+        let current = quality;
+        let attempts = 0;
+
+        while (true) {
+            const result = await encode(current);
+            attempts++;
+
+            const fits = maxBytes === null || result.size <= maxBytes;
+            if (fits || current === minQuality) {
+                return { ...result, quality: current, attempts, fits };
+            }
+
+            current = Math.max(current - qualityStep, minQuality);
+        }
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Encodings;
+}
@@ -0,0 +1,394 @@
+/**
+ * Filters Module
+ * Post-processing filters that run on the rendered pixels, in the order they
+ * are listed: film grain, vignette, halftone dots, duotone, posterize, blur and
+ * chromatic aberration. They use only seeded hashing and plain arithmetic on
+ * ImageData, so the browser and Node.js produce the same pixels
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const FiltersDeps = (typeof module !== 'undefined' && module.exports)
+    ? { ColorUtils: require('./colors'), Layers: require('./layers') }
+    : { ColorUtils, Layers };
+
+/**
+ * Seeded hash of integer coordinates to 0-1, the same in every JavaScript engine
+ */
+function hashNoise(x, y, seed) {
+    let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ seed;
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+class Filters {
+    /**
+     * Default settings of each filter; sizes are in layout pixels and scale with
+     * the image. Colours left at null come from the palette
+     */
+    static get DEFAULTS() {
+        return {
+            grain: { size: 1, strength: 0.08, monochrome: true },
+            vignette: { strength: 0.4, radius: 0.5, color: '#000000' },
+            halftone: { size: 6, angle: 45, ink: null, paper: null },
+            duotone: { shadows: null, highlights: null, mix: 1 },
+            posterize: { levels: 4 },
+            blur: { radius: 2 },
+            'chromatic-aberration': { offset: 2 }
+        };
+    }
+
+    /**
+     * Allowed range of each numeric setting
+     */
+    static get RANGES() {
+        return {
+            grain: { size: [0.5, 16], strength: [0, 1] },
+            vignette: { strength: [0, 1], radius: [0, 1] },
+            halftone: { size: [2, 64], angle: [0, 360] },
+            duotone: { mix: [0, 1] },
+            posterize: { levels: [2, 32] },
+            blur: { radius: [0, 50] },
+            'chromatic-aberration': { offset: [0, 50] }
+        };
+    }
+
+    /**
+     * Filter names, in the order of DEFAULTS
+     */
+    static get TYPES() {
+        return Object.keys(Filters.DEFAULTS);
+    }
+
+    /**
+     * Fill in defaults and check a filter chain
+     * @param {Array<string|Object>} filters - Filters in the order they run; each a
+     *                                         name, or { type, ...settings } (see DEFAULTS)
+     * @returns {Array<Object>} Resolved filters, each { type, ...settings }
+     */
+    static resolve(filters = []) {
+        if (!Array.isArray(filters)) {
+            throw new Error('filters must be a list of filter names or { "type": ... } objects');
+        }
+
+        return filters.map((filter, index) => {
+            const entry = typeof filter === 'string' ? { type: filter } : filter;
+            const label = `filters[${index}]`;
+            if (!entry || typeof entry !== 'object' || !Filters.DEFAULTS[entry.type]) {
+                const type = entry && typeof entry === 'object' ? entry.type : entry;
+                throw new Error(`${label}: unknown filter ${JSON.stringify(type)} (available: ${Filters.TYPES.join(', ')})`);
+            }
+
+            const defaults = Filters.DEFAULTS[entry.type];
+            const resolved = { type: entry.type, ...defaults };
+            Object.entries(entry).filter(([key]) => key !== 'type').forEach(([key, value]) => {
+                if (!(key in defaults)) {
+                    throw new Error(`${label}: unknown ${entry.type} setting "${key}" (available: ${Object.keys(defaults).join(', ')})`);
+                }
+                if (value === null || value === undefined) {
+                    return;
+                }
+
+                const fallback = defaults[key];
+                if (typeof fallback === 'boolean') {
+                    if (typeof value !== 'boolean') {
+                        throw new Error(`${label}: ${entry.type}.${key} must be true or false, got ${JSON.stringify(value)}`);
+                    }
+                } else if (typeof fallback === 'number') {
+                    const [min, max] = Filters.RANGES[entry.type][key];
+                    if (typeof value !== 'number' || !(value >= min && value <= max) || (key === 'levels' && !Number.isInteger(value))) {
+                        throw new Error(`${label}: ${entry.type}.${key} must be a number from ${min} to ${max}, got ${JSON.stringify(value)}`);
+                    }
+                } else if (!FiltersDeps.ColorUtils.normalizeHex(value)) {
+                    throw new Error(`${label}: ${entry.type}.${key} must be a hex color, got ${JSON.stringify(value)}`);
+                }
+                resolved[key] = value;
+            });
+
+            return resolved;
+        });
+    }
+
+    /**
+     * Run a filter chain on a raster canvas, in place
+     * @param {CanvasRenderingContext2D} ctx - Context of the canvas to filter; the whole canvas is processed
+     * @param {Array<string|Object>} filters - Filter chain (see resolve())
+     * @param {Object} options
+     * @param {{bg: Array<string>, accents: Array<string>}} options.palette - Palette for colours left at null
+     * @param {number} options.seed - Seed for the grain
+     * @param {number} [options.scale=1] - Pixels per layout pixel
+     * @param {boolean} [options.tileable=false] - Whether grain should wrap at the edges
+     */
+    static apply(ctx, filters, options) {
+        const chain = Filters.resolve(filters);
+        if (chain.length === 0) {
+            return;
+        }
+
+        const { width, height } = ctx.canvas;
+        const imageData = ctx.getImageData(0, 0, width, height);
+        const image = { data: imageData.data, width, height, scale: options.scale || 1 };
+
+        // Darkest and lightest palette colours, the default ink and paper
+        const colors = [...options.palette.bg, ...options.palette.accents]
+            .map(color => ({ color, lightness: FiltersDeps.ColorUtils.hexToOklab(color)[0] }))
+            .sort((a, b) => a.lightness - b.lightness);
+        const dark = colors[0].color;
+        const light = colors[colors.length - 1].color;
+
+        chain.forEach(filter => {
+            switch (filter.type) {
+                case 'grain':
+                    Filters.grain(image, filter, options.seed >>> 0, Boolean(options.tileable));
+                    break;
+                case 'vignette':
+                    Filters.vignette(image, filter);
+                    break;
+                case 'halftone':
+                    Filters.halftone(image, filter, filter.ink || dark, filter.paper || light);
+                    break;
+                case 'duotone':
+                    Filters.duotone(image, filter, filter.shadows || dark, filter.highlights || light);
+                    break;
+                case 'posterize':
+                    Filters.posterize(image, filter);
+                    break;
+                case 'blur':
+                    Filters.blur(image, filter);
+                    break;
+                default:
+                    Filters.chromaticAberration(image, filter);
+            }
+        });
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Relative luminance of sRGB values (0-255) as 0-1, without linearising
+     */
+    static luminance(r, g, b) {
+        return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+    }
+
+    /**
+     * Film grain: seeded noise added to every pixel
+     * Grains larger than a pixel are blended smoothly between grain centres;
+     * in tileable mode the grains wrap at the edges
+     */
+    static grain({ data, width, height, scale }, { size, strength, monochrome }, seed, tileable) {
+        const grain = Math.max(1, size * scale);
+        const columns = Math.max(1, Math.round(width / grain));
+        const rows = Math.max(1, Math.round(height / grain));
+        // Tileable grains fit the canvas a whole number of times
+        const stepX = tileable ? width / columns : grain;
+        const stepY = tileable ? height / rows : grain;
+        const wrap = (index, count) => (tileable ? index % count : index);
+        const amount = strength * 255;
+
+        const valueAt = (x, y, channel) => {
+            const fx = x / stepX;
+            const fy = y / stepY;
+            const ix = Math.floor(fx);
+            const iy = Math.floor(fy);
+            const channelSeed = (seed + Math.imul(channel, 0x9e3779b9)) | 0;
+            const cell = (cx, cy) => hashNoise(wrap(cx, columns), wrap(cy, rows), channelSeed);
+            if (grain <= 1) {
+                return cell(ix, iy);
+            }
+
+            const tx = fx - ix;
+            const ty = fy - iy;
+            const sx = tx * tx * (3 - 2 * tx);
+            const sy = ty * ty * (3 - 2 * ty);
+            const top = cell(ix, iy) + (cell(ix + 1, iy) - cell(ix, iy)) * sx;
+            const bottom = cell(ix, iy + 1) + (cell(ix + 1, iy + 1) - cell(ix, iy + 1)) * sx;
+            return top + (bottom - top) * sy;
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = (y * width + x) * 4;
+                const shared = monochrome ? (valueAt(x, y, 0) - 0.5) * amount : 0;
+                for (let c = 0; c < 3; c++) {
+                    data[index + c] += monochrome ? shared : (valueAt(x, y, c) - 0.5) * amount;
+                }
+            }
+        }
+    }
+
+    /**
+     * Vignette: fade towards a colour from a radius (share of the half diagonal) out to the corners
+     */
+    static vignette({ data, width, height }, { strength, radius, color }) {
+        const rgb = FiltersDeps.ColorUtils.parseHex(color);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const halfDiagonal = Math.sqrt(centerX * centerX + centerY * centerY);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const dx = x + 0.5 - centerX;
+                const dy = y + 0.5 - centerY;
+                const distance = Math.sqrt(dx * dx + dy * dy) / halfDiagonal;
+                const t = radius >= 1 ? 0 : Math.min(Math.max((distance - radius) / (1 - radius), 0), 1);
+                const amount = strength * t * t * (3 - 2 * t);
+                if (amount <= 0) {
+                    continue;
+                }
+
+                const index = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    data[index + c] += (rgb[c] - data[index + c]) * amount;
+                }
+            }
+        }
+    }
+
+    /**
+     * Halftone: a screen of ink dots on paper, each dot sized by the darkness
+     * of the image at its centre, like a risograph print
+     */
+    static halftone({ data, width, height, scale }, { size, angle }, ink, paper) {
+        const source = new Uint8ClampedArray(data);
+        const inkRgb = FiltersDeps.ColorUtils.parseHex(ink);
+        const paperRgb = FiltersDeps.ColorUtils.parseHex(paper);
+        const cell = size * scale;
+        const radians = (angle * Math.PI) / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // Position on the rotated screen, and the centre of its dot
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const u = px * cos + py * sin;
+                const v = py * cos - px * sin;
+                const centerU = (Math.floor(u / cell) + 0.5) * cell;
+                const centerV = (Math.floor(v / cell) + 0.5) * cell;
+
+                const sampleX = Math.min(Math.max(Math.floor(centerU * cos - centerV * sin), 0), width - 1);
+                const sampleY = Math.min(Math.max(Math.floor(centerU * sin + centerV * cos), 0), height - 1);
+                const sample = (sampleY * width + sampleX) * 4;
+                const darkness = 1 - Filters.luminance(source[sample], source[sample + 1], source[sample + 2]);
+
+                // Dot area matches the darkness; the edge is antialiased over a pixel
+                const dotRadius = cell * Math.sqrt(darkness / Math.PI);
+                const du = u - centerU;
+                const dv = v - centerV;
+                const coverage = Math.min(Math.max(dotRadius - Math.sqrt(du * du + dv * dv) + 0.5, 0), 1);
+
+                const index = (y * width + x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    data[index + c] = paperRgb[c] + (inkRgb[c] - paperRgb[c]) * coverage;
+                }
+            }
+        }
+    }
+
+    /**
+     * Duotone: map luminance onto a ramp from the shadow to the highlight colour, through OKLab
+     */
+    static duotone({ data }, { mix }, shadows, highlights) {
+        const ramp = [];
+        for (let i = 0; i < 256; i++) {
+            ramp.push(FiltersDeps.ColorUtils.parseHex(FiltersDeps.ColorUtils.lerpOklab(shadows, highlights, i / 255)));
+        }
+
+        for (let index = 0; index < data.length; index += 4) {
+            const rgb = ramp[Math.round(Filters.luminance(data[index], data[index + 1], data[index + 2]) * 255)];
+            for (let c = 0; c < 3; c++) {
+                data[index + c] += (rgb[c] - data[index + c]) * mix;
+            }
+        }
+    }
+
+    /**
+     * Posterize: round every channel to a number of levels
+     */
+    static posterize({ data }, { levels }) {
+        const step = 255 / (levels - 1);
+
+        for (let index = 0; index < data.length; index += 4) {
+            for (let c = 0; c < 3; c++) {
+                data[index + c] = Math.round(data[index + c] / step) * step;
+            }
+        }
+    }
+
+    /**
+     * Gaussian blur
+     * The image is blurred together with a plane of ones and divided by it, so
+     * the edges average the pixels inside the canvas instead of fading out
+     */
+    static blur({ data, width, height, scale }, { radius }) {
+        if (radius <= 0) {
+            return;
+        }
+
+        const pixels = new Float32Array(width * height * 5);
+        for (let p = 0, index = 0; index < data.length; p += 5, index += 4) {
+            const alpha = data[index + 3] / 255;
+            pixels[p] = data[index] * alpha;
+            pixels[p + 1] = data[index + 1] * alpha;
+            pixels[p + 2] = data[index + 2] * alpha;
+            pixels[p + 3] = alpha;
+            pixels[p + 4] = 1;
+        }
+
+        FiltersDeps.Layers.blur(pixels, width, height, 5, radius * scale);
+
+        for (let p = 0, index = 0; index < data.length; p += 5, index += 4) {
+            const alpha = pixels[p + 3];
+            if (alpha > 0) {
+                data[index] = pixels[p] / alpha;
+                data[index + 1] = pixels[p + 1] / alpha;
+                data[index + 2] = pixels[p + 2] / alpha;
+            }
+            data[index + 3] = (alpha / pixels[p + 4]) * 255;
+        }
+    }
+
+    /**
+     * Chromatic aberration: red pushed outwards and blue inwards from the
+     * centre, by up to the offset at the corners
+     */
+    static chromaticAberration({ data, width, height, scale }, { offset }) {
+        const source = new Uint8ClampedArray(data);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const shift = (offset * scale) / Math.sqrt(centerX * centerX + centerY * centerY);
+
+        // Bilinear sample of one channel, clamped to the canvas
+        const sample = (x, y, channel) => {
+            const cx = Math.min(Math.max(x - 0.5, 0), width - 1);
+            const cy = Math.min(Math.max(y - 0.5, 0), height - 1);
+            const x0 = Math.floor(cx);
+            const y0 = Math.floor(cy);
+            const x1 = Math.min(x0 + 1, width - 1);
+            const y1 = Math.min(y0 + 1, height - 1);
+            const tx = cx - x0;
+            const ty = cy - y0;
+            const at = (sx, sy) => source[(sy * width + sx) * 4 + channel];
+            const top = at(x0, y0) + (at(x1, y0) - at(x0, y0)) * tx;
+            const bottom = at(x0, y1) + (at(x1, y1) - at(x0, y1)) * tx;
+            return top + (bottom - top) * ty;
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const dx = x + 0.5 - centerX;
+                const dy = y + 0.5 - centerY;
+                const index = (y * width + x) * 4;
+                data[index] = sample(centerX + dx * (1 - shift), centerY + dy * (1 - shift), 0);
+                data[index + 2] = sample(centerX + dx * (1 + shift), centerY + dy * (1 + shift), 2);
+            }
+        }
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Filters;
+}
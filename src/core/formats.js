@@ -0,0 +1,227 @@
+/**
+ * Formats Module
+ * Output format presets shared by the web format picker and the CLI,
+ * validation of user-defined formats, and how formats are laid out
+ */
+
+class Formats {
+    /**
+     * Built-in presets, in display order
+     */
+    static get PRESETS() {
+        return [
+            { name: 'landscape', label: 'Landscape', width: 1200, height: 628 },
+            { name: 'square', label: 'Square', width: 1200, height: 1200 },
+            { name: 'open-graph', label: 'Open Graph', width: 1200, height: 630 },
+            { name: 'pinterest', label: 'Pinterest', width: 1000, height: 1500 },
+            { name: 'stories', label: 'Stories', width: 1080, height: 1920 },
+            { name: 'youtube', label: 'YouTube', width: 1280, height: 720 },
+            { name: 'mastodon', label: 'Mastodon header', width: 1500, height: 500 }
+        ];
+    }
+
+    /**
+     * Layouts: 'aspect' composes every format at its own size and aspect ratio;
+     * 'master' composes one square master and crops every format from it
+     */
+    static get LAYOUTS() {
+        return ['aspect', 'master'];
+    }
+
+    /**
+     * Layout when none is set and no crop settings ask for the master (see resolveLayout())
+     */
+    static get DEFAULT_LAYOUT() {
+        return 'aspect';
+    }
+
+    /**
+     * How the master layout crops each format: 'direct' takes the top-left
+     * corner, 'resize' scales to cover and takes the centre, 'smart' picks the
+     * most visually interesting region (see SmartCrop)
+     */
+    static get CROP_MODES() {
+        return ['direct', 'resize', 'smart'];
+    }
+
+    /**
+     * Default side of the square master
+     */
+    static get DEFAULT_MASTER_SIZE() {
+        return 1200;
+    }
+
+    /**
+     * Largest width or height accepted for a format, in output pixels
+     */
+    static get MAX_SIZE() {
+        return 8000;
+    }
+
+    /**
+     * Largest scale factor accepted for a format (e.g. 2 for @2x)
+     */
+    static get MAX_SCALE() {
+        return 4;
+    }
+
+    /**
+     * Get a preset by name
+     * @returns {Object|undefined}
+     */
+    static getPreset(name) {
+        return Formats.PRESETS.find(preset => preset.name === name);
+    }
+
+    /**
+     * Resolve a list of preset names and {name, width, height, scale?} objects
+     * A preset name may carry a scale suffix, e.g. "landscape@2x"
+     * @param {Array<string|Object>} entries - Entries from generation.formats
+     * @returns {Array<{name: string, label: string, width: number, height: number, scale: number}>} Formats; width and height are the layout size, output pixels are width × scale by height × scale
+     */
+    static resolve(entries) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error('formats: expected a non-empty array of preset names or {name, width, height} objects');
+        }
+
+        const formats = entries.map((entry, index) => Formats.resolveEntry(entry, `formats[${index}]`));
+
+        // Names end up in file names, so they must be unique
+        const seen = new Set();
+        for (const format of formats) {
+            if (seen.has(format.name)) {
+                throw new Error(`formats: duplicate format name "${format.name}"`);
+            }
+            seen.add(format.name);
+        }
+
+        return formats;
+    }
+
+    /**
+     * Side of the square master shared by all crops: the requested size,
+     * enlarged if needed so the largest format is fully covered
+     * @param {Array<{width: number, height: number}>} formats - Formats cropped from the master
+     * @param {number} masterSize - Requested master size (default 1200)
+     */
+    static getMasterSize(formats, masterSize = Formats.DEFAULT_MASTER_SIZE) {
+        return Math.max(masterSize, ...formats.map(format => Math.max(format.width, format.height)));
+    }
+
+    /**
+     * Layout of a generation config. Configs from before the aspect layout set a
+     * crop mode or saved crops and expect the master, so those keep it when no
+     * layout is given
+     * @param {string} [layout] - generation.layout
+     * @param {string} [cropMode] - generation.cropMode
+     * @param {string} [crops] - generation.crops
+     * @returns {string} One of LAYOUTS
+     */
+    static resolveLayout(layout, cropMode, crops) {
+        const resolved = layout || (cropMode || crops ? 'master' : Formats.DEFAULT_LAYOUT);
+        if (resolved === 'aspect' && cropMode && cropMode !== 'direct') {
+            throw new Error(`cropMode "${cropMode}" only applies to the master layout; set layout to "master" or leave cropMode out`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Check layout and master size settings
+     */
+    static validateLayout(layout, masterSize) {
+        if (!Formats.LAYOUTS.includes(layout)) {
+            throw new Error(`Unknown layout: ${layout} (available: ${Formats.LAYOUTS.join(', ')})`);
+        }
+        if (!Number.isInteger(masterSize) || masterSize < 1 || masterSize > Formats.MAX_SIZE) {
+            throw new Error(`masterSize must be an integer from 1 to ${Formats.MAX_SIZE}, got ${JSON.stringify(masterSize)}`);
+        }
+    }
+
+    /**
+     * Check that the master, drawn at the scale of each format cropped from it,
+     * stays within MAX_SIZE pixels
+     * @param {number} masterSize - Master side from getMasterSize()
+     * @param {Array<{name: string, scale: number}>} formats - Formats cropped from the master
+     */
+    static validateMasterScale(masterSize, formats) {
+        const format = formats.find(entry => Math.round(masterSize * entry.scale) > Formats.MAX_SIZE);
+        if (format) {
+            const side = Math.round(masterSize * format.scale);
+            throw new Error(`masterSize ${masterSize} at the scale of "${format.name}" (${format.scale}) needs a ${side}×${side} master, over the ${Formats.MAX_SIZE} pixel limit; lower masterSize or the scale`);
+        }
+    }
+
+    /**
+     * Resolve a single entry
+     */
+    static resolveEntry(entry, label) {
+        if (typeof entry === 'string') {
+            const [, presetName, scaleText] = entry.match(/^(.*?)(?:@(\d+(?:\.\d+)?)x)?$/);
+            const preset = Formats.getPreset(presetName);
+            if (!preset) {
+                throw new Error(`${label}: unknown format "${entry}" (presets: ${Formats.PRESETS.map(p => p.name).join(', ')}, optionally with a scale such as "landscape@2x")`);
+            }
+            return Formats.withScale(preset, scaleText === undefined ? 1 : Number(scaleText), label);
+        }
+
+        if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || !/^[\w-]+$/.test(entry.name)) {
+            throw new Error(`${label}: expected a preset name or {name, width, height} with a name of letters, digits, "-" or "_"`);
+        }
+
+        for (const key of ['width', 'height']) {
+            const value = entry[key];
+            if (!Number.isInteger(value) || value < 1 || value > Formats.MAX_SIZE) {
+                throw new Error(`${label} ("${entry.name}"): ${key} must be an integer from 1 to ${Formats.MAX_SIZE}, got ${JSON.stringify(value)}`);
+            }
+        }
+
+        return Formats.withScale({
+            name: entry.name,
+            label: entry.label || entry.name,
+            width: entry.width,
+            height: entry.height
+        }, entry.scale === undefined ? 1 : entry.scale, label);
+    }
+
+    /**
+     * Apply a scale factor: the composition keeps the format's layout size and
+     * is drawn with more pixels, under a name like "landscape@2x"
+     */
+    static withScale(format, scale, label) {
+        if (typeof scale !== 'number' || !(scale > 0) || scale > Formats.MAX_SCALE) {
+            throw new Error(`${label} ("${format.name}"): scale must be a number above 0 and up to ${Formats.MAX_SCALE}, got ${JSON.stringify(scale)}`);
+        }
+
+        const pixelWidth = Math.round(format.width * scale);
+        const pixelHeight = Math.round(format.height * scale);
+        if (pixelWidth > Formats.MAX_SIZE || pixelHeight > Formats.MAX_SIZE) {
+            throw new Error(`${label} ("${format.name}"): ${pixelWidth}×${pixelHeight} at scale ${scale} exceeds ${Formats.MAX_SIZE} pixels`);
+        }
+
+        if (scale === 1) {
+            return { ...format, scale };
+        }
+
+        return {
+            ...format,
+            name: `${format.name}@${scale}x`,
+            label: `${format.label} @${scale}x`,
+            scale
+        };
+    }
+
+    /**
+     * Output size in pixels
+     * @returns {{width: number, height: number}}
+     */
+    static getPixelSize(format) {
+        const scale = format.scale || 1;
+        return { width: Math.round(format.width * scale), height: Math.round(format.height * scale) };
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Formats;
+}
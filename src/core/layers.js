@@ -0,0 +1,368 @@
+/**
+ * Layers Module
+ * Compositing layers with their own opacity, blend mode, blur and drop shadow.
+ * Raster layers are offscreen canvases composited in JavaScript on ImageData,
+ * not with canvas filters and composite operations, so the browser and
+ * node-canvas produce the same pixels; vector layers become SVG groups
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const LayersDeps = (typeof module !== 'undefined' && module.exports)
+    ? { SeededRandom: require('./random').SeededRandom, ColorUtils: require('./colors') }
+    : { SeededRandom, ColorUtils };
+
+class Layers {
+    /**
+     * Blend modes, as defined for CSS and SVG mix-blend-mode
+     */
+    static get BLEND_MODES() {
+        return ['normal', 'multiply', 'screen', 'overlay', 'soft-light'];
+    }
+
+    /**
+     * Shadow settings used where an override leaves a field out
+     */
+    static get DEFAULT_SHADOW() {
+        return { color: '#000000', opacity: 0.3, blur: 8, offsetX: 0, offsetY: 4 };
+    }
+
+    /**
+     * Settings of every layer, from back to front
+     * Derived from the params: back layers are fainter and softer and the front
+     * layer is opaque and sharp; blend modes lighten dark backgrounds and darken
+     * light ones; the front layer casts a shadow when the content is complex enough
+     * @param {Object} params - Visual parameters
+     * @param {number} count - Number of layers
+     * @param {Object} [overrides] - { opacity, blend, blur, shadow }, see checkOverrides()
+     * @param {boolean} [dark=false] - Whether the background is dark
+     * @returns {Array<{opacity: number, blend: string, blur: number, shadow: Object|null}>}
+     */
+    static resolve(params, count, overrides = {}, dark = false) {
+        Layers.checkOverrides(overrides);
+
+        // A sequence of its own, so the layer settings leave the style's shapes unchanged
+        const algorithm = LayersDeps.SeededRandom.forVersion(params.generatorVersion);
+        const rng = new LayersDeps.SeededRandom((params.seed ^ 0x9e3779b9) >>> 0, algorithm);
+        const blends = dark ? ['screen', 'soft-light', 'overlay', 'normal'] : ['multiply', 'soft-light', 'overlay', 'normal'];
+        const complexity = params.complexity || 0;
+        const round = (value, precision) => Math.round(value * precision) / precision;
+
+        const layers = [];
+        for (let layer = 0; layer < count; layer++) {
+            const depth = count > 1 ? layer / (count - 1) : 1;
+            const front = layer === count - 1;
+            const pick = rng.random();
+
+            const derived = {
+                opacity: round(0.45 + 0.55 * depth, 100),
+                blend: front ? 'normal' : blends[Math.floor(pick * blends.length)],
+                blur: round((1 - depth) * 6 * (params.smoothness || 0), 10),
+                shadow: front && complexity > 0.2
+                    ? { ...Layers.DEFAULT_SHADOW, opacity: dark ? 0.5 : 0.3, blur: round(4 + 8 * complexity, 10), offsetY: round(2 + 4 * complexity, 10) }
+                    : null
+            };
+
+            const override = key => Layers.pick(overrides[key], layer);
+            const shadow = override('shadow');
+            layers.push({
+                opacity: override('opacity') !== undefined ? override('opacity') : derived.opacity,
+                blend: override('blend') !== undefined ? override('blend') : derived.blend,
+                blur: override('blur') !== undefined ? override('blur') : derived.blur,
+                shadow: shadow === undefined ? derived.shadow : Layers.resolveShadow(shadow, derived.shadow)
+            });
+        }
+
+        return layers;
+    }
+
+    /**
+     * Value of an override for a layer: a single value applies to every layer, and
+     * an array lists the layers from back to front, its last value repeating
+     * @returns {*} The value, or undefined if the override is not set
+     */
+    static pick(override, layer) {
+        const value = Array.isArray(override) ? override[Math.min(layer, override.length - 1)] : override;
+        return value === null ? undefined : value;
+    }
+
+    /**
+     * Shadow from an override: false removes it, and true or an object fills in
+     * the derived shadow and then the defaults
+     */
+    static resolveShadow(override, derived) {
+        if (override === false) {
+            return null;
+        }
+
+        const shadow = { ...Layers.DEFAULT_SHADOW, ...derived, ...(override === true ? {} : override) };
+        return { ...shadow, color: LayersDeps.ColorUtils.normalizeHex(shadow.color) };
+    }
+
+    /**
+     * Check layer overrides from config
+     * @param {Object} overrides - { enabled, opacity (0-1), blend (see BLEND_MODES), blur (0-50),
+     *                             shadow (false, true or { color, opacity, blur, offsetX, offsetY }) },
+     *                             each but enabled a value or an array from back to front;
+     *                             enabled is for the caller, which draws flat when it is false
+     */
+    static checkOverrides(overrides) {
+        if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+            throw new Error('layers must be an object with opacity, blend, blur and shadow settings');
+        }
+        if (overrides.enabled !== undefined && typeof overrides.enabled !== 'boolean') {
+            throw new Error(`layers.enabled must be true or false, got ${JSON.stringify(overrides.enabled)}`);
+        }
+
+        const values = key => (Array.isArray(overrides[key]) ? overrides[key] : [overrides[key]])
+            .filter(value => value !== undefined && value !== null);
+        const isNumberIn = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+        values('opacity').forEach(value => {
+            if (!isNumberIn(value, 0, 1)) {
+                throw new Error(`layers.opacity must be a number from 0 to 1, got ${JSON.stringify(value)}`);
+            }
+        });
+        values('blend').forEach(value => {
+            if (!Layers.BLEND_MODES.includes(value)) {
+                throw new Error(`Unknown layer blend mode: ${value} (available: ${Layers.BLEND_MODES.join(', ')})`);
+            }
+        });
+        values('blur').forEach(value => {
+            if (!isNumberIn(value, 0, 50)) {
+                throw new Error(`layers.blur must be a number of pixels from 0 to 50, got ${JSON.stringify(value)}`);
+            }
+        });
+        values('shadow').forEach(value => {
+            if (typeof value === 'boolean') {
+                return;
+            }
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`layers.shadow must be false, true or an object, got ${JSON.stringify(value)}`);
+            }
+            if (value.color !== undefined && !LayersDeps.ColorUtils.normalizeHex(value.color)) {
+                throw new Error(`layers.shadow.color must be a hex color, got ${JSON.stringify(value.color)}`);
+            }
+            if (value.opacity !== undefined && !isNumberIn(value.opacity, 0, 1)) {
+                throw new Error(`layers.shadow.opacity must be a number from 0 to 1, got ${JSON.stringify(value.opacity)}`);
+            }
+            if (value.blur !== undefined && !isNumberIn(value.blur, 0, 50)) {
+                throw new Error(`layers.shadow.blur must be a number of pixels from 0 to 50, got ${JSON.stringify(value.blur)}`);
+            }
+            ['offsetX', 'offsetY'].forEach(key => {
+                if (value[key] !== undefined && !isNumberIn(value[key], -100, 100)) {
+                    throw new Error(`layers.shadow.${key} must be a number of pixels from -100 to 100, got ${JSON.stringify(value[key])}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Create an offscreen layer for a raster context, with the same pixel size and transform
+     * @param {CanvasRenderingContext2D} ctx - Context the layer will be composited onto
+     * @param {{createCanvas: function(number, number): Object}} adapter - Canvas factory
+     * @returns {{canvas: Object, ctx: CanvasRenderingContext2D}}
+     */
+    static create(ctx, adapter) {
+        const canvas = adapter.createCanvas(ctx.canvas.width, ctx.canvas.height);
+        const layerCtx = canvas.getContext('2d');
+        layerCtx.setTransform(ctx.getTransform());
+
+        return { canvas, ctx: layerCtx };
+    }
+
+    /**
+     * Composite a layer and its shadow onto a raster context with the layer's
+     * blend mode and opacity
+     * Blur and shadow sizes are in layout units and scale with the context
+     * @param {CanvasRenderingContext2D} ctx - Destination context
+     * @param {{ctx: CanvasRenderingContext2D}} layer - Layer from create()
+     * @param {{opacity: number, blend: string, blur: number, shadow: Object|null}} settings - Layer settings
+     */
+    static composite(ctx, layer, settings) {
+        const { width, height } = ctx.canvas;
+        const matrix = ctx.getTransform();
+        const scale = Math.sqrt(matrix.a * matrix.a + matrix.b * matrix.b);
+
+        // Blur premultiplied colour, so transparent pixels do not darken the edges
+        const source = layer.ctx.getImageData(0, 0, width, height).data;
+        const pixels = new Float32Array(source.length);
+        for (let i = 0; i < source.length; i += 4) {
+            const alpha = source[i + 3] / 255;
+            pixels[i] = (source[i] / 255) * alpha;
+            pixels[i + 1] = (source[i + 1] / 255) * alpha;
+            pixels[i + 2] = (source[i + 2] / 255) * alpha;
+            pixels[i + 3] = alpha;
+        }
+        if (settings.blur > 0) {
+            Layers.blur(pixels, width, height, 4, settings.blur * scale);
+        }
+
+        let shadow = null;
+        let shadowColor = null;
+        if (settings.shadow && settings.shadow.opacity > 0) {
+            shadow = Layers.getShadow(pixels, width, height, settings.shadow, scale);
+            shadowColor = LayersDeps.ColorUtils.parseHex(settings.shadow.color).map(channel => channel / 255);
+        }
+
+        const target = ctx.getImageData(0, 0, width, height);
+        const data = target.data;
+        const blend = Layers.getBlendFunction(settings.blend);
+        const opacity = settings.opacity;
+
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            // The shadow sits beneath the layer, and the two blend with the backdrop as one, like an SVG group
+            let layerAlpha = pixels[i + 3];
+            const layerColor = [pixels[i], pixels[i + 1], pixels[i + 2]];
+            if (shadow && shadow[p] > 0) {
+                const shadowAlpha = shadow[p] * settings.shadow.opacity * (1 - layerAlpha);
+                for (let c = 0; c < 3; c++) {
+                    layerColor[c] += shadowColor[c] * shadowAlpha;
+                }
+                layerAlpha += shadowAlpha;
+            }
+
+            const sourceAlpha = layerAlpha * opacity;
+            if (!(sourceAlpha > 0)) {
+                continue;
+            }
+
+            // W3C compositing: the blended colour shows where both are opaque, each colour where only it is
+            const backdropAlpha = data[i + 3] / 255;
+            const alpha = sourceAlpha + backdropAlpha * (1 - sourceAlpha);
+            for (let c = 0; c < 3; c++) {
+                const backdrop = data[i + c] / 255;
+                const color = Math.min(layerColor[c] / layerAlpha, 1);
+                const mixed = (1 - backdropAlpha) * color + backdropAlpha * blend(backdrop, color);
+                data[i + c] = Math.round(((sourceAlpha * mixed + backdropAlpha * (1 - sourceAlpha) * backdrop) / alpha) * 255);
+            }
+            data[i + 3] = Math.round(alpha * 255);
+        }
+
+        ctx.putImageData(target, 0, 0);
+    }
+
+    /**
+     * Shadow coverage: the layer's alpha blurred and offset
+     * @returns {Float32Array} Alpha per pixel
+     */
+    static getShadow(pixels, width, height, shadow, scale) {
+        const alpha = new Float32Array(width * height);
+        for (let p = 0; p < alpha.length; p++) {
+            alpha[p] = pixels[p * 4 + 3];
+        }
+        if (shadow.blur > 0) {
+            Layers.blur(alpha, width, height, 1, shadow.blur * scale);
+        }
+
+        const dx = Math.round(shadow.offsetX * scale);
+        const dy = Math.round(shadow.offsetY * scale);
+        if (dx === 0 && dy === 0) {
+            return alpha;
+        }
+
+        const shifted = new Float32Array(alpha.length);
+        for (let y = Math.max(0, dy); y < Math.min(height, height + dy); y++) {
+            for (let x = Math.max(0, dx); x < Math.min(width, width + dx); x++) {
+                shifted[y * width + x] = alpha[(y - dy) * width + x - dx];
+            }
+        }
+        return shifted;
+    }
+
+    /**
+     * Separable blend function B(backdrop, source) on 0-1 channel values
+     */
+    static getBlendFunction(mode) {
+        const multiply = (b, s) => b * s;
+        const screen = (b, s) => b + s - b * s;
+
+        switch (mode) {
+            case 'multiply':
+                return multiply;
+            case 'screen':
+                return screen;
+            case 'overlay':
+                return (b, s) => (b <= 0.5 ? multiply(s, 2 * b) : screen(s, 2 * b - 1));
+            case 'soft-light':
+                return (b, s) => {
+                    if (s <= 0.5) {
+                        return b - (1 - 2 * s) * b * (1 - b);
+                    }
+                    const d = b <= 0.25 ? ((16 * b - 12) * b + 4) * b : Math.sqrt(b);
+                    return b + (2 * s - 1) * (d - b);
+                };
+            default:
+                return (b, s) => s;
+        }
+    }
+
+    /**
+     * Approximate a Gaussian blur in place with three box blurs
+     * Pixels outside the canvas count as transparent
+     * @param {Float32Array} data - Interleaved channel values
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {number} channels - Values per pixel
+     * @param {number} sigma - Standard deviation in pixels
+     */
+    static blur(data, width, height, channels, sigma) {
+        // Box widths whose combined variance matches the Gaussian
+        const ideal = Math.sqrt((12 * sigma * sigma) / 3 + 1);
+        let lower = Math.floor(ideal);
+        if (lower % 2 === 0) {
+            lower--;
+        }
+        const upper = lower + 2;
+        const lowerCount = Math.round((12 * sigma * sigma - 3 * lower * lower - 12 * lower - 9) / (-4 * lower - 4));
+
+        const buffer = new Float32Array(data.length);
+        for (let pass = 0; pass < 3; pass++) {
+            const radius = ((pass < lowerCount ? lower : upper) - 1) / 2;
+            if (radius < 1) {
+                continue;
+            }
+            Layers.boxBlur(data, buffer, width, height, channels, radius, 1, width);
+            Layers.boxBlur(buffer, data, height, width, channels, radius, width, 1);
+        }
+    }
+
+    /**
+     * One box blur pass along lines of a grid, e.g. rows or columns
+     * @param {Float32Array} input - Values to read
+     * @param {Float32Array} output - Values to write
+     * @param {number} length - Pixels along a line
+     * @param {number} lines - Number of lines
+     * @param {number} channels - Values per pixel
+     * @param {number} radius - Box radius in pixels
+     * @param {number} step - Pixel index step along a line
+     * @param {number} lineStep - Pixel index step between lines
+     */
+    static boxBlur(input, output, length, lines, channels, radius, step, lineStep) {
+        const size = radius * 2 + 1;
+
+        for (let line = 0; line < lines; line++) {
+            const start = line * lineStep;
+            for (let c = 0; c < channels; c++) {
+                let sum = 0;
+                for (let i = 0; i < Math.min(radius, length); i++) {
+                    sum += input[(start + i * step) * channels + c];
+                }
+
+                for (let i = 0; i < length; i++) {
+                    if (i + radius < length) {
+                        sum += input[(start + (i + radius) * step) * channels + c];
+                    }
+                    if (i - radius - 1 >= 0) {
+                        sum -= input[(start + (i - radius - 1) * step) * channels + c];
+                    }
+                    output[(start + i * step) * channels + c] = sum / size;
+                }
+            }
+        }
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Layers;
+}
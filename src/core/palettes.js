@@ -0,0 +1,203 @@
+/**
+ * Palettes Module
+ * Picks the palette for a composition: either one of the 10 classic curated
+ * palettes, or a harmonious scheme generated in OKLCH from the content hash
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const PalettesDeps = (typeof module !== 'undefined' && module.exports)
+    ? { ...require('./random'), ColorUtils: require('./colors') }
+    : { SeededRandom, ColorUtils };
+
+class PaletteGenerator {
+    /**
+     * Supported palette modes
+     */
+    static get MODES() {
+        return ['generated', 'classic', 'custom'];
+    }
+
+    /**
+     * Palette mode when none is set: generated palettes from version 5, the
+     * classic ones before, so pinned versions keep their colours
+     * @param {number} [generatorVersion] - Version from the visual params; the current one if missing
+     * @returns {string} Palette mode
+     */
+    static getDefaultMode(generatorVersion) {
+        return generatorVersion < 5 ? 'classic' : 'generated';
+    }
+
+    /**
+     * Harmony schemes used by the generated mode
+     */
+    static get SCHEMES() {
+        return ['analogous', 'complementary', 'triadic'];
+    }
+
+    /**
+     * The original curated palettes
+     * Each palette has a gradient background and accent colors
+     */
+    static get CLASSIC() {
+        return [
+            {
+                name: 'Sunset warmth',
+                bg: ['#FF6B6B', '#FFE66D'],
+                accents: ['#4ECDC4', '#FF6B9D', '#C44569']
+            },
+            {
+                name: 'Ocean depths',
+                bg: ['#667eea', '#764ba2'],
+                accents: ['#f093fb', '#4facfe', '#43e97b']
+            },
+            {
+                name: 'Forest serenity',
+                bg: ['#134E5E', '#71B280'],
+                accents: ['#A8E6CF', '#DCEDC1', '#FFD3B6']
+            },
+            {
+                name: 'Purple dream',
+                bg: ['#A770EF', '#CF8BF3'],
+                accents: ['#FDB99B', '#E8D5B7', '#B8E1DD']
+            },
+            {
+                name: 'Cosmic night',
+                bg: ['#0F2027', '#203A43', '#2C5364'],
+                accents: ['#F857A6', '#FF5858', '#FFC371']
+            },
+            {
+                name: 'Peachy keen',
+                bg: ['#FFA07A', '#FF6B9D'],
+                accents: ['#C44569', '#8B4367', '#1F4068']
+            },
+            {
+                name: 'Mint fresh',
+                bg: ['#56CCF2', '#2F80ED'],
+                accents: ['#6FCF97', '#F2C94C', '#EB5757']
+            },
+            {
+                name: 'Lavender fields',
+                bg: ['#D4A5A5', '#9A86A4'],
+                accents: ['#6C9A8B', '#E9B384', '#F4F2DE']
+            },
+            {
+                name: 'Coral reef',
+                bg: ['#FF9A8B', '#FF6A88'],
+                accents: ['#FF99AC', '#FFEAA7', '#74B9FF']
+            },
+            {
+                name: 'Northern lights',
+                bg: ['#00B4DB', '#0083B0'],
+                accents: ['#74EBD5', '#ACB6E5', '#86A8E7']
+            }
+        ];
+    }
+
+    /**
+     * Palette for a set of visual params
+     * @param {Object} params - Visual params (paletteMode, paletteIndex, contentHash, paletteContrast, customPalette, generatorVersion)
+     * @returns {{name: string, bg: Array<string>, accents: Array<string>}} Palette
+     */
+    static getPalette(params) {
+        const mode = params.paletteMode || PaletteGenerator.getDefaultMode(params.generatorVersion);
+
+        switch (mode) {
+            case 'classic':
+                return PaletteGenerator.CLASSIC[params.paletteIndex];
+
+            case 'generated':
+                return PaletteGenerator.generate(params.contentHash, {
+                    minContrast: params.paletteContrast,
+                    generatorVersion: params.generatorVersion
+                });
+
+            case 'custom':
+                // User palettes are loaded and selected by the caller
+                if (!params.customPalette) {
+                    throw new Error('Palette mode custom requires a palette (params.customPalette)');
+                }
+                return params.customPalette;
+
+            default:
+                throw new Error(`Unknown palette mode: ${mode} (available: ${PaletteGenerator.MODES.join(', ')})`);
+        }
+    }
+
+    /**
+     * Build a palette from a hash: a two-stop background around a base hue and
+     * three accents placed by the harmony scheme
+     * @param {number} hash - Content hash
+     * @param {Object} options - { minContrast: minimum OKLab lightness gap between background and accents (default 0.3),
+     *                            generatorVersion: versions before 5 keep the LCG generator (default: current) }
+     * @returns {{name: string, scheme: string, bg: Array<string>, accents: Array<string>}} Palette
+     */
+    static generate(hash, options = {}) {
+        const algorithm = options.generatorVersion < 5 ? 'lcg' : PalettesDeps.SeededRandom.forVersion(options.generatorVersion);
+        const rng = new PalettesDeps.SeededRandom(hash, algorithm);
+        const minContrast = Math.min(Math.max(options.minContrast !== undefined ? options.minContrast : 0.3, 0), 0.9);
+
+        const scheme = PaletteGenerator.SCHEMES[Math.floor(rng.random() * PaletteGenerator.SCHEMES.length)];
+        const baseHue = rng.random() * 360;
+        const dark = rng.random() < 0.5;
+
+        // Background: low chroma, two close lightness stops
+        const bgChroma = 0.04 + rng.random() * 0.08;
+        const bgStart = dark ? 0.22 + rng.random() * 0.12 : 0.86 + rng.random() * 0.08;
+        let bgLightness = [bgStart, dark ? bgStart + 0.08 : bgStart - 0.08];
+
+        // Accents: saturated, on the opposite side of the lightness range
+        const accentHues = PaletteGenerator.getAccentHues(scheme, baseHue);
+        let accentLightness = accentHues.map(() => (dark ? 0.7 : 0.4) + rng.random() * 0.2);
+        const accentChroma = accentHues.map(() => 0.1 + rng.random() * 0.08);
+
+        // Enforce the lightness gap, pulling the background away when the
+        // accents alone cannot reach it
+        if (dark) {
+            bgLightness = bgLightness.map(l => Math.min(l, 0.97 - minContrast));
+            const floor = Math.max(...bgLightness) + minContrast;
+            accentLightness = accentLightness.map(l => Math.max(l, floor));
+        } else {
+            bgLightness = bgLightness.map(l => Math.max(l, 0.03 + minContrast));
+            const ceiling = Math.min(...bgLightness) - minContrast;
+            accentLightness = accentLightness.map(l => Math.min(l, ceiling));
+        }
+
+        const toHex = PalettesDeps.ColorUtils.oklchToHex;
+
+        return {
+            name: `${scheme} ${Math.round(baseHue)}°`,
+            scheme,
+            bg: bgLightness.map((l, i) => toHex(l, bgChroma, baseHue + i * 20)),
+            accents: accentHues.map((hue, i) => toHex(accentLightness[i], accentChroma[i], hue))
+        };
+    }
+
+    /**
+     * Accent hues for a scheme, in degrees
+     */
+    static getAccentHues(scheme, baseHue) {
+        const offsets = {
+            analogous: [-30, 30, 60],
+            complementary: [160, 180, 200],
+            triadic: [120, 240, 0]
+        }[scheme];
+
+        return offsets.map(offset => (baseHue + offset + 360) % 360);
+    }
+
+    /**
+     * Smallest OKLab lightness gap between any background and accent color
+     */
+    static lightnessContrast(palette) {
+        const lightness = hex => PalettesDeps.ColorUtils.hexToOklab(hex)[0];
+        const bg = palette.bg.map(lightness);
+        const accents = palette.accents.map(lightness);
+
+        return Math.min(...bg.flatMap(b => accents.map(a => Math.abs(a - b))));
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PaletteGenerator;
+}
@@ -0,0 +1,672 @@
+/**
+ * Random Module
+ * Seeded random number generators and noise shared by every renderer,
+ * so the browser and the CLI draw from the same deterministic sequence
+ */
+
+/**
+ * Seeded Random Number Generator
+ * 'lcg' is the linear congruential generator of generator version 1; later
+ * versions use 'sfc32', whose low bits are as well distributed as its high bits
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - Seed from SeedGenerator
+     * @param {string} [algorithm='lcg'] - One of SeededRandom.ALGORITHMS
+     */
+    constructor(seed, algorithm = 'lcg') {
+        if (!SeededRandom.ALGORITHMS.includes(algorithm)) {
+            throw new Error(`Unknown random algorithm: ${algorithm} (available: ${SeededRandom.ALGORITHMS.join(', ')})`);
+        }
+
+        this.seed = seed;
+        this.algorithm = algorithm;
+        this.current = seed;
+
+        if (algorithm === 'sfc32') {
+            // Spread the seed over the 128-bit state with splitmix32, then run
+            // a few rounds so nearby seeds give unrelated sequences
+            let state = ((seed >>> 0) ^ Math.floor(seed / 4294967296)) >>> 0;
+            const splitmix = () => {
+                state = (state + 0x9e3779b9) >>> 0;
+                let z = state;
+                z = Math.imul(z ^ (z >>> 16), 0x85ebca6b);
+                z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35);
+                return (z ^ (z >>> 16)) >>> 0;
+            };
+            this.state = [splitmix(), splitmix(), splitmix(), splitmix()];
+            for (let i = 0; i < 12; i++) {
+                this.nextSfc32();
+            }
+        }
+    }
+
+    static get ALGORITHMS() {
+        return ['lcg', 'sfc32'];
+    }
+
+    /**
+     * Random algorithm of a generator version (see SeedGenerator.GENERATOR_VERSION)
+     * @param {number} [generatorVersion] - Version from the visual params; the current one if missing
+     * @returns {string} Algorithm name
+     */
+    static forVersion(generatorVersion) {
+        return generatorVersion === 1 ? 'lcg' : 'sfc32';
+    }
+
+    /**
+     * Next value
+     * @returns {number} Uniform value in [0, 1)
+     */
+    random() {
+        if (this.algorithm === 'sfc32') {
+            return this.nextSfc32() / 4294967296;
+        }
+
+        // Linear congruential generator
+        this.current = (this.current * 1664525 + 1013904223) % 4294967296;
+        return this.current / 4294967296;
+    }
+
+    /**
+     * Advance the sfc32 state
+     * @returns {number} Unsigned 32-bit output
+     */
+    nextSfc32() {
+        let [a, b, c, d] = this.state;
+        const t = (((a + b) | 0) + d) | 0;
+        d = (d + 1) | 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) | 0;
+        c = (c << 21) | (c >>> 11);
+        c = (c + t) | 0;
+        this.state = [a, b, c, d];
+
+        return t >>> 0;
+    }
+}
+
+/**
+ * Seeded permutation of 0-255, doubled so lookups can add a second index without wrapping
+ */
+function generatePermutation(seed, algorithm) {
+    const p = [];
+    for (let i = 0; i < 256; i++) {
+        p[i] = i;
+    }
+
+    // Fisher-Yates shuffle with seeded random
+    const rng = new SeededRandom(seed, algorithm);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(rng.random() * (i + 1));
+        [p[i], p[j]] = [p[j], p[i]];
+    }
+
+    // Duplicate
+    return [...p, ...p];
+}
+
+/**
+ * Simple Perlin Noise Implementation
+ */
+class PerlinNoise {
+    /**
+     * @param {number} seed - Seed from SeedGenerator
+     * @param {string} [algorithm='lcg'] - Random algorithm that shuffles the lattice
+     */
+    constructor(seed, algorithm = 'lcg') {
+        this.seed = seed;
+        this.algorithm = algorithm;
+        this.permutation = generatePermutation(seed, algorithm);
+    }
+
+    fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    lerp(a, b, t) {
+        return a + t * (b - a);
+    }
+
+    grad(hash, x, y) {
+        const h = hash & 3;
+        const u = h < 2 ? x : y;
+        const v = h < 2 ? y : x;
+        return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+    }
+
+    /**
+     * Lattice index for the permutation table, wrapped to a period if one is given
+     */
+    latticeIndex(i, period) {
+        return (period ? ((i % period) + period) % period : i) & 255;
+    }
+
+    /**
+     * 2D Perlin noise
+     * With periods (whole lattice cells, 0 for none) the field repeats, so
+     * get(x + periodX, y) === get(x, y)
+     * @returns {number} Noise value normalized to 0-1
+     */
+    get(x, y, periodX = 0, periodY = 0) {
+        const X = this.latticeIndex(Math.floor(x), periodX);
+        const Y = this.latticeIndex(Math.floor(y), periodY);
+        const X1 = this.latticeIndex(Math.floor(x) + 1, periodX);
+        const Y1 = this.latticeIndex(Math.floor(y) + 1, periodY);
+
+        x -= Math.floor(x);
+        y -= Math.floor(y);
+
+        const u = this.fade(x);
+        const v = this.fade(y);
+
+        const aa = this.permutation[this.permutation[X] + Y];
+        const ab = this.permutation[this.permutation[X] + Y1];
+        const ba = this.permutation[this.permutation[X1] + Y];
+        const bb = this.permutation[this.permutation[X1] + Y1];
+
+        const res = this.lerp(
+            this.lerp(this.grad(aa, x, y), this.grad(ba, x - 1, y), u),
+            this.lerp(this.grad(ab, x, y - 1), this.grad(bb, x - 1, y - 1), u),
+            v
+        );
+
+        return (res + 1) / 2; // Normalize to 0-1
+    }
+
+    grad3D(hash, x, y, z) {
+        const h = hash & 15;
+        const u = h < 8 ? x : y;
+        const v = h < 4 ? y : (h === 12 || h === 14 ? x : z);
+        return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+    }
+
+    /**
+     * 2D noise at a canvas position that wraps at the canvas edges
+     * The frequency is rounded per axis so a whole number of lattice cells fits the canvas
+     * @param {number} x - Position in pixels
+     * @param {number} y - Position in pixels
+     * @param {number} frequency - Noise frequency per pixel
+     * @param {number} width - Canvas width the field repeats over
+     * @param {number} height - Canvas height the field repeats over
+     * @param {number} [offsetX=0] - Offset in noise units, e.g. to decorrelate uses of the field
+     * @param {number} [offsetY=0] - Offset in noise units
+     * @returns {number} Noise value normalized to 0-1
+     */
+    getTileable(x, y, frequency, width, height, offsetX = 0, offsetY = 0) {
+        const periodX = Math.max(1, Math.round(width * frequency));
+        const periodY = Math.max(1, Math.round(height * frequency));
+        return this.get((x / width) * periodX + offsetX, (y / height) * periodY + offsetY, periodX, periodY);
+    }
+
+    /**
+     * 3D Perlin noise, e.g. to take a 2D slice at depth z
+     * Periods wrap x and y as in get()
+     * @returns {number} Noise value normalized to 0-1
+     */
+    get3D(x, y, z, periodX = 0, periodY = 0) {
+        const X = this.latticeIndex(Math.floor(x), periodX);
+        const Y = this.latticeIndex(Math.floor(y), periodY);
+        const X1 = this.latticeIndex(Math.floor(x) + 1, periodX);
+        const Y1 = this.latticeIndex(Math.floor(y) + 1, periodY);
+        const Z = Math.floor(z) & 255;
+
+        x -= Math.floor(x);
+        y -= Math.floor(y);
+        z -= Math.floor(z);
+
+        const u = this.fade(x);
+        const v = this.fade(y);
+        const w = this.fade(z);
+
+        const p = this.permutation;
+        const aa = p[p[X] + Y] + Z;
+        const ab = p[p[X] + Y1] + Z;
+        const ba = p[p[X1] + Y] + Z;
+        const bb = p[p[X1] + Y1] + Z;
+
+        const res = this.lerp(
+            this.lerp(
+                this.lerp(this.grad3D(p[aa], x, y, z), this.grad3D(p[ba], x - 1, y, z), u),
+                this.lerp(this.grad3D(p[ab], x, y - 1, z), this.grad3D(p[bb], x - 1, y - 1, z), u),
+                v
+            ),
+            this.lerp(
+                this.lerp(this.grad3D(p[aa + 1], x, y, z - 1), this.grad3D(p[ba + 1], x - 1, y, z - 1), u),
+                this.lerp(this.grad3D(p[ab + 1], x, y - 1, z - 1), this.grad3D(p[bb + 1], x - 1, y - 1, z - 1), u),
+                v
+            ),
+            w
+        );
+
+        return (res + 1) / 2; // Normalize to 0-1
+    }
+}
+
+/**
+ * Simplex gradients: the 12 cube edge midpoints for 2D and 3D, and the 32
+ * tesseract edge midpoints for 4D
+ */
+const SIMPLEX_GRADIENTS_3D = [
+    [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+    [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+    [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1]
+];
+
+const SIMPLEX_GRADIENTS_4D = [
+    [0, 1, 1, 1], [0, 1, 1, -1], [0, 1, -1, 1], [0, 1, -1, -1],
+    [0, -1, 1, 1], [0, -1, 1, -1], [0, -1, -1, 1], [0, -1, -1, -1],
+    [1, 0, 1, 1], [1, 0, 1, -1], [1, 0, -1, 1], [1, 0, -1, -1],
+    [-1, 0, 1, 1], [-1, 0, 1, -1], [-1, 0, -1, 1], [-1, 0, -1, -1],
+    [1, 1, 0, 1], [1, 1, 0, -1], [1, -1, 0, 1], [1, -1, 0, -1],
+    [-1, 1, 0, 1], [-1, 1, 0, -1], [-1, -1, 0, 1], [-1, -1, 0, -1],
+    [1, 1, 1, 0], [1, 1, -1, 0], [1, -1, 1, 0], [1, -1, -1, 0],
+    [-1, 1, 1, 0], [-1, 1, -1, 0], [-1, -1, 1, 0], [-1, -1, -1, 0]
+];
+
+// Skew and unskew factors between the simplex grid and the square grid
+const SIMPLEX_F2 = 0.5 * (Math.sqrt(3) - 1);
+const SIMPLEX_G2 = (3 - Math.sqrt(3)) / 6;
+const SIMPLEX_F3 = 1 / 3;
+const SIMPLEX_G3 = 1 / 6;
+const SIMPLEX_F4 = (Math.sqrt(5) - 1) / 4;
+const SIMPLEX_G4 = (5 - Math.sqrt(5)) / 20;
+
+/**
+ * Simplex Noise in 2D, 3D and 4D
+ * Fewer directional artefacts than Perlin noise and cheaper in higher dimensions.
+ * Corner kernels have a squared radius of 0.5, so they fade out at the simplex
+ * faces and the field stays continuous, which seamless tiles rely on
+ */
+class SimplexNoise {
+    /**
+     * @param {number} seed - Seed from SeedGenerator
+     * @param {string} [algorithm='lcg'] - Random algorithm that shuffles the lattice
+     */
+    constructor(seed, algorithm = 'lcg') {
+        this.seed = seed;
+        this.algorithm = algorithm;
+        this.permutation = generatePermutation(seed, algorithm);
+    }
+
+    /**
+     * 2D simplex noise
+     * With periods (0 for none) the field repeats: periodic axes are sampled
+     * around a circle of that circumference in a higher dimension
+     * @returns {number} Noise value normalized to 0-1
+     */
+    get(x, y, periodX = 0, periodY = 0) {
+        if (periodX && periodY) {
+            return this.get4D(...this.wrap(x, periodX), ...this.wrap(y, periodY));
+        }
+        if (periodX) {
+            return this.get3D(...this.wrap(x, periodX), y);
+        }
+        if (periodY) {
+            return this.get3D(x, ...this.wrap(y, periodY));
+        }
+
+        const p = this.permutation;
+
+        // Skew to find the simplex cell, then unskew to the distance from its origin
+        const s = (x + y) * SIMPLEX_F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * SIMPLEX_G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Lower or upper triangle of the cell
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const ii = i & 255;
+        const jj = j & 255;
+
+        const total = this.corner2D(p[ii + p[jj]], x0, y0)
+            + this.corner2D(p[ii + i1 + p[jj + j1]], x0 - i1 + SIMPLEX_G2, y0 - j1 + SIMPLEX_G2)
+            + this.corner2D(p[ii + 1 + p[jj + 1]], x0 - 1 + 2 * SIMPLEX_G2, y0 - 1 + 2 * SIMPLEX_G2);
+
+        return this.normalize(70 * total);
+    }
+
+    /**
+     * 3D simplex noise
+     * Periods wrap x and y as in get(); z then moves through the wrapped field
+     * @returns {number} Noise value normalized to 0-1
+     */
+    get3D(x, y, z, periodX = 0, periodY = 0) {
+        if (periodX && periodY) {
+            const [ax, bx] = this.wrap(x, periodX);
+            const [ay, by] = this.wrap(y, periodY);
+            return this.get4D(ax + z, bx + z, ay + z, by + z);
+        }
+        if (periodX) {
+            return this.get4D(...this.wrap(x, periodX), y, z);
+        }
+        if (periodY) {
+            return this.get4D(x, ...this.wrap(y, periodY), z);
+        }
+
+        const p = this.permutation;
+
+        const s = (x + y + z) * SIMPLEX_F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * SIMPLEX_G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // The second and third corners step along the largest, then the two largest coordinates
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) {
+                [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+            } else if (x0 >= z0) {
+                [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+            } else {
+                [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+            }
+        } else if (y0 < z0) {
+            [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+        } else if (x0 < z0) {
+            [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+        } else {
+            [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+        }
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+
+        const total = this.corner3D(p[ii + p[jj + p[kk]]], x0, y0, z0)
+            + this.corner3D(p[ii + i1 + p[jj + j1 + p[kk + k1]]], x0 - i1 + SIMPLEX_G3, y0 - j1 + SIMPLEX_G3, z0 - k1 + SIMPLEX_G3)
+            + this.corner3D(p[ii + i2 + p[jj + j2 + p[kk + k2]]], x0 - i2 + 2 * SIMPLEX_G3, y0 - j2 + 2 * SIMPLEX_G3, z0 - k2 + 2 * SIMPLEX_G3)
+            + this.corner3D(p[ii + 1 + p[jj + 1 + p[kk + 1]]], x0 - 1 + 3 * SIMPLEX_G3, y0 - 1 + 3 * SIMPLEX_G3, z0 - 1 + 3 * SIMPLEX_G3);
+
+        return this.normalize(76 * total);
+    }
+
+    /**
+     * 4D simplex noise, e.g. for fields that wrap in two directions
+     * @returns {number} Noise value normalized to 0-1
+     */
+    get4D(x, y, z, w) {
+        const p = this.permutation;
+
+        const s = (x + y + z + w) * SIMPLEX_F4;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const l = Math.floor(w + s);
+        const t = (i + j + k + l) * SIMPLEX_G4;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+        const w0 = w - (l - t);
+
+        // Rank the coordinates; the n-th corner steps along the n largest ones
+        let rankX = 0;
+        let rankY = 0;
+        let rankZ = 0;
+        let rankW = 0;
+        if (x0 > y0) rankX++; else rankY++;
+        if (x0 > z0) rankX++; else rankZ++;
+        if (x0 > w0) rankX++; else rankW++;
+        if (y0 > z0) rankY++; else rankZ++;
+        if (y0 > w0) rankY++; else rankW++;
+        if (z0 > w0) rankZ++; else rankW++;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        const ll = l & 255;
+
+        let total = this.corner4D(p[ii + p[jj + p[kk + p[ll]]]], x0, y0, z0, w0);
+        for (let n = 1; n <= 4; n++) {
+            const di = rankX >= 4 - n ? 1 : 0;
+            const dj = rankY >= 4 - n ? 1 : 0;
+            const dk = rankZ >= 4 - n ? 1 : 0;
+            const dl = rankW >= 4 - n ? 1 : 0;
+            const hash = p[ii + di + p[jj + dj + p[kk + dk + p[ll + dl]]]];
+            total += this.corner4D(hash, x0 - di + n * SIMPLEX_G4, y0 - dj + n * SIMPLEX_G4, z0 - dk + n * SIMPLEX_G4, w0 - dl + n * SIMPLEX_G4);
+        }
+
+        return this.normalize(62 * total);
+    }
+
+    /**
+     * Contribution of a simplex corner at an offset from the sample point
+     */
+    corner2D(hash, x, y) {
+        const falloff = 0.5 - x * x - y * y;
+        if (falloff <= 0) {
+            return 0;
+        }
+        const g = SIMPLEX_GRADIENTS_3D[hash % 12];
+        return falloff ** 4 * (g[0] * x + g[1] * y);
+    }
+
+    corner3D(hash, x, y, z) {
+        const falloff = 0.5 - x * x - y * y - z * z;
+        if (falloff <= 0) {
+            return 0;
+        }
+        const g = SIMPLEX_GRADIENTS_3D[hash % 12];
+        return falloff ** 4 * (g[0] * x + g[1] * y + g[2] * z);
+    }
+
+    corner4D(hash, x, y, z, w) {
+        const falloff = 0.5 - x * x - y * y - z * z - w * w;
+        if (falloff <= 0) {
+            return 0;
+        }
+        const g = SIMPLEX_GRADIENTS_4D[hash % 32];
+        return falloff ** 4 * (g[0] * x + g[1] * y + g[2] * z + g[3] * w);
+    }
+
+    /**
+     * Map a periodic coordinate onto a circle whose circumference is the period,
+     * so features keep their size
+     * @returns {Array<number>} Two coordinates
+     */
+    wrap(value, period) {
+        const angle = (value / period) * Math.PI * 2;
+        const radius = period / (Math.PI * 2);
+        return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+    }
+
+    /**
+     * Map raw noise (about -1 to 1) to 0-1
+     */
+    normalize(value) {
+        return Math.min(Math.max((value + 1) / 2, 0), 1);
+    }
+}
+
+/**
+ * Fractal Noise
+ * Sums octaves of Perlin or simplex noise, each at lacunarity times the
+ * frequency and gain times the amplitude of the one before:
+ * - fbm: the noise itself, for soft clouds and terrain
+ * - ridged: 1 - |noise| squared, for sharp crests along the zero crossings
+ * - turbulence: |noise|, for creases and billows
+ * Styles sample it through the same calls as PerlinNoise; one octave of
+ * fbm Perlin noise is the plain PerlinNoise field
+ */
+class FractalNoise {
+    /**
+     * @param {PerlinNoise} perlin - Seeded noise of the renderer; simplex noise is built from its seed
+     * @param {Object} [settings] - { type, fractal, octaves, lacunarity, gain }, see resolveSettings()
+     */
+    constructor(perlin, settings = {}) {
+        this.settings = FractalNoise.resolveSettings(settings);
+        this.base = this.settings.type === 'simplex'
+            ? new SimplexNoise(perlin.seed, perlin.algorithm)
+            : perlin;
+    }
+
+    static get TYPES() {
+        return ['perlin', 'simplex'];
+    }
+
+    static get FRACTALS() {
+        return ['fbm', 'ridged', 'turbulence'];
+    }
+
+    /**
+     * Defaults: single-octave Perlin noise; octaves null lets the style choose
+     */
+    static get DEFAULTS() {
+        return { type: 'perlin', fractal: 'fbm', octaves: null, lacunarity: 2, gain: 0.5 };
+    }
+
+    /**
+     * Fill in defaults and check noise settings
+     * @param {Object} settings - { type, fractal, octaves, lacunarity, gain }
+     * @returns {{type: string, fractal: string, octaves: number|null, lacunarity: number, gain: number}}
+     */
+    static resolveSettings(settings = {}) {
+        const resolved = {
+            ...FractalNoise.DEFAULTS,
+            ...Object.fromEntries(Object.entries(settings || {}).filter(([, value]) => value !== undefined && value !== null))
+        };
+
+        if (!FractalNoise.TYPES.includes(resolved.type)) {
+            throw new Error(`Unknown noise type: ${resolved.type} (available: ${FractalNoise.TYPES.join(', ')})`);
+        }
+        if (!FractalNoise.FRACTALS.includes(resolved.fractal)) {
+            throw new Error(`Unknown noise fractal: ${resolved.fractal} (available: ${FractalNoise.FRACTALS.join(', ')})`);
+        }
+        if (resolved.octaves !== null && (!Number.isInteger(resolved.octaves) || resolved.octaves < 1 || resolved.octaves > 8)) {
+            throw new Error(`noise.octaves must be an integer from 1 to 8, got ${JSON.stringify(resolved.octaves)}`);
+        }
+        if (typeof resolved.lacunarity !== 'number' || !(resolved.lacunarity >= 1) || resolved.lacunarity > 4) {
+            throw new Error(`noise.lacunarity must be a number from 1 to 4, got ${JSON.stringify(resolved.lacunarity)}`);
+        }
+        if (typeof resolved.gain !== 'number' || !(resolved.gain > 0) || resolved.gain > 1) {
+            throw new Error(`noise.gain must be a number from 0 to 1, got ${JSON.stringify(resolved.gain)}`);
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Octave count from the settings, or the style's own count when they leave it open
+     */
+    getOctaves(fallback = 1) {
+        return this.settings.octaves || fallback;
+    }
+
+    /**
+     * 2D noise; periods as in PerlinNoise.get()
+     * @returns {number} Noise value normalized to 0-1
+     */
+    get(x, y, periodX = 0, periodY = 0) {
+        const octaves = this.getOctaves();
+        if (octaves === 1 && this.settings.fractal === 'fbm') {
+            return this.base.get(x, y, periodX, periodY);
+        }
+
+        return this.sum(octaves, (frequency, octave) => {
+            // Periodic axes scale to a whole number of cells, so every octave repeats with the first
+            const octavePeriodX = Math.round(periodX * frequency);
+            const octavePeriodY = Math.round(periodY * frequency);
+            const scaleX = periodX ? octavePeriodX / periodX : frequency;
+            const scaleY = periodY ? octavePeriodY / periodY : frequency;
+
+            return this.base.get(x * scaleX + octave * 17, y * scaleY + octave * 17, octavePeriodX, octavePeriodY);
+        });
+    }
+
+    /**
+     * 2D noise at a canvas position that wraps at the canvas edges; arguments as in PerlinNoise.getTileable()
+     * @returns {number} Noise value normalized to 0-1
+     */
+    getTileable(x, y, frequency, width, height, offsetX = 0, offsetY = 0) {
+        return this.sum(this.getOctaves(), (multiplier, octave) => {
+            const periodX = Math.max(1, Math.round(width * frequency * multiplier));
+            const periodY = Math.max(1, Math.round(height * frequency * multiplier));
+
+            return this.base.get(
+                (x / width) * periodX + offsetX + octave * 17,
+                (y / height) * periodY + offsetY + octave * 17,
+                periodX,
+                periodY
+            );
+        });
+    }
+
+    /**
+     * Sample a 2D slice of the 3D noise field on a regular grid
+     * Octaves are offset in depth and renormalized to 0-1
+     * @param {number} columns - Grid columns
+     * @param {number} rows - Grid rows
+     * @param {number} spacing - Distance between samples in pixels
+     * @param {number} scale - Noise frequency per pixel
+     * @param {number} [z=0] - Depth of the slice
+     * @param {number} [octaves] - Number of octaves, if the settings leave it open (default 1)
+     * @param {{width: number, height: number}} [tile] - Make the field repeat over this many pixels, as in getTileable()
+     * @returns {Float32Array} Row-major values (index = row * columns + column)
+     */
+    sampleGrid(columns, rows, spacing, scale, z = 0, octaves = 1, tile = null) {
+        const values = new Float32Array(columns * rows);
+        const count = this.getOctaves(octaves);
+
+        // Each octave scales the periods with its frequency, so every octave keeps repeating
+        const periodX = tile ? Math.max(1, Math.round(tile.width * scale)) : 0;
+        const periodY = tile ? Math.max(1, Math.round(tile.height * scale)) : 0;
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                values[row * columns + column] = this.sum(count, (multiplier, octave) => {
+                    const octavePeriodX = Math.round(periodX * multiplier);
+                    const octavePeriodY = Math.round(periodY * multiplier);
+                    const x = tile ? ((column * spacing) / tile.width) * octavePeriodX : column * spacing * (scale * multiplier);
+                    const y = tile ? ((row * spacing) / tile.height) * octavePeriodY : row * spacing * (scale * multiplier);
+
+                    return this.base.get3D(x, y, z + octave * 17, octavePeriodX, octavePeriodY);
+                });
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Weighted sum of octaves, shaped by the fractal type and renormalized to 0-1
+     * @param {number} octaves - Number of octaves
+     * @param {function(number, number): number} sample - Noise (0-1) at a frequency multiplier and octave index
+     */
+    sum(octaves, sample) {
+        let value = 0;
+        let total = 0;
+        let amplitude = 1;
+        let multiplier = 1;
+
+        for (let octave = 0; octave < octaves; octave++) {
+            const noise = sample(multiplier, octave);
+
+            if (this.settings.fractal === 'ridged') {
+                value += (1 - Math.abs(noise * 2 - 1)) ** 2 * amplitude;
+            } else if (this.settings.fractal === 'turbulence') {
+                value += Math.abs(noise * 2 - 1) * amplitude;
+            } else {
+                value += noise * amplitude;
+            }
+
+            total += amplitude;
+            amplitude *= this.settings.gain;
+            multiplier *= this.settings.lacunarity;
+        }
+
+        return value / total;
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, PerlinNoise, SimplexNoise, FractalNoise };
+}
@@ -0,0 +1,475 @@
+/**
+ * Renderer Module
+ * Drawing core shared by the browser and the CLI. It only talks to a
+ * Canvas2D context, so both backends produce the same image for the same
+ * params; the backends differ only in the adapter that creates canvases.
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const RendererDeps = (typeof module !== 'undefined' && module.exports)
+    ? { ...require('./random'), PaletteGenerator: require('./palettes'), StyleRegistry: require('./styles'), Symmetry: require('./symmetry'), ColorUtils: require('./colors'), Backgrounds: require('./backgrounds'), Filters: require('./filters') }
+    : { SeededRandom, PerlinNoise, PaletteGenerator, StyleRegistry, Symmetry, ColorUtils, Backgrounds, Filters };
+
+class Renderer {
+    /**
+     * @param {Object} params - Visual parameters from SeedGenerator (params.scale sets the pixel density, default 1;
+     *                          params.tileable makes the image repeat seamlessly; params.texture: false leaves
+     *                          out the noise texture and params.filters lists post-processing filters)
+     * @param {number} width - Layout width; the canvas is width × scale pixels wide
+     * @param {number} height - Layout height; the canvas is height × scale pixels high
+     * @param {{createCanvas: function(number, number): Object, isVector?: boolean}} adapter - Canvas factory for the backend
+     */
+    constructor(params, width, height, adapter) {
+        this.params = params;
+        this.width = width;
+        this.height = height;
+        this.adapter = adapter;
+
+        // Everything is drawn in layout units through a scaled context, so shapes,
+        // strokes and texture keep their look at any scale
+        // Vector output has no pixel density; its owner sets the output size
+        this.scale = adapter.isVector ? 1 : (params.scale || 1);
+        this.pixelWidth = Math.round(width * this.scale);
+        this.pixelHeight = Math.round(height * this.scale);
+
+        // Initialize seeded random number generator, with the algorithm of the generator version
+        this.randomAlgorithm = RendererDeps.SeededRandom.forVersion(params.generatorVersion);
+        this.rng = this.createRandom();
+        this.noise = new RendererDeps.PerlinNoise(params.seed, this.randomAlgorithm);
+    }
+
+    /**
+     * Create a random generator at the start of the seeded sequence
+     * @returns {SeededRandom}
+     */
+    createRandom() {
+        return new RendererDeps.SeededRandom(this.params.seed, this.randomAlgorithm);
+    }
+
+    /**
+     * Render the composition onto a new canvas from the adapter
+     * @returns {HTMLCanvasElement|Canvas} Canvas created by the adapter
+     */
+    render() {
+        const { canvas, ctx } = this.createScaledCanvas();
+
+        const palette = RendererDeps.PaletteGenerator.getPalette(this.params);
+
+        // Draw gradient background
+        this.drawBackground(ctx, palette.bg);
+
+        // Draw the composition with the selected style
+        this.drawStyle(ctx, palette);
+
+        // Draw noise texture overlay, unless params.texture is false
+        // Vector canvases have no pixels to adjust; their owner adds the texture layer
+        if (!canvas.isVector && this.params.texture !== false) {
+            this.drawNoiseTexture(ctx);
+        }
+
+        // Run the post-processing filters in params.filters (see Filters)
+        if (!canvas.isVector && this.params.filters) {
+            RendererDeps.Filters.apply(ctx, this.params.filters, {
+                palette,
+                seed: this.params.seed,
+                scale: this.scale,
+                tileable: this.params.tileable
+            });
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Draw the background from the palette's background colours (see Backgrounds.derive())
+     * Generator versions before 4 drew a vertical sRGB gradient of the first two colours
+     */
+    drawBackground(ctx, colors) {
+        if (this.params.generatorVersion < 4) {
+            this.drawGradientBackground(ctx, colors);
+            return;
+        }
+
+        const background = RendererDeps.Backgrounds.derive(this.params, colors);
+        switch (background.type) {
+            case 'radial':
+                this.drawRadialBackground(ctx, background);
+                break;
+            case 'conic':
+                this.drawConicBackground(ctx, background);
+                break;
+            case 'mesh':
+                this.drawMeshBackground(ctx, background);
+                break;
+            default:
+                this.drawLinearBackground(ctx, background);
+        }
+    }
+
+    /**
+     * Draw a multi-stop linear gradient at the background's angle
+     */
+    drawLinearBackground(ctx, background) {
+        const { x0, y0, x1, y1 } = RendererDeps.Backgrounds.getLinearPoints(background.angle, this.width, this.height);
+        const gradient = ctx.createLinearGradient(x0, y0, x1, y1);
+        RendererDeps.Backgrounds.getStops(background.colors).forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Draw a radial gradient from the background's centre out to the farthest corner
+     */
+    drawRadialBackground(ctx, background) {
+        const x = background.centerX * this.width;
+        const y = background.centerY * this.height;
+        const radius = Math.sqrt(Math.max(x, this.width - x) ** 2 + Math.max(y, this.height - y) ** 2);
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        RendererDeps.Backgrounds.getStops(background.colors).forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Draw a conic gradient around the background's centre
+     * Canvas conic gradients are not available everywhere and SVG has none, so
+     * raster output sets every pixel and vector output draws thin wedges
+     */
+    drawConicBackground(ctx, background) {
+        const centerX = background.centerX * this.width;
+        const centerY = background.centerY * this.height;
+
+        if (ctx.canvas && ctx.canvas.isVector) {
+            const wedges = 180;
+            const ramp = RendererDeps.Backgrounds.getConicRamp(background.colors, wedges);
+            const radius = this.width + this.height;
+            // Each wedge overlaps the next by half a step, so no gaps show between them
+            const step = (Math.PI * 2) / wedges;
+
+            ramp.forEach((rgb, i) => {
+                const start = ((background.angle - 90) * Math.PI) / 180 + i * step;
+                ctx.fillStyle = RendererDeps.ColorUtils.toHex(rgb);
+                ctx.beginPath();
+                ctx.moveTo(centerX, centerY);
+                ctx.lineTo(centerX + Math.cos(start) * radius, centerY + Math.sin(start) * radius);
+                ctx.lineTo(centerX + Math.cos(start + step * 1.5) * radius, centerY + Math.sin(start + step * 1.5) * radius);
+                ctx.closePath();
+                ctx.fill();
+            });
+            return;
+        }
+
+        const size = 1024;
+        const ramp = RendererDeps.Backgrounds.getConicRamp(background.colors, size);
+        const imageData = ctx.createImageData(this.pixelWidth, this.pixelHeight);
+        const pixels = imageData.data;
+
+        for (let row = 0; row < this.pixelHeight; row++) {
+            for (let column = 0; column < this.pixelWidth; column++) {
+                const position = RendererDeps.Backgrounds.getConicPosition(
+                    (column + 0.5) / this.scale, (row + 0.5) / this.scale, centerX, centerY, background.angle
+                );
+                const rgb = ramp[Math.floor(position * size) % size];
+                const index = (row * this.pixelWidth + column) * 4;
+                pixels[index] = rgb[0];
+                pixels[index + 1] = rgb[1];
+                pixels[index + 2] = rgb[2];
+                pixels[index + 3] = 255;
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Draw a mesh gradient: palette colours at a grid of control points, blended
+     * in OKLab and pushed around by low-frequency noise
+     * Raster output sets every layout pixel; vector output draws a grid of
+     * cells in a blurred layer. In tileable mode the mesh and the noise wrap
+     */
+    drawMeshBackground(ctx, background) {
+        const Backgrounds = RendererDeps.Backgrounds;
+        const points = Backgrounds.getMeshPoints(background.mesh);
+        const tileable = Boolean(this.params.tileable);
+        const frequency = 1.5 / Math.max(this.width, this.height);
+        const amplitude = background.warp * 0.35;
+
+        const colorAt = (x, y) => {
+            const warpX = tileable
+                ? this.noise.getTileable(x, y, frequency, this.width, this.height, 31.7, 0)
+                : this.noise.get(x * frequency + 31.7, y * frequency);
+            const warpY = tileable
+                ? this.noise.getTileable(x, y, frequency, this.width, this.height, 0, 47.3)
+                : this.noise.get(x * frequency, y * frequency + 47.3);
+            const u = x / this.width + (warpX - 0.5) * 2 * amplitude;
+            const v = y / this.height + (warpY - 0.5) * 2 * amplitude;
+            return Backgrounds.getMeshColor(points, background.mesh, u, v, tileable);
+        };
+
+        if (ctx.canvas && ctx.canvas.isVector) {
+            // Cells reach two cells past the edges, so the blur does not fade the borders
+            const cell = Math.max(this.width, this.height) / 32;
+            ctx.beginLayer({ opacity: 1, blend: 'normal', blur: cell, shadow: null });
+            for (let y = -cell * 2; y < this.height + cell * 2; y += cell) {
+                for (let x = -cell * 2; x < this.width + cell * 2; x += cell) {
+                    ctx.fillStyle = RendererDeps.ColorUtils.toHex(colorAt(x + cell / 2, y + cell / 2));
+                    ctx.fillRect(x, y, cell + 0.5, cell + 0.5);
+                }
+            }
+            ctx.endLayer();
+            return;
+        }
+
+        const imageData = ctx.createImageData(this.pixelWidth, this.pixelHeight);
+        const pixels = imageData.data;
+
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const rgb = colorAt(x + 0.5, y + 0.5).map(channel => Math.round(this.constrain(channel, 0, 255)));
+
+                this.forEachPixel(x, y, index => {
+                    pixels[index] = rgb[0];
+                    pixels[index + 1] = rgb[1];
+                    pixels[index + 2] = rgb[2];
+                    pixels[index + 3] = 255;
+                });
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Draw gradient background, as generator versions before 4 did
+     * Tileable backgrounds run to the second colour and back, so the top and bottom edges match
+     */
+    drawGradientBackground(ctx, colors) {
+        const gradient = ctx.createLinearGradient(0, 0, 0, this.height);
+        const end = colors.length > 1 ? colors[1] : colors[0];
+        gradient.addColorStop(0, colors[0]);
+        if (this.params.tileable) {
+            gradient.addColorStop(0.5, end);
+            gradient.addColorStop(1, colors[0]);
+        } else {
+            gradient.addColorStop(1, end);
+        }
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    /**
+     * Draw the composition using the style named in params.style,
+     * mirrored according to params.symmetry
+     */
+    drawStyle(ctx, palette) {
+        const segments = RendererDeps.Symmetry.getSegments(
+            this.params.symmetry, this.width, this.height, this.params.shapeVertices || 8
+        );
+
+        if (!segments) {
+            this.drawComposition(ctx, palette, this.rng);
+            return;
+        }
+
+        if (ctx.canvas && ctx.canvas.isVector) {
+            // Vector output has no pixels to copy, so record the style's paths
+            // once and place the recording in every segment
+            ctx.save();
+            const recording = ctx.record(() => this.drawComposition(ctx, palette, this.createRandom()));
+            ctx.restore();
+
+            segments.forEach(segment => {
+                ctx.save();
+                RendererDeps.Symmetry.applySegment(ctx, segment);
+                ctx.replay(recording);
+                ctx.restore();
+            });
+            return;
+        }
+
+        // Raster output: draw the style once on a transparent layer and copy it into each segment
+        const layer = this.createScaledCanvas();
+        this.drawComposition(layer.ctx, palette, this.rng);
+
+        segments.forEach(segment => {
+            ctx.save();
+            RendererDeps.Symmetry.applySegment(ctx, segment);
+            ctx.drawImage(layer.canvas, 0, 0, this.width, this.height);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Draw the style, wrapping it around the edges in tileable mode so shapes
+     * that cross an edge continue on the opposite side
+     * @param {SeededRandom} rng - Random generator the style draws from
+     */
+    drawComposition(ctx, palette, rng) {
+        if (!this.params.tileable) {
+            this.createStyle(rng).draw(ctx, palette);
+            return;
+        }
+
+        const offsets = [];
+        for (const dy of [-1, 0, 1]) {
+            for (const dx of [-1, 0, 1]) {
+                offsets.push({ x: dx * this.width, y: dy * this.height });
+            }
+        }
+
+        if (ctx.canvas && ctx.canvas.isVector) {
+            // Vector output: record the style once and place it shifted a tile in
+            // every direction; the viewBox clips the copies
+            ctx.save();
+            const recording = ctx.record(() => this.createStyle(this.createRandom()).draw(ctx, palette));
+            ctx.restore();
+
+            offsets.forEach(offset => {
+                ctx.save();
+                ctx.translate(offset.x, offset.y);
+                ctx.replay(recording);
+                ctx.restore();
+            });
+            return;
+        }
+
+        // Raster output: draw once on a layer with room for shapes to overflow the
+        // tile, then paste it at every neighbouring tile position
+        const margin = Math.ceil(Math.max(this.width, this.height) / 2);
+        const layerWidth = this.width + margin * 2;
+        const layerHeight = this.height + margin * 2;
+        const layer = this.createScaledCanvas(layerWidth, layerHeight);
+
+        layer.ctx.translate(margin, margin);
+        this.createStyle(rng).draw(layer.ctx, palette);
+
+        offsets.forEach(offset => {
+            ctx.drawImage(layer.canvas, offset.x - margin, offset.y - margin, layerWidth, layerHeight);
+        });
+    }
+
+    /**
+     * Create a canvas at the output resolution, with its context scaled so
+     * drawing code works in layout units
+     * @param {number} [width=this.width] - Layout width
+     * @param {number} [height=this.height] - Layout height
+     * @returns {{canvas: Object, ctx: CanvasRenderingContext2D}}
+     */
+    createScaledCanvas(width = this.width, height = this.height) {
+        const canvas = this.adapter.createCanvas(Math.round(width * this.scale), Math.round(height * this.scale));
+        const ctx = canvas.getContext('2d');
+
+        if (this.scale !== 1) {
+            ctx.scale(this.scale, this.scale);
+        }
+
+        return { canvas, ctx };
+    }
+
+    /**
+     * Instantiate the selected style
+     * @param {SeededRandom} rng - Random generator the style draws from
+     */
+    createStyle(rng) {
+        const styleName = RendererDeps.StyleRegistry.resolve(this.params.style, this.params.contentHash, this.params.generatorVersion);
+        const StyleClass = RendererDeps.StyleRegistry.get(styleName);
+
+        return new StyleClass(this.params, {
+            width: this.width,
+            height: this.height,
+            rng,
+            noise: this.noise,
+            adapter: this.adapter
+        });
+    }
+
+    /**
+     * Add subtle noise texture overlay
+     * The texture is sampled on every second layout pixel; at higher scales each
+     * sample covers its whole block of output pixels, so the grain keeps its size
+     */
+    drawNoiseTexture(ctx) {
+        const imageData = ctx.getImageData(0, 0, this.pixelWidth, this.pixelHeight);
+        const pixels = imageData.data;
+
+        for (let i = 0; i < this.width; i += 2) {
+            for (let j = 0; j < this.height; j += 2) {
+                const noiseVal = this.getTextureNoise(i, j) * 10;
+
+                this.forEachPixel(i, j, index => {
+                    pixels[index] = this.constrain(pixels[index] + noiseVal - 5, 0, 255);
+                    pixels[index + 1] = this.constrain(pixels[index + 1] + noiseVal - 5, 0, 255);
+                    pixels[index + 2] = this.constrain(pixels[index + 2] + noiseVal - 5, 0, 255);
+                });
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Noise value of the texture at a layout pixel, wrapping at the edges in tileable mode
+     */
+    getTextureNoise(x, y) {
+        if (this.params.tileable) {
+            return this.noise.getTileable(x, y, 0.01, this.width, this.height);
+        }
+        return this.noise.get(x * 0.01, y * 0.01);
+    }
+
+    /**
+     * Call back with the index of every output pixel covering a layout pixel
+     */
+    forEachPixel(x, y, callback) {
+        const top = Math.round(y * this.scale);
+        const bottom = Math.min(Math.round((y + 1) * this.scale), this.pixelHeight);
+        const left = Math.round(x * this.scale);
+        const right = Math.min(Math.round((x + 1) * this.scale), this.pixelWidth);
+
+        for (let row = top; row < bottom; row++) {
+            for (let column = left; column < right; column++) {
+                callback((row * this.pixelWidth + column) * 4);
+            }
+        }
+    }
+
+    /**
+     * Draw the noise texture as a transparent overlay instead of adjusting pixels
+     * Lightening is painted white and darkening black, so the layer can sit on
+     * top of vector output and approximate drawNoiseTexture()
+     */
+    drawNoiseOverlay(ctx) {
+        const imageData = ctx.createImageData(this.width, this.height);
+        const pixels = imageData.data;
+
+        for (let i = 0; i < this.width; i += 2) {
+            for (let j = 0; j < this.height; j += 2) {
+                const delta = this.getTextureNoise(i, j) * 10 - 5;
+                const index = (j * this.width + i) * 4;
+                const value = delta > 0 ? 255 : 0;
+
+                pixels[index] = value;
+                pixels[index + 1] = value;
+                pixels[index + 2] = value;
+                pixels[index + 3] = Math.round(Math.abs(delta));
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    /**
+     * Utility: Constrain value between min and max
+     */
+    constrain(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Renderer;
+}
@@ -1,11 +1,69 @@
 /**
  * Seed Generator Module
- * Creates deterministic seed values from content metrics
+ * Creates deterministic seed values from content metrics or a hash of the content
  */
 
+const SeedGeneratorDeps = (typeof module !== 'undefined' && module.exports)
+    ? { Sha256: require('./sha256') }
+    : { Sha256 };
+
 class SeedGenerator {
-    constructor(metrics) {
+    /**
+     * @param {Object} metrics - Metrics from ContentAnalyzer.analyze()
+     * @param {Object} [options] - Seeding options, see resolveOptions()
+     */
+    constructor(metrics, options = {}) {
         this.metrics = metrics;
+        this.options = SeedGenerator.resolveOptions(options);
+    }
+
+    /**
+     * Seeding modes: metrics seeds from word and character counts (the
+     * original behaviour), content from a SHA-256 of the normalized text
+     */
+    static get SEEDING_MODES() {
+        return ['metrics', 'content'];
+    }
+
+    /**
+     * Current generator version. Bump it whenever a change to seeding, the PRNG
+     * or the styles alters the image for the same content, and keep the old
+     * code path behind params.generatorVersion so pinned configs still reproduce it
+     * 1 - LCG random generator
+     * 2 - sfc32 random generator for shapes and noise
+     * 3 - organic layers composited with opacity, blend mode, blur and shadow
+     * 4 - linear, radial, conic and mesh backgrounds with every palette background colour, through OKLab
+     * 5 - generated palettes by default, drawn with sfc32; content seeding takes the content hash from the salted digest
+     */
+    static get GENERATOR_VERSION() {
+        return 5;
+    }
+
+    /**
+     * Fill in defaults and check seeding options
+     * @param {Object} options - { mode, salt, generatorVersion }
+     * @returns {{mode: string, salt: string, generatorVersion: number}}
+     */
+    static resolveOptions({ mode, salt, generatorVersion } = {}) {
+        const resolved = {
+            mode: mode || 'metrics',
+            salt: salt === undefined || salt === null ? '' : salt,
+            generatorVersion: generatorVersion === undefined || generatorVersion === null
+                ? SeedGenerator.GENERATOR_VERSION
+                : generatorVersion
+        };
+
+        if (!SeedGenerator.SEEDING_MODES.includes(resolved.mode)) {
+            throw new Error(`Unknown seeding mode: ${resolved.mode} (available: ${SeedGenerator.SEEDING_MODES.join(', ')})`);
+        }
+        if (typeof resolved.salt !== 'string') {
+            throw new Error(`seeding.salt must be a string, got ${JSON.stringify(resolved.salt)}`);
+        }
+        if (!Number.isInteger(resolved.generatorVersion) || resolved.generatorVersion < 1 || resolved.generatorVersion > SeedGenerator.GENERATOR_VERSION) {
+            throw new Error(`generatorVersion must be an integer from 1 to ${SeedGenerator.GENERATOR_VERSION}, got ${JSON.stringify(resolved.generatorVersion)}`);
+        }
+
+        return resolved;
     }
 
     /**
@@ -13,6 +71,10 @@ class SeedGenerator {
      * This ensures the same content always produces the same visuals
      */
     generateSeed() {
+        if (this.options.mode === 'content') {
+            return this.generateContentSeed();
+        }
+
         const { wordCount, characters, avgWordLength } = this.metrics;
 
         // Combine metrics to create a unique seed
@@ -21,11 +83,46 @@ class SeedGenerator {
         return Math.abs(Math.floor(seed));
     }
 
+    /**
+     * Seed from the SHA-256 of the salt and the normalized text, so any edit to
+     * the wording changes the image while markup and whitespace changes do not
+     * @returns {number} First 32 bits of the digest
+     */
+    generateContentSeed() {
+        const digest = this.contentDigest();
+
+        return ((digest[0] << 24) | (digest[1] << 16) | (digest[2] << 8) | digest[3]) >>> 0;
+    }
+
+    /**
+     * SHA-256 of the salt and the NFC-normalized text
+     * @returns {Uint8Array} 32-byte digest
+     */
+    contentDigest() {
+        const content = this.metrics.cleanContent.normalize('NFC');
+        return SeedGeneratorDeps.Sha256.digest(`${this.options.salt}\u0000${content}`);
+    }
+
+    /**
+     * Hash that picks the palette and the auto style. Content seeding from
+     * version 5 takes it from the next 31 bits of the salted digest, so the salt
+     * changes palettes too; earlier versions and metrics seeding hash the bare text
+     * @returns {number} Non-negative integer
+     */
+    generateContentHash() {
+        if (this.options.mode === 'content' && this.options.generatorVersion >= 5) {
+            const digest = this.contentDigest();
+            return ((digest[4] << 23) | (digest[5] << 15) | (digest[6] << 7) | (digest[7] >>> 1)) >>> 0;
+        }
+
+        return this.hashContent(this.metrics.cleanContent);
+    }
+
     /**
      * Generate visual parameters based on content metrics
      */
     generateVisualParams() {
-        const { wordCount, characters, avgWordLength, readingTime, paragraphCount } = this.metrics;
+        const { wordCount, characters, avgWordLength, readingTime, paragraphCount, paragraphLengths } = this.metrics;
 
         // Map metrics to visual parameters
         // These will be used to control the generative art
@@ -47,17 +144,23 @@ class SeedGenerator {
         const shapeVertices = Math.min(Math.max(paragraphCount, 3), 20);
 
         // Color palette index (based on content hash)
-        const contentHash = this.hashContent(this.metrics.cleanContent);
+        const contentHash = this.generateContentHash();
         const paletteIndex = contentHash % 10; // 10 different palettes
 
         return {
             seed: this.generateSeed(),
+            wordCount,
             density,
             complexity,
             smoothness,
             layers,
             shapeVertices,
-            paletteIndex
+            paragraphCount,
+            paragraphLengths: paragraphLengths || [wordCount],
+            paletteIndex,
+            contentHash,
+            seeding: this.options.mode,
+            generatorVersion: this.options.generatorVersion
         };
     }
 
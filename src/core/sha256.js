@@ -0,0 +1,97 @@
+/**
+ * SHA-256 Module
+ * Synchronous SHA-256 of a string, so content hashing gives the same result
+ * in the browser and in Node.js without waiting on Web Crypto
+ */
+
+class Sha256 {
+    /**
+     * Round constants: fractional parts of the cube roots of the first 64 primes
+     */
+    static get K() {
+        return [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+    }
+
+    /**
+     * Digest of a string, encoded as UTF-8
+     * @param {string} message - Text to hash
+     * @returns {Uint8Array} 32-byte digest
+     */
+    static digest(message) {
+        const K = Sha256.K;
+        const bytes = new TextEncoder().encode(message);
+
+        // Pad with 0x80, zeros, and the message length in bits as a 64-bit big-endian number
+        const length = Math.ceil((bytes.length + 9) / 64) * 64;
+        const padded = new Uint8Array(length);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+        view.setUint32(length - 4, (bytes.length * 8) >>> 0);
+
+        const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const w = new Uint32Array(64);
+        const rotate = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const s1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+                const choice = (e & f) ^ (~e & g);
+                const temp1 = (h + s1 + choice + K[i] + w[i]) >>> 0;
+                const s0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+                const majority = (a & b) ^ (a & c) ^ (b & c);
+                const temp2 = (s0 + majority) >>> 0;
+
+                h = g;
+                g = f;
+                f = e;
+                e = (d + temp1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (temp1 + temp2) >>> 0;
+            }
+
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                hash[i] = (hash[i] + value) >>> 0;
+            });
+        }
+
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+        return digest;
+    }
+
+    /**
+     * Digest of a string as lowercase hex
+     */
+    static hex(message) {
+        return Array.from(Sha256.digest(message), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Sha256;
+}
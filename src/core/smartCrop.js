@@ -0,0 +1,228 @@
+/**
+ * Smart Crop Module
+ * Picks the most visually interesting window of a master image for a target
+ * format, scoring candidate windows by edge energy, colour variance and
+ * shape density
+ */
+
+class SmartCrop {
+    /**
+     * @param {Object} options - Overrides for SmartCrop.defaultOptions
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...SmartCrop.defaultOptions,
+            ...options,
+            weights: { ...SmartCrop.defaultOptions.weights, ...(options.weights || {}) }
+        };
+    }
+
+    /**
+     * Find the best crop window
+     * Windows keep the target's aspect ratio, range from the largest window that
+     * fits down to the target size (never upscaled), and are scored on a
+     * downsampled copy of the image
+     * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData - Master pixels
+     * @param {number} targetWidth - Output width
+     * @param {number} targetHeight - Output height
+     * @returns {{x: number, y: number, width: number, height: number, score: number, edge: number, variance: number, density: number}} Crop in master pixels, with its normalized scores
+     */
+    findCrop(imageData, targetWidth, targetHeight) {
+        const maps = this.analyze(imageData);
+        const candidates = this.getCandidates(imageData.width, imageData.height, targetWidth, targetHeight)
+            .map(window => ({ ...window, ...this.measure(maps, window) }));
+
+        // Normalize each measure across the candidates so the weights are comparable
+        const max = key => Math.max(...candidates.map(candidate => candidate[key])) || 1;
+        const maxEdge = max('edge');
+        const maxVariance = max('variance');
+        const maxDensity = max('density');
+        const { weights } = this.options;
+
+        let best = null;
+        for (const candidate of candidates) {
+            const edge = candidate.edge / maxEdge;
+            const variance = candidate.variance / maxVariance;
+            const density = candidate.density / maxDensity;
+            const score = weights.edge * edge + weights.variance * variance + weights.density * density;
+
+            if (!best || score > best.score) {
+                best = { x: candidate.x, y: candidate.y, width: candidate.width, height: candidate.height, score, edge, variance, density };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Candidate windows in master pixels
+     */
+    getCandidates(width, height, targetWidth, targetHeight) {
+        const aspect = targetWidth / targetHeight;
+        const largestWidth = Math.min(width, height * aspect);
+        const smallestWidth = Math.min(largestWidth, targetWidth);
+
+        const widths = [...new Set(this.options.scales.map(scale => Math.round(Math.max(largestWidth * scale, smallestWidth))))];
+        const candidates = [];
+
+        for (const windowWidth of widths) {
+            const windowHeight = Math.min(height, Math.round(windowWidth / aspect));
+            const rangeX = width - windowWidth;
+            const rangeY = height - windowHeight;
+            const stepsX = rangeX > 0 ? this.options.steps : 0;
+            const stepsY = rangeY > 0 ? this.options.steps : 0;
+
+            for (let i = 0; i <= stepsY; i++) {
+                for (let j = 0; j <= stepsX; j++) {
+                    candidates.push({
+                        x: stepsX ? Math.round((rangeX * j) / stepsX) : 0,
+                        y: stepsY ? Math.round((rangeY * i) / stepsY) : 0,
+                        width: windowWidth,
+                        height: windowHeight
+                    });
+                }
+            }
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Downsample the image and build summed-area tables of the measures
+     */
+    analyze(imageData) {
+        const { data, width, height } = imageData;
+        const factor = Math.max(1, Math.ceil(Math.max(width, height) / this.options.analysisSize));
+        const columns = Math.max(1, Math.floor(width / factor));
+        const rows = Math.max(1, Math.floor(height / factor));
+
+        // Box-filter average colour per analysis cell
+        const rgb = new Float32Array(columns * rows * 3);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                let r = 0;
+                let g = 0;
+                let b = 0;
+                for (let y = row * factor; y < (row + 1) * factor; y++) {
+                    for (let x = column * factor; x < (column + 1) * factor; x++) {
+                        const i = (y * width + x) * 4;
+                        r += data[i];
+                        g += data[i + 1];
+                        b += data[i + 2];
+                    }
+                }
+                const cell = (row * columns + column) * 3;
+                const count = factor * factor;
+                rgb[cell] = r / count;
+                rgb[cell + 1] = g / count;
+                rgb[cell + 2] = b / count;
+            }
+        }
+
+        const luminance = index => 0.299 * rgb[index * 3] + 0.587 * rgb[index * 3 + 1] + 0.114 * rgb[index * 3 + 2];
+        const edge = new Float32Array(columns * rows);
+        const density = new Float32Array(columns * rows);
+
+        // Edge energy: Sobel gradient magnitude of the luminance
+        for (let row = 1; row < rows - 1; row++) {
+            for (let column = 1; column < columns - 1; column++) {
+                const at = (dx, dy) => luminance((row + dy) * columns + column + dx);
+                const gx = at(1, -1) + 2 * at(1, 0) + at(1, 1) - at(-1, -1) - 2 * at(-1, 0) - at(-1, 1);
+                const gy = at(-1, 1) + 2 * at(0, 1) + at(1, 1) - at(-1, -1) - 2 * at(0, -1) - at(1, -1);
+                edge[row * columns + column] = Math.hypot(gx, gy);
+            }
+        }
+
+        // Shape density: cells that stand out from their row's median colour,
+        // which approximates the background gradient
+        for (let row = 0; row < rows; row++) {
+            const background = [0, 1, 2].map(channel => {
+                const values = [];
+                for (let column = 0; column < columns; column++) {
+                    values.push(rgb[(row * columns + column) * 3 + channel]);
+                }
+                values.sort((a, b) => a - b);
+                return values[Math.floor(values.length / 2)];
+            });
+
+            for (let column = 0; column < columns; column++) {
+                const cell = (row * columns + column) * 3;
+                const distance = Math.hypot(
+                    rgb[cell] - background[0], rgb[cell + 1] - background[1], rgb[cell + 2] - background[2]
+                );
+                density[row * columns + column] = distance > this.options.shapeThreshold ? 1 : 0;
+            }
+        }
+
+        const channel = (offset, square) => index => {
+            const value = rgb[index * 3 + offset];
+            return square ? value * value : value;
+        };
+
+        return {
+            factor,
+            columns,
+            rows,
+            edge: this.summedArea(columns, rows, index => edge[index]),
+            density: this.summedArea(columns, rows, index => density[index]),
+            color: [0, 1, 2].map(offset => ({
+                sum: this.summedArea(columns, rows, channel(offset, false)),
+                squares: this.summedArea(columns, rows, channel(offset, true))
+            }))
+        };
+    }
+
+    /**
+     * Summed-area table with a zero first row and column
+     */
+    summedArea(columns, rows, valueAt) {
+        const table = new Float64Array((columns + 1) * (rows + 1));
+        for (let row = 0; row < rows; row++) {
+            let rowSum = 0;
+            for (let column = 0; column < columns; column++) {
+                rowSum += valueAt(row * columns + column);
+                table[(row + 1) * (columns + 1) + column + 1] = table[row * (columns + 1) + column + 1] + rowSum;
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Mean edge energy, colour variance and shape density inside a window
+     */
+    measure(maps, window) {
+        const { factor, columns, rows } = maps;
+        const left = Math.min(columns - 1, Math.floor(window.x / factor));
+        const top = Math.min(rows - 1, Math.floor(window.y / factor));
+        const right = Math.max(left + 1, Math.min(columns, Math.round((window.x + window.width) / factor)));
+        const bottom = Math.max(top + 1, Math.min(rows, Math.round((window.y + window.height) / factor)));
+        const count = (right - left) * (bottom - top);
+
+        const sum = table => table[bottom * (columns + 1) + right] - table[top * (columns + 1) + right] -
+            table[bottom * (columns + 1) + left] + table[top * (columns + 1) + left];
+
+        const variance = maps.color.reduce((total, { sum: sums, squares }) => {
+            const mean = sum(sums) / count;
+            return total + Math.max(0, sum(squares) / count - mean * mean);
+        }, 0);
+
+        return {
+            edge: sum(maps.edge) / count,
+            variance,
+            density: sum(maps.density) / count
+        };
+    }
+}
+
+SmartCrop.defaultOptions = {
+    analysisSize: 240,
+    scales: [1, 0.85, 0.7],
+    steps: 12,
+    shapeThreshold: 30,
+    weights: { edge: 0.4, variance: 0.3, density: 0.3 }
+};
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmartCrop;
+}
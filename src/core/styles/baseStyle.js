@@ -0,0 +1,123 @@
+/**
+ * Base Style Interface
+ * All generative styles must extend this class
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const BaseStyleDeps = (typeof module !== 'undefined' && module.exports)
+    ? { FractalNoise: require('../random').FractalNoise, Layers: require('../layers') }
+    : { FractalNoise, Layers };
+
+class BaseStyle {
+    /**
+     * @param {Object} params - Visual parameters from SeedGenerator.generateVisualParams()
+     *                          (params.styleOptions overrides the style's defaultOptions; params.noise
+     *                          and then params.styleOptions.noise set the noise settings)
+     * @param {Object} env - Rendering environment
+     * @param {number} env.width - Canvas width
+     * @param {number} env.height - Canvas height
+     * @param {SeededRandom} env.rng - Seeded random number generator
+     * @param {PerlinNoise} env.noise - Seeded noise, which the style samples as fractal noise
+     * @param {{createCanvas: function(number, number): Object}} env.adapter - Canvas factory for offscreen work
+     */
+    constructor(params, env) {
+        this.params = params;
+        this.width = env.width;
+        this.height = env.height;
+        this.rng = env.rng;
+        this.adapter = env.adapter;
+        this.options = { ...this.constructor.defaultOptions, ...params.styleOptions };
+        this.noise = new BaseStyleDeps.FractalNoise(env.noise, { ...params.noise, ...this.options.noise });
+    }
+
+    /**
+     * Draw the composition on top of the background
+     * @param {CanvasRenderingContext2D} ctx - Drawing context
+     * @param {{bg: Array<string>, accents: Array<string>}} palette - Color palette
+     */
+    draw(ctx, palette) {
+        throw new Error('draw() must be implemented by subclass');
+    }
+
+    /**
+     * Offset into the noise field for the current animation frame
+     * params.time runs from 0 to 1 over the loop and params.motion sets the
+     * distance travelled; the offset goes round a circle that starts at 0, so
+     * the first frame matches the still image and the loop closes seamlessly
+     * @returns {{x: number, y: number}}
+     */
+    getTimeOffset() {
+        const angle = (this.params.time || 0) * Math.PI * 2;
+        const radius = this.params.motion || 0;
+
+        return { x: (Math.cos(angle) - 1) * radius, y: Math.sin(angle) * radius };
+    }
+
+    /**
+     * Sample the noise field at a canvas position
+     * In tileable mode (params.tileable) the field wraps at the canvas edges
+     * @param {number} x - Position in pixels
+     * @param {number} y - Position in pixels
+     * @param {number} frequency - Noise frequency per pixel
+     * @param {number} [offsetX=0] - Offset in noise units
+     * @param {number} [offsetY=0] - Offset in noise units
+     * @returns {number} Noise value normalized to 0-1
+     */
+    noiseAt(x, y, frequency, offsetX = 0, offsetY = 0) {
+        if (this.params.tileable) {
+            return this.noise.getTileable(x, y, frequency, this.width, this.height, offsetX, offsetY);
+        }
+        return this.noise.get(x * frequency + offsetX, y * frequency + offsetY);
+    }
+
+    /**
+     * Draw into a compositing layer (see Layers)
+     * Raster layers are drawn on an offscreen canvas and composited onto ctx;
+     * vector layers become a group in the SVG
+     * @param {CanvasRenderingContext2D} ctx - Context the layer is composited onto
+     * @param {{opacity: number, blend: string, blur: number, shadow: Object|null}} settings - Layer settings
+     * @param {function(CanvasRenderingContext2D): void} draw - Draws the layer's content on the context it is given
+     */
+    drawLayer(ctx, settings, draw) {
+        if (ctx.canvas && ctx.canvas.isVector) {
+            ctx.beginLayer(settings);
+            draw(ctx);
+            ctx.endLayer();
+            return;
+        }
+
+        const layer = BaseStyleDeps.Layers.create(ctx, this.adapter);
+        draw(layer.ctx);
+        BaseStyleDeps.Layers.composite(ctx, layer, settings);
+    }
+
+    /**
+     * Utility: Map a value from one range to another
+     */
+    map(value, start1, stop1, start2, stop2) {
+        return start2 + (stop2 - start2) * ((value - start1) / (stop1 - start1));
+    }
+
+    /**
+     * Utility: Constrain value between min and max
+     */
+    constrain(value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    }
+}
+
+/**
+ * Per-style tunables, overridable through generation.styleOptions.<style> in config
+ */
+BaseStyle.defaultOptions = {};
+
+/**
+ * Whether the style moves with params.time (see getTimeOffset()); other
+ * styles draw the same image on every animation frame
+ */
+BaseStyle.animated = false;
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BaseStyle;
+}
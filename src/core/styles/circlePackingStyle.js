@@ -0,0 +1,161 @@
+/**
+ * Circle Packing Style
+ * Packs non-overlapping circles: one large circle per paragraph, sized by the
+ * paragraph's length, surrounded by small filler circles
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const CirclePackingStyleDeps = (typeof module !== 'undefined' && module.exports)
+    ? { BaseStyle: require('./baseStyle'), StyleRegistry: require('./styleRegistry') }
+    : { BaseStyle, StyleRegistry };
+
+class CirclePackingStyle extends CirclePackingStyleDeps.BaseStyle {
+    /**
+     * Draw packed circles
+     * paragraphLengths → large circles, density → filler count
+     */
+    draw(ctx, palette) {
+        const accentColors = palette.accents;
+        const padding = this.options.padding;
+
+        const paragraphCircles = this.placeParagraphCircles(padding);
+        const fillerCircles = this.placeFillerCircles(paragraphCircles, padding);
+
+        paragraphCircles.forEach(circle => {
+            ctx.fillStyle = accentColors[circle.paragraph % accentColors.length];
+            this.drawCircle(ctx, circle);
+        });
+
+        fillerCircles.forEach((circle, index) => {
+            ctx.fillStyle = accentColors[index % accentColors.length];
+            this.drawCircle(ctx, circle);
+        });
+    }
+
+    /**
+     * Place one circle per paragraph, largest first so big circles always find room
+     * Circle area is proportional to the paragraph's share of the words
+     */
+    placeParagraphCircles(padding) {
+        const lengths = (this.params.paragraphLengths || [1]).slice(0, this.options.maxParagraphCircles);
+        const totalLength = lengths.reduce((sum, length) => sum + length, 0) || 1;
+        const coveredArea = this.width * this.height * this.options.paragraphCoverage;
+        const minRadius = Math.min(this.width, this.height) * 0.03;
+
+        const order = lengths
+            .map((length, paragraph) => ({ length, paragraph }))
+            .sort((a, b) => b.length - a.length || a.paragraph - b.paragraph);
+
+        const placed = [];
+        for (const { length, paragraph } of order) {
+            let radius = Math.max(minRadius, Math.sqrt((coveredArea * length / totalLength) / Math.PI));
+
+            // Shrink the circle until a free spot is found
+            while (radius >= minRadius) {
+                const circle = this.findFreeSpot(radius, placed, padding, 50);
+                if (circle) {
+                    circle.paragraph = paragraph;
+                    placed.push(circle);
+                    break;
+                }
+                radius *= 0.9;
+            }
+        }
+
+        return placed;
+    }
+
+    /**
+     * Try random centres for a circle of a fixed radius
+     */
+    findFreeSpot(radius, placed, padding, attempts) {
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            const x = radius + this.rng.random() * (this.width - radius * 2);
+            const y = radius + this.rng.random() * (this.height - radius * 2);
+
+            const overlaps = placed.some(other =>
+                Math.hypot(other.x - x, other.y - y) < other.r + radius + padding
+            );
+
+            if (!overlaps) {
+                return { x, y, r: radius };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Fill the remaining space with small circles, each grown as large as the
+     * space around its centre allows (up to a maximum radius)
+     */
+    placeFillerCircles(paragraphCircles, padding) {
+        const numFillers = Math.floor(300 + this.params.density * 2700);
+        const maxRadius = Math.min(this.width, this.height) * 0.04;
+        const minRadius = 2;
+
+        // Spatial grid for fillers: a filler further than one cell away cannot limit a new circle
+        const cellSize = maxRadius * 2 + padding;
+        const columns = Math.ceil(this.width / cellSize);
+        const grid = new Map();
+
+        const placed = [];
+        const maxAttempts = numFillers * 4;
+
+        for (let attempt = 0; attempt < maxAttempts && placed.length < numFillers; attempt++) {
+            const x = this.rng.random() * this.width;
+            const y = this.rng.random() * this.height;
+
+            let radius = Math.min(maxRadius, x, y, this.width - x, this.height - y);
+
+            for (const other of paragraphCircles) {
+                radius = Math.min(radius, Math.hypot(other.x - x, other.y - y) - other.r - padding);
+            }
+
+            const column = Math.floor(x / cellSize);
+            const row = Math.floor(y / cellSize);
+            for (let dx = -1; dx <= 1 && radius >= minRadius; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    const cell = grid.get((row + dy) * columns + (column + dx)) || [];
+                    for (const other of cell) {
+                        radius = Math.min(radius, Math.hypot(other.x - x, other.y - y) - other.r - padding);
+                    }
+                }
+            }
+
+            if (radius >= minRadius) {
+                const circle = { x, y, r: radius };
+                const key = row * columns + column;
+                if (!grid.has(key)) {
+                    grid.set(key, []);
+                }
+                grid.get(key).push(circle);
+                placed.push(circle);
+            }
+        }
+
+        return placed;
+    }
+
+    /**
+     * Draw a circle
+     */
+    drawCircle(ctx, circle) {
+        ctx.beginPath();
+        ctx.arc(circle.x, circle.y, circle.r, 0, Math.PI * 2);
+        ctx.fill();
+    }
+}
+
+CirclePackingStyle.defaultOptions = {
+    padding: 3,
+    paragraphCoverage: 0.45,
+    maxParagraphCircles: 40
+};
+
+CirclePackingStyleDeps.StyleRegistry.register('circle-packing', CirclePackingStyle);
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CirclePackingStyle;
+}
@@ -0,0 +1,163 @@
+/**
+ * Contour Style
+ * Samples the seeded noise field as an elevation map and draws topographic
+ * iso-lines with marching squares
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const ContourStyleDeps = (typeof module !== 'undefined' && module.exports)
+    ? { BaseStyle: require('./baseStyle'), StyleRegistry: require('./styleRegistry'), ColorUtils: require('../colors') }
+    : { BaseStyle, StyleRegistry, ColorUtils };
+
+/**
+ * Marching squares segments per case, as pairs of cell edges
+ * Corner bits: top-left 8, top-right 4, bottom-right 2, bottom-left 1
+ * Saddle cases (5 and 10) are resolved separately from the cell centre
+ */
+const CONTOUR_SEGMENTS = {
+    1: [['left', 'bottom']],
+    2: [['bottom', 'right']],
+    3: [['left', 'right']],
+    4: [['top', 'right']],
+    6: [['top', 'bottom']],
+    7: [['left', 'top']],
+    8: [['left', 'top']],
+    9: [['top', 'bottom']],
+    11: [['top', 'right']],
+    12: [['left', 'right']],
+    13: [['bottom', 'right']],
+    14: [['left', 'bottom']]
+};
+
+class ContourStyle extends ContourStyleDeps.BaseStyle {
+    /**
+     * Draw contour lines
+     * layers → level count, smoothness → terrain scale, complexity → octaves (unless noise.octaves is set)
+     */
+    draw(ctx, palette) {
+        const spacing = this.options.resolution;
+        const columns = Math.ceil(this.width / spacing) + 1;
+        const rows = Math.ceil(this.height / spacing) + 1;
+
+        const scale = 0.0015 + (1 - this.params.smoothness) * 0.003;
+        const octaves = 1 + Math.round(this.params.complexity * 3);
+        const tile = this.params.tileable ? { width: this.width, height: this.height } : null;
+        const field = this.normalize(this.noise.sampleGrid(columns, rows, spacing, scale, 0.5, octaves, tile));
+
+        const numLevels = Math.min(4 + Math.floor(this.params.layers) * 3, 40);
+        const minStroke = this.params.minStroke || 0.5;
+        const maxStroke = this.params.maxStroke || 1.5;
+
+        // The grid runs past the right and bottom edges; when tiling, those lines
+        // would wrap onto the lines already traced along the opposite edges
+        ctx.save();
+        if (tile) {
+            ctx.beginPath();
+            ctx.rect(0, 0, this.width, this.height);
+            ctx.clip();
+        }
+
+        for (let level = 1; level <= numLevels; level++) {
+            const elevation = level / (numLevels + 1);
+
+            // Map the palette across elevations, with a heavier index line every fifth level
+            ctx.strokeStyle = ContourStyleDeps.ColorUtils.rampAt(palette.accents, elevation);
+            ctx.lineWidth = level % 5 === 0 ? maxStroke : minStroke;
+
+            ctx.beginPath();
+            this.traceLevel(ctx, field, columns, rows, spacing, elevation);
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Stretch field values to the full 0-1 range so levels cover every elevation
+     */
+    normalize(field) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of field) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+
+        const range = max - min || 1;
+        return field.map(value => (value - min) / range);
+    }
+
+    /**
+     * Add the iso-line segments for one elevation to the current path
+     */
+    traceLevel(ctx, field, columns, rows, spacing, threshold) {
+        for (let row = 0; row < rows - 1; row++) {
+            for (let column = 0; column < columns - 1; column++) {
+                const tl = field[row * columns + column];
+                const tr = field[row * columns + column + 1];
+                const br = field[(row + 1) * columns + column + 1];
+                const bl = field[(row + 1) * columns + column];
+
+                const caseIndex = (tl >= threshold ? 8 : 0) | (tr >= threshold ? 4 : 0) |
+                    (br >= threshold ? 2 : 0) | (bl >= threshold ? 1 : 0);
+
+                if (caseIndex === 0 || caseIndex === 15) {
+                    continue;
+                }
+
+                const x = column * spacing;
+                const y = row * spacing;
+                const edgePoint = edge => {
+                    switch (edge) {
+                        case 'top': return [x + spacing * this.crossing(tl, tr, threshold), y];
+                        case 'right': return [x + spacing, y + spacing * this.crossing(tr, br, threshold)];
+                        case 'bottom': return [x + spacing * this.crossing(bl, br, threshold), y + spacing];
+                        default: return [x, y + spacing * this.crossing(tl, bl, threshold)];
+                    }
+                };
+
+                for (const [from, to] of this.getSegments(caseIndex, (tl + tr + br + bl) / 4 >= threshold)) {
+                    const [x1, y1] = edgePoint(from);
+                    const [x2, y2] = edgePoint(to);
+                    ctx.moveTo(x1, y1);
+                    ctx.lineTo(x2, y2);
+                }
+            }
+        }
+    }
+
+    /**
+     * Segments for a marching squares case, resolving saddles by the centre value
+     */
+    getSegments(caseIndex, centerAbove) {
+        if (caseIndex === 5) {
+            return centerAbove
+                ? [['left', 'top'], ['bottom', 'right']]
+                : [['left', 'bottom'], ['top', 'right']];
+        }
+        if (caseIndex === 10) {
+            return centerAbove
+                ? [['left', 'bottom'], ['top', 'right']]
+                : [['left', 'top'], ['bottom', 'right']];
+        }
+        return CONTOUR_SEGMENTS[caseIndex];
+    }
+
+    /**
+     * Position (0-1) where the threshold is crossed between two samples
+     */
+    crossing(a, b, threshold) {
+        return a === b ? 0.5 : this.constrain((threshold - a) / (b - a), 0, 1);
+    }
+}
+
+ContourStyle.defaultOptions = {
+    resolution: 6
+};
+
+ContourStyleDeps.StyleRegistry.register('contour', ContourStyle);
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContourStyle;
+}
@@ -0,0 +1,82 @@
+/**
+ * Flow Field Style
+ * Traces thousands of particles through a noise-driven vector field,
+ * producing dense, silky line work
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const FlowFieldStyleDeps = (typeof module !== 'undefined' && module.exports)
+    ? { BaseStyle: require('./baseStyle'), StyleRegistry: require('./styleRegistry') }
+    : { BaseStyle, StyleRegistry };
+
+class FlowFieldStyle extends FlowFieldStyleDeps.BaseStyle {
+    /**
+     * Draw particle trails
+     * density → particle count, smoothness → field scale, complexity → trail length
+     */
+    draw(ctx, palette) {
+        const accentColors = palette.accents;
+        const numParticles = Math.floor(500 + this.params.density * 4500);
+        const trailLength = Math.floor(20 + this.params.complexity * 180);
+
+        // Smoother content gets broader, calmer currents
+        const fieldScale = 0.001 + (1 - this.params.smoothness) * 0.004;
+        const stepSize = 2;
+
+        const minStroke = this.params.minStroke || 0.5;
+        const maxStroke = this.params.maxStroke || 1.5;
+
+        ctx.save();
+        ctx.globalAlpha = 0.6;
+
+        for (let i = 0; i < numParticles; i++) {
+            ctx.strokeStyle = accentColors[i % accentColors.length];
+            ctx.lineWidth = minStroke + this.rng.random() * (maxStroke - minStroke);
+
+            const x = this.rng.random() * this.width;
+            const y = this.rng.random() * this.height;
+
+            this.drawTrail(ctx, x, y, trailLength, fieldScale, stepSize);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Follow the field from a start point until the trail ends or leaves the canvas
+     * Tileable trails run on past the edges, where the renderer wraps them around
+     */
+    drawTrail(ctx, x, y, trailLength, fieldScale, stepSize) {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+
+        for (let step = 0; step < trailLength; step++) {
+            const angle = this.getFieldAngle(x, y, fieldScale);
+            x += Math.cos(angle) * stepSize;
+            y += Math.sin(angle) * stepSize;
+
+            if (!this.params.tileable && (x < 0 || x > this.width || y < 0 || y > this.height)) {
+                break;
+            }
+
+            ctx.lineTo(x, y);
+        }
+
+        ctx.stroke();
+    }
+
+    /**
+     * Direction of the vector field at a point
+     * Perlin values cluster around 0.5, so the range is stretched to two full turns
+     */
+    getFieldAngle(x, y, fieldScale) {
+        return this.noiseAt(x, y, fieldScale) * Math.PI * 4;
+    }
+}
+
+FlowFieldStyleDeps.StyleRegistry.register('flow-field', FlowFieldStyle);
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlowFieldStyle;
+}
@@ -0,0 +1,16 @@
+/**
+ * Style Index
+ * Loads every built-in style into the registry for Node.js
+ * (the browser loads the same files as script tags in index.html)
+ */
+
+const StyleRegistry = require('./styleRegistry');
+
+require('./organicStyle');
+require('./flowFieldStyle');
+require('./mosaicStyle');
+require('./circlePackingStyle');
+require('./contourStyle');
+require('./reactionDiffusionStyle');
+
+module.exports = StyleRegistry;
@@ -0,0 +1,215 @@
+/**
+ * Mosaic Style
+ * Scatters seed points, relaxes them and fills the Voronoi cells from the
+ * palette for a crisp geometric look
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const MosaicStyleDeps = (typeof module !== 'undefined' && module.exports)
+    ? { BaseStyle: require('./baseStyle'), StyleRegistry: require('./styleRegistry'), ColorUtils: require('../colors') }
+    : { BaseStyle, StyleRegistry, ColorUtils };
+
+class MosaicStyle extends MosaicStyleDeps.BaseStyle {
+    /**
+     * Draw Voronoi cells
+     * wordCount/density → point count, smoothness → relaxation iterations
+     */
+    draw(ctx, palette) {
+        const accentColors = palette.accents;
+        const wordCount = this.params.wordCount !== undefined ? this.params.wordCount : this.params.density * 1000;
+        const numPoints = Math.floor(this.constrain(20 + wordCount / 5, 20, 400));
+        const relaxIterations = Math.round(this.params.smoothness * 4);
+
+        let sites = [];
+        for (let i = 0; i < numPoints; i++) {
+            sites.push({ x: this.rng.random() * this.width, y: this.rng.random() * this.height });
+        }
+
+        // Lloyd relaxation: move each site to the centroid of its cell
+        for (let iteration = 0; iteration < relaxIterations; iteration++) {
+            sites = this.computeCells(sites).map(cell => this.wrapSite(this.polygonCentroid(cell.polygon) || cell.site));
+        }
+
+        const minStroke = this.params.minStroke || 0.5;
+        ctx.strokeStyle = palette.bg[0];
+        ctx.lineWidth = minStroke;
+
+        this.computeCells(sites).forEach((cell, index) => {
+            if (cell.polygon.length < 3) {
+                return;
+            }
+
+            const baseColor = accentColors[Math.floor(this.rng.random() * accentColors.length)];
+            ctx.fillStyle = this.jitterColor(baseColor, cell.site, index);
+
+            ctx.beginPath();
+            ctx.moveTo(cell.polygon[0].x, cell.polygon[0].y);
+            for (let i = 1; i < cell.polygon.length; i++) {
+                ctx.lineTo(cell.polygon[i].x, cell.polygon[i].y);
+            }
+            ctx.closePath();
+            ctx.fill();
+
+            if (this.options.outline) {
+                ctx.stroke();
+            }
+        });
+    }
+
+    /**
+     * Compute the Voronoi cell of every site by clipping the canvas
+     * rectangle with the bisector half-plane of each neighbouring site
+     * In tileable mode the canvas wraps: every site is repeated a canvas away
+     * in each direction, and cells start from a canvas-sized rectangle centred
+     * on their site, so cells at an edge continue past it
+     * @returns {Array<{site: {x: number, y: number}, polygon: Array<{x: number, y: number}>}>}
+     */
+    computeCells(sites) {
+        const tileable = this.params.tileable;
+        const neighbours = tileable ? this.getWrappedSites(sites) : sites;
+
+        return sites.map(site => {
+            const left = tileable ? site.x - this.width / 2 : 0;
+            const top = tileable ? site.y - this.height / 2 : 0;
+            let polygon = [
+                { x: left, y: top },
+                { x: left + this.width, y: top },
+                { x: left + this.width, y: top + this.height },
+                { x: left, y: top + this.height }
+            ];
+
+            // Nearest sites first, so the cell shrinks quickly and far sites can be skipped
+            const others = neighbours
+                .filter(other => other !== site)
+                .map(other => ({ other, distance: Math.hypot(other.x - site.x, other.y - site.y) }))
+                .sort((a, b) => a.distance - b.distance);
+
+            for (const { other, distance } of others) {
+                // A site further than twice the cell's radius cannot cut the cell
+                const radius = Math.max(...polygon.map(p => Math.hypot(p.x - site.x, p.y - site.y)));
+                if (distance > radius * 2) {
+                    break;
+                }
+
+                polygon = this.clipPolygon(polygon, site, other);
+                if (polygon.length === 0) {
+                    break;
+                }
+            }
+
+            return { site, polygon };
+        });
+    }
+
+    /**
+     * Every site plus its copies one canvas away in each direction
+     */
+    getWrappedSites(sites) {
+        const wrapped = [...sites];
+
+        for (const dy of [-1, 0, 1]) {
+            for (const dx of [-1, 0, 1]) {
+                if (dx !== 0 || dy !== 0) {
+                    sites.forEach(site => wrapped.push({ x: site.x + dx * this.width, y: site.y + dy * this.height }));
+                }
+            }
+        }
+
+        return wrapped;
+    }
+
+    /**
+     * Bring a relaxed site that drifted past an edge back onto the canvas in tileable mode
+     */
+    wrapSite(site) {
+        if (!this.params.tileable) {
+            return site;
+        }
+
+        return {
+            x: ((site.x % this.width) + this.width) % this.width,
+            y: ((site.y % this.height) + this.height) % this.height
+        };
+    }
+
+    /**
+     * Keep the part of a polygon closer to site than to other (Sutherland-Hodgman)
+     */
+    clipPolygon(polygon, site, other) {
+        const nx = other.x - site.x;
+        const ny = other.y - site.y;
+        const midX = (site.x + other.x) / 2;
+        const midY = (site.y + other.y) / 2;
+        const side = p => (p.x - midX) * nx + (p.y - midY) * ny;
+
+        const result = [];
+        for (let i = 0; i < polygon.length; i++) {
+            const current = polygon[i];
+            const next = polygon[(i + 1) % polygon.length];
+            const currentSide = side(current);
+            const nextSide = side(next);
+
+            if (currentSide <= 0) {
+                result.push(current);
+            }
+            if ((currentSide < 0 && nextSide > 0) || (currentSide > 0 && nextSide < 0)) {
+                const t = currentSide / (currentSide - nextSide);
+                result.push({
+                    x: current.x + (next.x - current.x) * t,
+                    y: current.y + (next.y - current.y) * t
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Area centroid of a polygon, or null for degenerate polygons
+     */
+    polygonCentroid(polygon) {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            const cross = a.x * b.y - b.x * a.y;
+            area += cross;
+            cx += (a.x + b.x) * cross;
+            cy += (a.y + b.y) * cross;
+        }
+
+        if (Math.abs(area) < 1e-9) {
+            return null;
+        }
+
+        return { x: cx / (3 * area), y: cy / (3 * area) };
+    }
+
+    /**
+     * Shift a hex color's brightness using the noise field at the cell's site
+     */
+    jitterColor(hex, site, index) {
+        const amount = this.options.colorJitter;
+        if (!amount) {
+            return hex;
+        }
+
+        const shift = (this.noiseAt(site.x, site.y, 0.01, index * 0.1) - 0.5) * 2 * amount * 255;
+        return MosaicStyleDeps.ColorUtils.shift(hex, shift);
+    }
+}
+
+MosaicStyle.defaultOptions = {
+    colorJitter: 0.12,
+    outline: true
+};
+
+MosaicStyleDeps.StyleRegistry.register('mosaic', MosaicStyle);
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MosaicStyle;
+}
@@ -0,0 +1,224 @@
+/**
+ * Organic Style
+ * The original composition: layered circles, stars, rectangles, polygons and
+ * noise-driven blobs with flowing curves cascading from the top
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const OrganicStyleDeps = (typeof module !== 'undefined' && module.exports)
+    ? { BaseStyle: require('./baseStyle'), StyleRegistry: require('./styleRegistry'), ColorUtils: require('../colors'), Layers: require('../layers') }
+    : { BaseStyle, StyleRegistry, ColorUtils, Layers };
+
+class OrganicStyle extends OrganicStyleDeps.BaseStyle {
+    /**
+     * Draw organic flowing shapes, each layer composited with its own opacity,
+     * blend mode, blur and shadow (see getLayerSettings())
+     */
+    draw(ctx, palette) {
+        const accentColors = palette.accents;
+        const numLayers = Math.max(3, Math.floor(this.params.layers));
+        const numFlows = Math.floor(5 + this.params.density * 10);
+        const noiseScale = 0.005 / (this.params.smoothness + 0.1);
+        const shapeVertices = this.params.shapeVertices || 8;
+        const layerSettings = this.getLayerSettings(numLayers, palette);
+
+        for (let layer = 0; layer < numLayers; layer++) {
+            const drawLayer = target => {
+                for (let flow = 0; flow < numFlows; flow++) {
+                    const color = accentColors[flow % accentColors.length];
+                    target.fillStyle = color;
+
+                    const x = this.rng.random() * this.width;
+                    const y = this.rng.random() * this.height;
+                    const size = 50 + this.rng.random() * (150 * this.params.complexity);
+                    const offset = flow + layer * 100;
+
+                    // Select shape type
+                    const shapeSelector = (offset * 37 + this.params.smoothness * 100) % 100;
+
+                    if (shapeSelector < 20) {
+                        this.drawCircle(target, x, y, size);
+                    } else if (shapeSelector < 35) {
+                        this.drawStar(target, x, y, size, shapeVertices);
+                    } else if (shapeSelector < 50) {
+                        this.drawRectangle(target, x, y, size, offset);
+                    } else if (shapeSelector < 70) {
+                        this.drawRegularPolygon(target, x, y, size, shapeVertices);
+                    } else {
+                        this.drawOrganicBlob(target, x, y, size, shapeVertices, noiseScale, offset);
+                    }
+                }
+
+                // Draw flowing curves
+                for (let i = 0; i < 3; i++) {
+                    const color = accentColors[i % accentColors.length];
+                    target.strokeStyle = color;
+
+                    const minStroke = this.params.minStroke || 0.5;
+                    const maxStroke = this.params.maxStroke || 1.5;
+                    target.lineWidth = minStroke + this.params.complexity * (maxStroke - minStroke);
+
+                    this.drawFlowingCurve(target, noiseScale, i + layer * 10);
+                }
+            };
+
+            if (layerSettings) {
+                this.drawLayer(ctx, layerSettings[layer], drawLayer);
+            } else {
+                drawLayer(ctx);
+            }
+        }
+    }
+
+    /**
+     * Settings of each layer, from back to front, derived from the params and
+     * overridden by the layers option (see Layers.resolve())
+     * Generator versions before 3 painted every layer opaque onto the canvas
+     * @returns {Array<Object>|null} Layer settings, or null to draw flat
+     */
+    getLayerSettings(count, palette) {
+        const overrides = this.options.layers || {};
+        if (this.params.generatorVersion < 3 || overrides.enabled === false) {
+            return null;
+        }
+
+        // Blend modes lighten dark backgrounds and darken light ones
+        const [lightness] = OrganicStyleDeps.ColorUtils.hexToOklab(palette.bg[0]);
+        return OrganicStyleDeps.Layers.resolve(this.params, count, overrides, lightness < 0.5);
+    }
+
+    /**
+     * Draw a circle
+     */
+    drawCircle(ctx, x, y, radius) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Draw a star
+     */
+    drawStar(ctx, x, y, radius, points) {
+        const angle = (Math.PI * 2) / points;
+        const halfAngle = angle / 2;
+
+        ctx.beginPath();
+        for (let a = -Math.PI / 2; a < Math.PI * 2 - Math.PI / 2; a += angle) {
+            // Outer point
+            let sx = x + Math.cos(a) * radius;
+            let sy = y + Math.sin(a) * radius;
+            ctx.lineTo(sx, sy);
+
+            // Inner point
+            sx = x + Math.cos(a + halfAngle) * (radius * 0.5);
+            sy = y + Math.sin(a + halfAngle) * (radius * 0.5);
+            ctx.lineTo(sx, sy);
+        }
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Draw a rectangle with rotation
+     */
+    drawRectangle(ctx, x, y, size, offset) {
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.rotate(offset * 0.1);
+        const width = size * (0.8 + (offset % 10) / 20);
+        const height = size * (0.8 + ((offset * 3) % 10) / 20);
+        ctx.fillRect(-width / 2, -height / 2, width, height);
+        ctx.restore();
+    }
+
+    /**
+     * Draw a regular polygon
+     */
+    drawRegularPolygon(ctx, x, y, radius, points) {
+        ctx.beginPath();
+        for (let angle = 0; angle < Math.PI * 2; angle += (Math.PI * 2) / points) {
+            const vx = x + Math.cos(angle) * radius;
+            const vy = y + Math.sin(angle) * radius;
+            if (angle === 0) {
+                ctx.moveTo(vx, vy);
+            } else {
+                ctx.lineTo(vx, vy);
+            }
+        }
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Draw an organic blob using Perlin noise
+     */
+    drawOrganicBlob(ctx, x, y, radius, points, noiseScale, offset) {
+        ctx.beginPath();
+        let firstX, firstY;
+        const time = this.getTimeOffset();
+
+        for (let angle = 0; angle < Math.PI * 2; angle += (Math.PI * 2) / points) {
+            const xOff = Math.cos(angle) * noiseScale + offset + time.x;
+            const yOff = Math.sin(angle) * noiseScale + offset + time.y;
+            const r = radius * (0.7 + this.noise.get(xOff, yOff) * 0.6);
+
+            const vx = x + Math.cos(angle) * r;
+            const vy = y + Math.sin(angle) * r;
+
+            if (angle === 0) {
+                ctx.moveTo(vx, vy);
+                firstX = vx;
+                firstY = vy;
+            } else {
+                ctx.lineTo(vx, vy);
+            }
+        }
+
+        ctx.lineTo(firstX, firstY);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    /**
+     * Draw a flowing curve
+     */
+    drawFlowingCurve(ctx, noiseScale, offset) {
+        ctx.beginPath();
+        const steps = 50;
+        const time = this.getTimeOffset();
+
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const x = t * this.width;
+
+            // Tileable curves repeat every 5 noise cells, so both ends meet at the edges;
+            // the offset moves to y to keep the curves distinct
+            const noiseValue = this.params.tileable
+                ? this.noise.get(t * 5 + time.x, offset * noiseScale + offset + time.y, 5, 0)
+                : this.noise.get(t * 5 + offset + time.x, offset * noiseScale + time.y);
+            const baseDepth = ((offset % 5) / 5) * 0.5 + 0.1;
+            const y = this.map(noiseValue, 0, 1, 0, this.height * baseDepth);
+
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    }
+}
+
+OrganicStyle.defaultOptions = {
+    layers: {}
+};
+
+OrganicStyle.animated = true;
+
+OrganicStyleDeps.StyleRegistry.register('organic', OrganicStyle);
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OrganicStyle;
+}
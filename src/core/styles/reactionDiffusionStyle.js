@@ -0,0 +1,192 @@
+/**
+ * Reaction-Diffusion Style
+ * Runs a Gray-Scott simulation on a low-resolution CPU grid and upscales
+ * the result, giving an organic coral/maze texture
+ */
+
+// Resolve shared modules in Node.js; in the browser they are loaded as globals
+const ReactionDiffusionStyleDeps = (typeof module !== 'undefined' && module.exports)
+    ? { BaseStyle: require('./baseStyle'), StyleRegistry: require('./styleRegistry'), ColorUtils: require('../colors') }
+    : { BaseStyle, StyleRegistry, ColorUtils };
+
+class ReactionDiffusionStyle extends ReactionDiffusionStyleDeps.BaseStyle {
+    /**
+     * Simulate and draw the B concentration through the palette
+     * complexity → feed rate, smoothness → kill rate, density → number of seeds
+     */
+    draw(ctx, palette) {
+        // Simulate at reduced resolution; the longest side gets options.resolution cells
+        const simScale = Math.min(1, this.options.resolution / Math.max(this.width, this.height));
+        const simWidth = Math.max(8, Math.round(this.width * simScale));
+        const simHeight = Math.max(8, Math.round(this.height * simScale));
+
+        // Feed picks the pattern family (spots → mazes → coral); kill follows the
+        // band where patterns form so every combination stays textured
+        const feed = 0.025 + this.params.complexity * 0.03;
+        const kill = 0.0555 + 0.13 * feed + (this.params.smoothness - 0.5) * 0.004;
+
+        const concentration = this.simulate(simWidth, simHeight, feed, kill, this.options.iterations);
+        const colors = [palette.bg[0], ...palette.accents];
+
+        if (ctx.canvas && ctx.canvas.isVector) {
+            this.drawCells(ctx, concentration, simWidth, simHeight, colors);
+        } else {
+            this.drawUpscaled(ctx, concentration, simWidth, simHeight, colors);
+        }
+    }
+
+    /**
+     * Run the Gray-Scott model on a wrapping grid
+     * @returns {Float32Array} B concentration normalized to 0-1
+     */
+    simulate(width, height, feed, kill, iterations) {
+        const size = width * height;
+        let a = new Float32Array(size).fill(1);
+        let b = new Float32Array(size);
+        let nextA = new Float32Array(size);
+        let nextB = new Float32Array(size);
+
+        // Seed B in small squares
+        const numSeeds = Math.floor(10 + this.params.density * 40);
+        const seedRadius = Math.max(1, Math.round(Math.min(width, height) * 0.02));
+        for (let i = 0; i < numSeeds; i++) {
+            const cx = Math.floor(this.rng.random() * width);
+            const cy = Math.floor(this.rng.random() * height);
+            for (let dy = -seedRadius; dy <= seedRadius; dy++) {
+                for (let dx = -seedRadius; dx <= seedRadius; dx++) {
+                    b[((cy + dy + height) % height) * width + (cx + dx + width) % width] = 1;
+                }
+            }
+        }
+
+        const diffusionA = 1.0;
+        const diffusionB = 0.5;
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            for (let y = 0; y < height; y++) {
+                const row = y * width;
+                const up = ((y - 1 + height) % height) * width;
+                const down = ((y + 1) % height) * width;
+
+                for (let x = 0; x < width; x++) {
+                    const left = (x - 1 + width) % width;
+                    const right = (x + 1) % width;
+                    const i = row + x;
+
+                    // 3×3 Laplacian: adjacent 0.2, diagonal 0.05, centre -1
+                    const lapA = -a[i] +
+                        0.2 * (a[row + left] + a[row + right] + a[up + x] + a[down + x]) +
+                        0.05 * (a[up + left] + a[up + right] + a[down + left] + a[down + right]);
+                    const lapB = -b[i] +
+                        0.2 * (b[row + left] + b[row + right] + b[up + x] + b[down + x]) +
+                        0.05 * (b[up + left] + b[up + right] + b[down + left] + b[down + right]);
+
+                    // Concentrations are clamped to 0-1: with a unit time step, small seed
+                    // patches (short grids in wide or tall formats) otherwise diverge
+                    const reaction = a[i] * b[i] * b[i];
+                    nextA[i] = Math.min(Math.max(a[i] + diffusionA * lapA - reaction + feed * (1 - a[i]), 0), 1);
+                    nextB[i] = Math.min(Math.max(b[i] + diffusionB * lapB + reaction - (kill + feed) * b[i], 0), 1);
+                }
+            }
+
+            [a, nextA] = [nextA, a];
+            [b, nextB] = [nextB, b];
+        }
+
+        let max = 0;
+        for (let i = 0; i < size; i++) {
+            max = Math.max(max, b[i]);
+        }
+
+        return b.map(value => this.constrain(value / (max || 1), 0, 1));
+    }
+
+    /**
+     * Paint the grid into a small offscreen canvas and scale it up smoothly
+     * In tileable mode the small canvas gets a border of wrapped cells, so
+     * smoothing at the edges blends with the opposite side instead of clamping
+     */
+    drawUpscaled(ctx, concentration, simWidth, simHeight, colors) {
+        const ramp = colors.map(color => ReactionDiffusionStyleDeps.ColorUtils.parseHex(color));
+        const border = this.params.tileable ? 1 : 0;
+        const smallWidth = simWidth + border * 2;
+        const smallHeight = simHeight + border * 2;
+        const small = this.adapter.createCanvas(smallWidth, smallHeight);
+        const smallCtx = small.getContext('2d');
+        const imageData = smallCtx.createImageData(smallWidth, smallHeight);
+        const pixels = imageData.data;
+
+        for (let y = 0; y < smallHeight; y++) {
+            for (let x = 0; x < smallWidth; x++) {
+                const cell = ((y - border + simHeight) % simHeight) * simWidth + (x - border + simWidth) % simWidth;
+                const rgb = this.sampleRamp(ramp, concentration[cell]);
+                const i = (y * smallWidth + x) * 4;
+                pixels[i] = rgb[0];
+                pixels[i + 1] = rgb[1];
+                pixels[i + 2] = rgb[2];
+                pixels[i + 3] = 255;
+            }
+        }
+
+        smallCtx.putImageData(imageData, 0, 0);
+
+        ctx.save();
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(small, border, border, simWidth, simHeight, 0, 0, this.width, this.height);
+        ctx.restore();
+    }
+
+    /**
+     * Vector fallback: one rectangle per run of equally coloured cells
+     * Colours are quantized so runs stay long and the file stays small
+     */
+    drawCells(ctx, concentration, simWidth, simHeight, colors) {
+        const steps = this.options.vectorLevels;
+        const cellWidth = this.width / simWidth;
+        const cellHeight = this.height / simHeight;
+
+        for (let y = 0; y < simHeight; y++) {
+            let runStart = 0;
+            for (let x = 1; x <= simWidth; x++) {
+                const level = Math.round(concentration[y * simWidth + runStart] * steps);
+                const nextLevel = x < simWidth ? Math.round(concentration[y * simWidth + x] * steps) : -1;
+
+                if (nextLevel !== level) {
+                    ctx.fillStyle = ReactionDiffusionStyleDeps.ColorUtils.rampAt(colors, level / steps);
+                    ctx.fillRect(runStart * cellWidth, y * cellHeight, (x - runStart) * cellWidth, cellHeight);
+                    runStart = x;
+                }
+            }
+        }
+    }
+
+    /**
+     * Sample a ramp of [r, g, b] colors at t (0-1)
+     */
+    sampleRamp(ramp, t) {
+        const position = t * (ramp.length - 1);
+        const index = Math.min(Math.floor(position), ramp.length - 2);
+        const f = position - index;
+        const from = ramp[index];
+        const to = ramp[index + 1];
+        return [
+            from[0] + (to[0] - from[0]) * f,
+            from[1] + (to[1] - from[1]) * f,
+            from[2] + (to[2] - from[2]) * f
+        ];
+    }
+}
+
+ReactionDiffusionStyle.defaultOptions = {
+    resolution: 160,
+    iterations: 2000,
+    vectorLevels: 12
+};
+
+ReactionDiffusionStyleDeps.StyleRegistry.register('reaction-diffusion', ReactionDiffusionStyle);
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReactionDiffusionStyle;
+}
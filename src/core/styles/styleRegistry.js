@@ -0,0 +1,86 @@
+/**
+ * Style Registry
+ * Maps style names to style classes so compositions can be selected by name
+ */
+
+class StyleRegistry {
+    /**
+     * Register a style class
+     * @param {string} name - Style name used in config, CLI and web UI
+     * @param {Function} StyleClass - Class extending BaseStyle
+     */
+    static register(name, StyleClass) {
+        StyleRegistry.styles[name] = StyleClass;
+    }
+
+    /**
+     * Get a style class by name
+     * @param {string} name - Style name
+     * @returns {Function} Style class
+     */
+    static get(name) {
+        const StyleClass = StyleRegistry.styles[name];
+        if (!StyleClass) {
+            throw new Error(`Unknown style: ${name} (available: ${StyleRegistry.list().join(', ')}, auto)`);
+        }
+        return StyleClass;
+    }
+
+    /**
+     * List registered style names
+     * Sorted so the order does not depend on how the styles were loaded
+     * @returns {Array<string>}
+     */
+    static list() {
+        return Object.keys(StyleRegistry.styles).sort();
+    }
+
+    /**
+     * Styles 'auto' picks from, keyed by the generator version that introduced each list
+     * The lists are fixed rather than read from the registry, so registering a
+     * new style leaves the style of existing posts alone; add it to a list for
+     * a new generator version instead
+     */
+    static get AUTO_STYLES() {
+        return {
+            1: ['circle-packing', 'contour', 'flow-field', 'mosaic', 'organic', 'reaction-diffusion']
+        };
+    }
+
+    /**
+     * Styles 'auto' picks from for a generator version
+     * @param {number} [generatorVersion] - Generator version (default: the latest list)
+     * @returns {Array<string>}
+     */
+    static getAutoStyles(generatorVersion) {
+        const versions = Object.keys(StyleRegistry.AUTO_STYLES)
+            .map(Number)
+            .filter(version => generatorVersion === undefined || version <= generatorVersion);
+        return StyleRegistry.AUTO_STYLES[Math.max(...versions)];
+    }
+
+    /**
+     * Resolve a requested style name, picking one from the content hash for 'auto'
+     * @param {string} name - Style name or 'auto' (default: 'organic')
+     * @param {number} contentHash - Content hash from SeedGenerator
+     * @param {number} [generatorVersion] - Generator version the 'auto' list is taken from (default: current)
+     * @returns {string} Registered style name
+     */
+    static resolve(name, contentHash, generatorVersion) {
+        if (name === 'auto') {
+            const names = StyleRegistry.getAutoStyles(generatorVersion);
+            return names[Math.abs(contentHash || 0) % names.length];
+        }
+
+        const resolved = name || 'organic';
+        StyleRegistry.get(resolved);
+        return resolved;
+    }
+}
+
+StyleRegistry.styles = {};
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StyleRegistry;
+}
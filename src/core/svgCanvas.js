@@ -0,0 +1,576 @@
+/**
+ * SVG Canvas Module
+ * A vector drawing target that implements the subset of the Canvas2D API
+ * used by the renderer, so every primitive becomes a real SVG path
+ */
+
+/**
+ * Gradient recorded for SVG output
+ */
+class SvgGradient {
+    constructor(type, coords) {
+        this.type = type;
+        this.coords = coords;
+        this.stops = [];
+        this.id = null;
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+    }
+}
+
+/**
+ * Canvas2D-compatible context that records shapes as SVG elements
+ */
+class SvgContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.globalAlpha = 1;
+        this.matrix = [1, 0, 0, 1, 0, 0];
+        this.stack = [];
+        this.path = '';
+        this.hasCurrentPoint = false;
+        this.clipId = null;
+    }
+
+    // --- State ---
+
+    save() {
+        this.stack.push({
+            fillStyle: this.fillStyle,
+            strokeStyle: this.strokeStyle,
+            lineWidth: this.lineWidth,
+            globalAlpha: this.globalAlpha,
+            matrix: [...this.matrix],
+            clipId: this.clipId
+        });
+    }
+
+    restore() {
+        const state = this.stack.pop();
+        if (state) {
+            Object.assign(this, state);
+        }
+    }
+
+    // --- Transforms ---
+
+    transform(a, b, c, d, e, f) {
+        this.matrix = multiplyMatrix(this.matrix, [a, b, c, d, e, f]);
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.matrix = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    /**
+     * Apply the current transform to a point
+     */
+    apply(x, y) {
+        const [a, b, c, d, e, f] = this.matrix;
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+
+    /**
+     * Uniform scale factor of the current transform (used for radii and stroke widths)
+     */
+    scaleFactor() {
+        const [a, b, c, d] = this.matrix;
+        return Math.sqrt(Math.abs(a * d - b * c));
+    }
+
+    // --- Paths ---
+
+    beginPath() {
+        this.path = '';
+        this.hasCurrentPoint = false;
+    }
+
+    moveTo(x, y) {
+        const [px, py] = this.apply(x, y);
+        this.path += `M${svgNumber(px)} ${svgNumber(py)}`;
+        this.hasCurrentPoint = true;
+    }
+
+    lineTo(x, y) {
+        if (!this.hasCurrentPoint) {
+            this.moveTo(x, y);
+            return;
+        }
+        const [px, py] = this.apply(x, y);
+        this.path += `L${svgNumber(px)} ${svgNumber(py)}`;
+    }
+
+    bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+        if (!this.hasCurrentPoint) {
+            this.moveTo(cp1x, cp1y);
+        }
+        const [ax, ay] = this.apply(cp1x, cp1y);
+        const [bx, by] = this.apply(cp2x, cp2y);
+        const [px, py] = this.apply(x, y);
+        this.path += `C${svgNumber(ax)} ${svgNumber(ay)} ${svgNumber(bx)} ${svgNumber(by)} ${svgNumber(px)} ${svgNumber(py)}`;
+    }
+
+    quadraticCurveTo(cpx, cpy, x, y) {
+        if (!this.hasCurrentPoint) {
+            this.moveTo(cpx, cpy);
+        }
+        const [ax, ay] = this.apply(cpx, cpy);
+        const [px, py] = this.apply(x, y);
+        this.path += `Q${svgNumber(ax)} ${svgNumber(ay)} ${svgNumber(px)} ${svgNumber(py)}`;
+    }
+
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        let sweep = endAngle - startAngle;
+        if (!anticlockwise && sweep < 0) {
+            sweep = sweep % (Math.PI * 2) + Math.PI * 2;
+        } else if (anticlockwise && sweep > 0) {
+            sweep = sweep % (Math.PI * 2) - Math.PI * 2;
+        }
+        sweep = Math.max(-Math.PI * 2, Math.min(Math.PI * 2, sweep));
+
+        const startX = x + Math.cos(startAngle) * radius;
+        const startY = y + Math.sin(startAngle) * radius;
+        if (this.hasCurrentPoint) {
+            this.lineTo(startX, startY);
+        } else {
+            this.moveTo(startX, startY);
+        }
+
+        // SVG arcs cannot describe a full turn, so split into at most half turns
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / Math.PI));
+        const r = radius * this.scaleFactor();
+        // A reflecting transform reverses the direction of travel
+        const [a, b, c, d] = this.matrix;
+        const reflected = a * d - b * c < 0;
+        const sweepFlag = (sweep > 0) !== reflected ? 1 : 0;
+
+        for (let i = 1; i <= segments; i++) {
+            const angle = startAngle + (sweep * i) / segments;
+            const [px, py] = this.apply(x + Math.cos(angle) * radius, y + Math.sin(angle) * radius);
+            this.path += `A${svgNumber(r)} ${svgNumber(r)} 0 0 ${sweepFlag} ${svgNumber(px)} ${svgNumber(py)}`;
+        }
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    closePath() {
+        if (this.hasCurrentPoint) {
+            this.path += 'Z';
+        }
+    }
+
+    /**
+     * Clip subsequent drawing to the current path (intersected with any active clip)
+     */
+    clip() {
+        if (this.path) {
+            this.clipId = this.canvas.addClipPath(this.path, this.clipId);
+        }
+    }
+
+    // --- Painting ---
+
+    fill() {
+        if (this.path) {
+            this.canvas.addElement(`<path d="${this.path}" fill="${this.paint(this.fillStyle)}"${this.opacityAttr()}${this.clipAttr()}/>`);
+        }
+    }
+
+    stroke() {
+        if (this.path) {
+            const width = this.lineWidth * this.scaleFactor();
+            this.canvas.addElement(
+                `<path d="${this.path}" fill="none" stroke="${this.paint(this.strokeStyle)}" stroke-width="${svgNumber(width)}"${this.opacityAttr()}${this.clipAttr()}/>`
+            );
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        const savedPath = this.path;
+        const savedPoint = this.hasCurrentPoint;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        this.path = savedPath;
+        this.hasCurrentPoint = savedPoint;
+    }
+
+    strokeRect(x, y, width, height) {
+        const savedPath = this.path;
+        const savedPoint = this.hasCurrentPoint;
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        this.path = savedPath;
+        this.hasCurrentPoint = savedPoint;
+    }
+
+    // --- Gradients ---
+
+    createLinearGradient(x0, y0, x1, y1) {
+        const [ax, ay] = this.apply(x0, y0);
+        const [bx, by] = this.apply(x1, y1);
+        return new SvgGradient('linear', { x1: ax, y1: ay, x2: bx, y2: by });
+    }
+
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        const scale = this.scaleFactor();
+        const [fx, fy] = this.apply(x0, y0);
+        const [cx, cy] = this.apply(x1, y1);
+        return new SvgGradient('radial', { fx, fy, fr: r0 * scale, cx, cy, r: r1 * scale });
+    }
+
+    /**
+     * Resolve a fill/stroke style to an SVG paint value
+     */
+    paint(style) {
+        if (style instanceof SvgGradient) {
+            return `url(#${this.canvas.addGradient(style)})`;
+        }
+        return svgEscape(String(style));
+    }
+
+    opacityAttr() {
+        return this.globalAlpha < 1 ? ` opacity="${svgNumber(this.globalAlpha)}"` : '';
+    }
+
+    clipAttr() {
+        return this.clipId ? ` clip-path="url(#${this.clipId})"` : '';
+    }
+
+    // --- Layers ---
+
+    /**
+     * Start a compositing layer (see Layers): shapes drawn until endLayer() go
+     * into a group with the layer's opacity, blend mode, blur and shadow
+     * @param {{opacity: number, blend: string, blur: number, shadow: Object|null}} settings - Layer settings
+     */
+    beginLayer(settings) {
+        const filterId = this.canvas.addLayerFilter(settings, this.scaleFactor());
+        const opacity = settings.opacity < 1 ? ` opacity="${svgNumber(settings.opacity)}"` : '';
+        const blend = settings.blend && settings.blend !== 'normal' ? ` style="mix-blend-mode:${settings.blend}"` : '';
+        const filter = filterId ? ` filter="url(#${filterId})"` : '';
+
+        this.canvas.addElement(`<g${opacity}${blend}${filter}>`, true);
+    }
+
+    endLayer() {
+        this.canvas.addElement('</g>', true);
+    }
+
+    // --- Recordings ---
+
+    /**
+     * Record the shapes draw() paints instead of painting them, so a slow
+     * drawing can be placed several times with replay() but made only once
+     * @param {function(): void} draw - Draws on this context
+     * @returns {{entries: Array<Object>, matrix: Array<number>, clipId: string|null}} Recording for replay()
+     */
+    record(draw) {
+        const recording = { matrix: [...this.matrix], clipId: this.clipId };
+        this.canvas.beginRecording();
+        draw();
+        recording.entries = this.canvas.endRecording();
+        return recording;
+    }
+
+    /**
+     * Place a recording under the current transform and clip
+     * Shapes were recorded in canvas coordinates under the recording's own
+     * transform, so they are placed with the change from that transform to this one
+     */
+    replay(recording) {
+        const [a, b, c, d, e, f] = recording.matrix;
+        const det = a * d - b * c;
+        const inverse = [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+        const matrix = multiplyMatrix(this.matrix, inverse);
+        const isIdentity = matrix.every((value, i) => Math.abs(value - [1, 0, 0, 1, 0, 0][i]) < 1e-9);
+        const transform = isIdentity ? '' : ` transform="matrix(${svgMatrix(matrix)})"`;
+        // Shapes keep the clip they were recorded with; a newer clip is applied
+        // around the copy, as a clip on the <use> itself would be transformed with it
+        const clipId = this.clipId !== recording.clipId ? this.clipId : null;
+
+        recording.entries.forEach(entry => {
+            if (entry.group) {
+                this.canvas.addElement(entry.markup, true);
+                return;
+            }
+
+            const use = `<use href="#${entry.id}"${transform}/>`;
+            this.canvas.addElement(clipId ? `<g clip-path="url(#${clipId})">${use}</g>` : use);
+        });
+    }
+}
+
+/**
+ * Canvas-like container that serializes recorded shapes to an SVG document
+ */
+class SvgCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.isVector = true;
+        this.defs = [];
+        this.elements = [];
+        this.gradientCount = 0;
+        this.clipCount = 0;
+        this.layerCount = 0;
+        this.shapeCount = 0;
+        this.recordings = [];
+        this.context = new SvgContext(this);
+    }
+
+    getContext(type) {
+        if (type !== '2d') {
+            throw new Error(`SvgCanvas only supports the '2d' context, got '${type}'`);
+        }
+        return this.context;
+    }
+
+    /**
+     * Add an element to the drawing, or to the recording in progress
+     * @param {string} markup - SVG markup
+     * @param {boolean} [group=false] - Whether it opens or closes a layer group, which recordings keep as markup
+     */
+    addElement(markup, group = false) {
+        if (this.recordings.length > 0) {
+            this.recordings[this.recordings.length - 1].push({ markup, group });
+            return;
+        }
+        this.elements.push(markup);
+    }
+
+    /**
+     * Collect elements in a recording until endRecording(); recordings may nest
+     */
+    beginRecording() {
+        this.recordings.push([]);
+    }
+
+    /**
+     * Finish the current recording: each run of shapes between layer groups
+     * becomes a definition to reference with <use>, and the groups stay as
+     * markup so their blend modes still apply to the backdrop
+     * @returns {Array<{id?: string, markup?: string, group?: boolean}>} Entries for SvgContext.replay()
+     */
+    endRecording() {
+        const entries = [];
+        let run = [];
+        const flush = () => {
+            if (run.length > 0) {
+                const id = `shapes${this.shapeCount++}`;
+                this.addDef(`<g id="${id}">${run.join('')}</g>`);
+                entries.push({ id });
+                run = [];
+            }
+        };
+
+        this.recordings.pop().forEach(element => {
+            if (element.group) {
+                flush();
+                entries.push(element);
+            } else {
+                run.push(element.markup);
+            }
+        });
+        flush();
+
+        return entries;
+    }
+
+    addDef(markup) {
+        this.defs.push(markup);
+    }
+
+    /**
+     * Register a gradient definition and return its id
+     */
+    addGradient(gradient) {
+        if (gradient.id) {
+            return gradient.id;
+        }
+
+        gradient.id = `gradient${this.gradientCount++}`;
+        const stops = gradient.stops
+            .map(stop => `<stop offset="${svgNumber(stop.offset)}" stop-color="${svgEscape(stop.color)}"/>`)
+            .join('');
+        const attrs = Object.entries(gradient.coords)
+            .map(([key, value]) => `${key}="${svgNumber(value)}"`)
+            .join(' ');
+        const tag = gradient.type === 'radial' ? 'radialGradient' : 'linearGradient';
+
+        this.addDef(`<${tag} id="${gradient.id}" gradientUnits="userSpaceOnUse" ${attrs}>${stops}</${tag}>`);
+        return gradient.id;
+    }
+
+    /**
+     * Register a clip path and return its id
+     * @param {string} pathData - Path in canvas coordinates
+     * @param {string|null} parentId - Active clip to intersect with
+     */
+    addClipPath(pathData, parentId) {
+        const id = `clip${this.clipCount++}`;
+        const parent = parentId ? ` clip-path="url(#${parentId})"` : '';
+        this.addDef(`<clipPath id="${id}"${parent}><path d="${pathData}"/></clipPath>`);
+        return id;
+    }
+
+    /**
+     * Register the blur and drop shadow of a compositing layer as a filter and return its id
+     * @param {{blur: number, shadow: Object|null}} settings - Layer settings, sizes in layout units
+     * @param {number} [scale=1] - Scale of the layout units in the drawing
+     * @returns {string|null} Filter id, or null if the layer needs no filter
+     */
+    addLayerFilter({ blur, shadow }, scale = 1) {
+        const hasShadow = shadow && shadow.opacity > 0;
+        if (!(blur > 0) && !hasShadow) {
+            return null;
+        }
+
+        const id = `layer${this.layerCount++}`;
+        const primitives = [];
+        let layer = 'SourceGraphic';
+
+        if (blur > 0) {
+            primitives.push(`<feGaussianBlur in="SourceGraphic" stdDeviation="${svgNumber(blur * scale)}" result="layer"/>`);
+            layer = 'layer';
+        }
+        if (hasShadow) {
+            // Shadow: the layer's alpha blurred, offset and flooded with the shadow colour, merged beneath the layer
+            primitives.push(
+                `<feGaussianBlur in="${layer}" stdDeviation="${svgNumber(shadow.blur * scale)}"/>`,
+                `<feOffset dx="${svgNumber(shadow.offsetX * scale)}" dy="${svgNumber(shadow.offsetY * scale)}" result="offset"/>`,
+                `<feFlood flood-color="${svgEscape(shadow.color)}" flood-opacity="${svgNumber(shadow.opacity)}"/>`,
+                '<feComposite in2="offset" operator="in" result="shadow"/>',
+                `<feMerge><feMergeNode in="shadow"/><feMergeNode in="${layer}"/></feMerge>`
+            );
+        }
+
+        this.addDef(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%" color-interpolation-filters="sRGB">${primitives.join('')}</filter>`);
+        return id;
+    }
+
+    /**
+     * Overlay a seeded fractal noise texture using an SVG filter
+     * @param {{seed: number, frequency: number, strength: number, stitch?: boolean}} options - stitch makes the texture tile
+     */
+    addNoiseFilter({ seed, frequency, strength, stitch = false }) {
+        // stitchTiles adjusts the frequency so the noise repeats across the filter region
+        this.addDef(
+            '<filter id="noiseTexture" x="0" y="0" width="100%" height="100%">' +
+            `<feTurbulence type="fractalNoise" baseFrequency="${svgNumber(frequency)}" numOctaves="1" seed="${seed % 10000}"${stitch ? ' stitchTiles="stitch"' : ''}/>` +
+            '<feColorMatrix type="matrix" values="0.33 0.33 0.33 0 0 0.33 0.33 0.33 0 0 0.33 0.33 0.33 0 0 0 0 0 0 1"/>' +
+            '</filter>'
+        );
+        this.addElement(
+            `<rect x="0" y="0" width="${this.width}" height="${this.height}" filter="url(#noiseTexture)" opacity="${svgNumber(strength)}" style="mix-blend-mode:overlay"/>`
+        );
+    }
+
+    /**
+     * Overlay a pre-rendered raster layer (e.g. a PNG data URL)
+     */
+    addRasterLayer(href) {
+        this.addElement(`<image x="0" y="0" width="${this.width}" height="${this.height}" href="${href}"/>`);
+    }
+
+    /**
+     * Serialize to an SVG document
+     * @param {Object} [viewport] - Region of the drawing to show and the output size
+     * @param {number} viewport.x - Source region left edge
+     * @param {number} viewport.y - Source region top edge
+     * @param {number} viewport.width - Source region width
+     * @param {number} viewport.height - Source region height
+     * @param {number} viewport.outputWidth - Width attribute of the document
+     * @param {number} viewport.outputHeight - Height attribute of the document
+     * @returns {string} SVG markup
+     */
+    toSVG(viewport = {}) {
+        const x = viewport.x || 0;
+        const y = viewport.y || 0;
+        const width = viewport.width || this.width;
+        const height = viewport.height || this.height;
+        const outputWidth = viewport.outputWidth || width;
+        const outputHeight = viewport.outputHeight || height;
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${svgNumber(outputWidth)}" height="${svgNumber(outputHeight)}" viewBox="${svgNumber(x)} ${svgNumber(y)} ${svgNumber(width)} ${svgNumber(height)}">`,
+            `<defs>${this.defs.join('')}</defs>`,
+            ...this.elements,
+            '</svg>'
+        ].join('\n');
+    }
+}
+
+/**
+ * Format a number compactly for SVG attributes
+ */
+function svgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format a transform matrix; the linear part keeps more precision, as
+ * rounding it would distort the whole copy
+ */
+function svgMatrix([a, b, c, d, e, f]) {
+    const coefficient = value => String(Math.round(value * 1e6) / 1e6);
+    return [coefficient(a), coefficient(b), coefficient(c), coefficient(d), svgNumber(e), svgNumber(f)].join(' ');
+}
+
+/**
+ * Product of two transform matrices [a, b, c, d, e, f], applying n first
+ */
+function multiplyMatrix(m, n) {
+    const [ma, mb, mc, md, me, mf] = m;
+    const [a, b, c, d, e, f] = n;
+    return [
+        ma * a + mc * b,
+        mb * a + md * b,
+        ma * c + mc * d,
+        mb * c + md * d,
+        ma * e + mc * f + me,
+        mb * e + md * f + mf
+    ];
+}
+
+/**
+ * Escape a value for use inside a double-quoted attribute
+ */
+function svgEscape(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SvgCanvas, SvgContext, SvgGradient };
+}
@@ -0,0 +1,138 @@
+/**
+ * Symmetry Module
+ * Composition modifiers that mirror the style layer: horizontal or vertical
+ * mirrors, four quadrants, or an N-fold radial kaleidoscope
+ */
+
+class Symmetry {
+    /**
+     * Supported modes
+     */
+    static get MODES() {
+        return ['none', 'mirror-x', 'mirror-y', 'quad', 'kaleidoscope'];
+    }
+
+    /**
+     * Describe how to rebuild the canvas from its source region
+     * Each segment is a clip polygon in canvas coordinates plus the transform
+     * that maps the source region onto it
+     * @param {string} mode - One of Symmetry.MODES
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {number} folds - Kaleidoscope segment count (rounded up to an even number, at least 2)
+     * @returns {Array<{clip: Array<Array<number>>, transform: Array<number>}>|null} Segments, or null for 'none'
+     */
+    static getSegments(mode, width, height, folds) {
+        const identity = [1, 0, 0, 1, 0, 0];
+        const mirrorX = [-1, 0, 0, 1, width, 0];
+        const mirrorY = [1, 0, 0, -1, 0, height];
+        const halfW = width / 2;
+        const halfH = height / 2;
+
+        switch (mode || 'none') {
+            case 'none':
+                return null;
+
+            case 'mirror-x':
+                // Left half reflected onto the right half
+                return [
+                    { clip: Symmetry.rect(0, 0, halfW, height), transform: identity },
+                    { clip: Symmetry.rect(halfW, 0, halfW, height), transform: mirrorX }
+                ];
+
+            case 'mirror-y':
+                // Top half reflected onto the bottom half
+                return [
+                    { clip: Symmetry.rect(0, 0, width, halfH), transform: identity },
+                    { clip: Symmetry.rect(0, halfH, width, halfH), transform: mirrorY }
+                ];
+
+            case 'quad':
+                // Top-left quadrant reflected into the other three
+                return [
+                    { clip: Symmetry.rect(0, 0, halfW, halfH), transform: identity },
+                    { clip: Symmetry.rect(halfW, 0, halfW, halfH), transform: mirrorX },
+                    { clip: Symmetry.rect(0, halfH, halfW, halfH), transform: mirrorY },
+                    { clip: Symmetry.rect(halfW, halfH, halfW, halfH), transform: [-1, 0, 0, -1, width, height] }
+                ];
+
+            case 'kaleidoscope':
+                // Reflected wedges only close seamlessly with an even count
+                return Symmetry.kaleidoscopeSegments(width, height, Math.max(2, Math.ceil(Math.floor(folds) / 2) * 2));
+
+            default:
+                throw new Error(`Unknown symmetry mode: ${mode} (available: ${Symmetry.MODES.join(', ')})`);
+        }
+    }
+
+    /**
+     * N wedges around the centre; the source is the wedge at angles [0, 2π/N)
+     * Even wedges rotate the source, odd wedges reflect it so every edge meets seamlessly
+     */
+    static kaleidoscopeSegments(width, height, folds) {
+        const cx = width / 2;
+        const cy = height / 2;
+        const wedge = (Math.PI * 2) / folds;
+        const radius = Math.hypot(width, height);
+        const segments = [];
+
+        for (let i = 0; i < folds; i++) {
+            const start = i * wedge;
+            const clip = [[cx, cy]];
+
+            // Sample the arc so wide wedges (e.g. 2 folds) are still covered
+            const arcSteps = Math.max(2, Math.ceil(wedge / (Math.PI / 8)));
+            for (let step = 0; step <= arcSteps; step++) {
+                const angle = start + (wedge * step) / arcSteps;
+                clip.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+            }
+
+            // Rotation (and reflection across the x axis for odd wedges) about the centre
+            const angle = i % 2 === 0 ? start : start + wedge;
+            const flip = i % 2 === 0 ? 1 : -1;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            const a = cos;
+            const b = sin;
+            const c = -sin * flip;
+            const d = cos * flip;
+
+            segments.push({
+                clip,
+                transform: [a, b, c, d, cx - a * cx - c * cy, cy - b * cx - d * cy]
+            });
+        }
+
+        return segments;
+    }
+
+    /**
+     * Rectangle as a clip polygon
+     */
+    static rect(x, y, width, height) {
+        return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+    }
+
+    /**
+     * Clip a context to a segment and apply its transform
+     * Callers wrap this in ctx.save()/ctx.restore()
+     */
+    static applySegment(ctx, segment) {
+        ctx.beginPath();
+        segment.clip.forEach(([x, y], index) => {
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.closePath();
+        ctx.clip();
+        ctx.transform(...segment.transform);
+    }
+}
+
+// Export for Node.js, keep available globally for browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Symmetry;
+}
@@ -10,9 +10,116 @@ class App {
         this.metrics = null;
         this.visualParams = null;
 
+        // Crops edited in the crop editor, kept while the content stays the same
+        this.cropEdits = null;
+        this.cropEditor = new CropEditor(
+            (formatName, crop) => this.applyEditedCrop(formatName, crop),
+            formatName => this.resetEditedCrop(formatName)
+        );
+
+        this.populateStyleOptions();
+        this.populateFormatOptions();
+        this.populateFilterOptions();
+        this.populateEncodingOptions();
         this.initEventListeners();
     }
 
+    /**
+     * Fill the style picker from the style registry
+     */
+    populateStyleOptions() {
+        const styleSelect = document.getElementById('styleSelect');
+        const names = [...StyleRegistry.list(), 'auto'];
+
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name === 'auto' ? 'Auto (from content)' : this.formatStyleName(name);
+            option.selected = name === 'organic';
+            styleSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Fill the format picker from the shared format presets
+     */
+    populateFormatOptions() {
+        const picker = document.getElementById('formatPicker');
+
+        Formats.PRESETS.forEach(preset => {
+            const option = document.createElement('label');
+            option.className = 'checkbox-option';
+            option.innerHTML = `
+                <input type="checkbox" name="format" value="${preset.name}">
+                <div>
+                    <span>${preset.label}</span>
+                    <small>${preset.width}×${preset.height}</small>
+                </div>
+            `;
+            option.querySelector('input').checked = preset.name === 'landscape' || preset.name === 'square';
+            picker.appendChild(option);
+        });
+    }
+
+    /**
+     * Add a checkbox per post-processing filter, all off by default
+     */
+    populateFilterOptions() {
+        const picker = document.getElementById('filterPicker');
+
+        Filters.TYPES.forEach(type => {
+            const option = document.createElement('label');
+            option.className = 'checkbox-option';
+            option.innerHTML = `
+                <input type="checkbox" name="filter" value="${type}">
+                <div>
+                    <span>${this.formatStyleName(type)}</span>
+                </div>
+            `;
+            picker.appendChild(option);
+        });
+    }
+
+    /**
+     * Fill the encoding picker with the encodings this browser can produce
+     */
+    populateEncodingOptions() {
+        const encodingSelect = document.getElementById('encodingSelect');
+        const probe = document.createElement('canvas');
+        probe.width = 1;
+        probe.height = 1;
+
+        Object.entries(Encodings.FORMATS).forEach(([name, encoding]) => {
+            // Browsers fall back to PNG for types they cannot encode
+            if (name !== 'png' && !probe.toDataURL(encoding.mime).startsWith(`data:${encoding.mime}`)) {
+                return;
+            }
+
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = encoding.label;
+            encodingSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Get the presets ticked in the format picker
+     */
+    getSelectedFormats() {
+        return [...document.querySelectorAll('input[name="format"]:checked')]
+            .map(input => Formats.getPreset(input.value));
+    }
+
+    /**
+     * Turn a style name like 'flow-field' into a label like 'Flow Field'
+     */
+    formatStyleName(name) {
+        return name
+            .split('-')
+            .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+            .join(' ');
+    }
+
     /**
      * Initialize event listeners
      */
@@ -52,11 +159,18 @@ class App {
             this.generateImages();
         });
 
-        // Download buttons
-        document.querySelectorAll('.download-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
+        // Download and crop editor buttons (previews are rebuilt for each generation)
+        document.getElementById('previewGrid').addEventListener('click', (e) => {
+            if (e.target.classList.contains('download-btn')) {
                 this.downloadImage(e.target.dataset.format);
-            });
+            } else if (e.target.classList.contains('edit-crop-btn')) {
+                this.openCropEditor(e.target.dataset.format);
+            }
+        });
+
+        // Export edited crops for the CLI
+        document.getElementById('exportCropsBtn').addEventListener('click', () => {
+            this.exportCrops();
         });
     }
 
@@ -105,6 +219,9 @@ class App {
         try {
             const text = await file.text();
             document.getElementById('contentInput').value = text;
+
+            // The CLI file providers use the file name without extension as the item ID
+            document.getElementById('itemIdInput').value = file.name.replace(/\.[^.]+$/, '');
             this.switchInputMode('paste');
         } catch (error) {
             console.error('Error reading file:', error);
@@ -176,6 +293,7 @@ class App {
 
             // Populate textarea
             document.getElementById('contentInput').value = content;
+            document.getElementById('itemIdInput').value = post.id;
 
             // Show success
             statusDiv.className = 'status-message success';
@@ -277,6 +395,11 @@ class App {
             return;
         }
 
+        if (this.getSelectedFormats().length === 0) {
+            alert('Please select at least one output format!');
+            return;
+        }
+
         // Clean up previous sketches
         this.cleanupSketches();
 
@@ -284,8 +407,11 @@ class App {
         const analyzer = new ContentAnalyzer(content);
         this.metrics = analyzer.analyze();
 
-        // Generate visual parameters
-        const seedGen = new SeedGenerator(this.metrics);
+        // Generate visual parameters, seeded the same way as the CLI's generation.seeding
+        const seedGen = new SeedGenerator(this.metrics, {
+            mode: document.getElementById('seedingSelect').value,
+            salt: document.getElementById('saltInput').value
+        });
         this.visualParams = seedGen.generateVisualParams();
 
         // Get user-defined stroke parameters
@@ -296,12 +422,55 @@ class App {
         this.visualParams.minStroke = minStroke;
         this.visualParams.maxStroke = maxStroke;
 
+        // Add selected style ('auto' is resolved from the content hash)
+        const style = document.getElementById('styleSelect').value;
+        this.visualParams.style = StyleRegistry.resolve(style, this.visualParams.contentHash, this.visualParams.generatorVersion);
+        this.visualParams.symmetry = document.getElementById('symmetrySelect').value;
+        this.visualParams.paletteMode = document.getElementById('paletteModeSelect').value;
+
+        // Noise settings; an empty octave count leaves it to the style, as in the CLI
+        const octaves = parseInt(document.getElementById('noiseOctaves').value, 10);
+        this.visualParams.noise = {
+            type: document.getElementById('noiseTypeSelect').value,
+            fractal: document.getElementById('noiseFractalSelect').value,
+            octaves: Number.isNaN(octaves) ? null : Math.min(Math.max(octaves, 1), 8),
+            lacunarity: Math.min(Math.max(parseFloat(document.getElementById('noiseLacunarity').value) || 2, 1), 4),
+            gain: Math.min(Math.max(parseFloat(document.getElementById('noiseGain').value) || 0.5, 0.05), 1)
+        };
+
+        // Background gradient; an empty angle leaves it to the content, as in the CLI
+        const angle = parseFloat(document.getElementById('backgroundAngle').value);
+        this.visualParams.background = {
+            type: document.getElementById('backgroundTypeSelect').value,
+            angle: Number.isNaN(angle) ? null : Math.min(Math.max(angle, 0), 360)
+        };
+
+        // Post-processing filters run in the order listed, on each format after it is cropped
+        this.visualParams.texture = document.getElementById('textureToggle').checked;
+        this.visualParams.filters = Array.from(document.querySelectorAll('input[name="filter"]:checked'), input => input.value);
+
         // Display metrics
         this.displayMetrics();
 
-        // Generate master image at maximum size (1200×1200)
-        // Then crop it to different formats
-        this.generateMasterImage();
+        // Edited crops belong to the image they were made for
+        if (!this.cropEdits || this.cropEdits.contentHash !== this.visualParams.contentHash || this.cropEdits.seed !== this.visualParams.seed) {
+            this.cropEdits = {
+                contentHash: this.visualParams.contentHash,
+                seed: this.visualParams.seed,
+                generatorVersion: this.visualParams.generatorVersion,
+                masterSize: null,
+                crops: {}
+            };
+        }
+
+        // Compose each format at its own aspect ratio, or crop them all from one square master
+        const isMaster = document.getElementById('layoutSelect').value === 'master';
+        if (isMaster) {
+            this.generateMasterImage();
+        } else {
+            this.generateAspectImages();
+        }
+        document.getElementById('cropTools').style.display = isMaster ? 'flex' : 'none';
 
         // Show output section
         document.getElementById('outputSection').style.display = 'block';
@@ -340,30 +509,59 @@ class App {
                 <div class="metric-value">${this.metrics.readingTime} min</div>
                 <div class="metric-label">Reading Time</div>
             </div>
+            <div class="metric-item">
+                <div class="metric-value">${this.visualParams.seed}</div>
+                <div class="metric-label">Seed (v${this.visualParams.generatorVersion})</div>
+            </div>
         `;
     }
 
+    /**
+     * Render every selected format at its own size, so each composition
+     * is laid out for its aspect ratio
+     */
+    generateAspectImages() {
+        this.getSelectedFormats().forEach(format => {
+            const containerId = this.createPreviewItem(format);
+            const { canvas } = new VisualGenerator(this.visualParams, format.width, format.height).generate();
+
+            document.getElementById(containerId).appendChild(canvas);
+            this.sketches[format.name] = { canvas };
+        });
+    }
+
     /**
      * Generate master image and create cropped versions
      */
     generateMasterImage() {
-        // Create a temporary container for the master image
-        const tempContainer = document.createElement('div');
-        tempContainer.style.display = 'none';
-        document.body.appendChild(tempContainer);
-
-        // Generate master image at maximum size (1200×1200)
-        const visualGen = new VisualGenerator(this.visualParams, 1200, 1200);
-        this.sketches.master = visualGen.generate(p5, tempContainer);
-
-        // Wait for the sketch to finish drawing
-        // p5 noLoop() means it draws once, so we can access it immediately
-        // But we'll use a small timeout to be safe
-        setTimeout(() => {
-            this.createCroppedVersions();
-            // Clean up temp container
-            document.body.removeChild(tempContainer);
-        }, 100);
+        // Generate master image at the selected size (enlarged to cover bigger formats)
+        // The shared renderer draws synchronously, so crops can be taken right away
+        const requestedSize = parseInt(document.getElementById('masterSizeSelect').value, 10);
+        const masterSize = Formats.getMasterSize(this.getSelectedFormats(), requestedSize);
+        // The master stays unfiltered; createCroppedCanvas() filters each crop
+        const visualGen = new VisualGenerator({ ...this.visualParams, filters: null }, masterSize, masterSize);
+        this.sketches.master = visualGen.generate();
+
+        this.createCroppedVersions();
+    }
+
+    /**
+     * Add a preview card for a format
+     * @param {boolean} editable - Whether to offer the crop editor (master layout)
+     * @returns {string} ID of the card's canvas container
+     */
+    createPreviewItem(format, editable = false) {
+        const item = document.createElement('div');
+        item.className = 'preview-item';
+        item.innerHTML = `
+            <h3>${format.label} (${format.width}×${format.height})</h3>
+            <div id="canvas-${format.name}" class="canvas-container"></div>
+            ${editable ? `<button class="edit-crop-btn load-btn" data-format="${format.name}">Edit Crop</button>` : ''}
+            <button class="download-btn" data-format="${format.name}">Download</button>
+        `;
+        document.getElementById('previewGrid').appendChild(item);
+
+        return `canvas-${format.name}`;
     }
 
     /**
@@ -375,121 +573,220 @@ class App {
         // Get selected crop mode
         const cropMode = document.querySelector('input[name="cropMode"]:checked').value;
 
-        // Create landscape version (1200×628)
-        this.createCroppedCanvas(
-            masterCanvas,
-            'canvas-landscape',
-            1200,
-            628,
-            'landscape',
-            cropMode
-        );
-
-        // Create square version (1200×1200) - use full image
-        this.createCroppedCanvas(
-            masterCanvas,
-            'canvas-square',
-            1200,
-            1200,
-            'square',
-            cropMode
-        );
+        // One preview per selected format; edited crops override the crop mode
+        this.getSelectedFormats().forEach(format => {
+            this.createCroppedCanvas(
+                masterCanvas,
+                this.createPreviewItem(format, true),
+                format.width,
+                format.height,
+                format.name,
+                cropMode,
+                this.getEditedCrop(format.name, masterCanvas.width)
+            );
+        });
     }
 
     /**
      * Create a cropped canvas from master image
+     * @param {Object|null} editedCrop - Crop from the crop editor, used instead of the crop mode
      */
-    createCroppedCanvas(sourceCanvas, containerId, width, height, formatName, cropMode = 'direct') {
+    createCroppedCanvas(sourceCanvas, containerId, width, height, formatName, cropMode = 'direct', editedCrop = null) {
         const container = document.getElementById(containerId);
         container.innerHTML = ''; // Clear previous canvas
 
+        // Remove the previous crop caption, if any
+        const previousInfo = container.nextElementSibling;
+        if (previousInfo && previousInfo.classList.contains('crop-info')) {
+            previousInfo.remove();
+        }
+
         // Create new canvas for the cropped version
         const croppedCanvas = document.createElement('canvas');
         croppedCanvas.width = width;
         croppedCanvas.height = height;
 
-        const ctx = croppedCanvas.getContext('2d');
-
-        if (cropMode === 'resize') {
-            // Resize + Crop mode: Scale to fit target aspect ratio, then crop
-            this.resizeAndCrop(ctx, sourceCanvas, width, height);
-        } else {
-            // Direct Crop mode: Crop directly from top-left (faster, current behavior)
-            ctx.drawImage(
-                sourceCanvas,
-                0, 0, width, height,  // Source rectangle (crop from top-left)
-                0, 0, width, height   // Destination rectangle
-            );
-        }
+        const crop = editedCrop || this.getCropRect(sourceCanvas, width, height, cropMode);
+        croppedCanvas.getContext('2d').drawImage(
+            sourceCanvas,
+            crop.x, crop.y, crop.width, crop.height,  // Source rectangle
+            0, 0, width, height                       // Destination rectangle
+        );
+        Filters.apply(croppedCanvas.getContext('2d'), this.visualParams.filters || [], {
+            palette: PaletteGenerator.getPalette(this.visualParams),
+            seed: this.visualParams.seed
+        });
 
         // Add to container
         container.appendChild(croppedCanvas);
 
-        // Store reference for download
+        if (editedCrop || cropMode === 'smart') {
+            // Show which region was chosen, and why for smart crops
+            const info = document.createElement('small');
+            info.className = 'crop-info';
+            info.textContent = editedCrop
+                ? `Edited crop: ${crop.width}×${crop.height} at (${crop.x}, ${crop.y})`
+                : `Smart crop: ${crop.width}×${crop.height} at (${crop.x}, ${crop.y}), ` +
+                  `score ${crop.score.toFixed(2)} (edge ${crop.edge.toFixed(2)}, variance ${crop.variance.toFixed(2)}, density ${crop.density.toFixed(2)})`;
+            container.insertAdjacentElement('afterend', info);
+        }
+
+        // Store reference for download, and the crop for the editor
         this.sketches[formatName] = {
-            canvas: croppedCanvas
+            canvas: croppedCanvas,
+            crop
         };
     }
 
     /**
-     * Resize and crop image to fit target dimensions
-     * Scales the source to cover the target while maintaining aspect ratio,
-     * then crops from center
+     * Source region of the master for a crop mode
+     * direct: the top-left corner at 1:1; resize: the largest centred region
+     * with the format's aspect ratio; smart: see findSmartCrop()
      */
-    resizeAndCrop(ctx, sourceCanvas, targetWidth, targetHeight) {
+    getCropRect(sourceCanvas, width, height, cropMode) {
         const sourceWidth = sourceCanvas.width;
         const sourceHeight = sourceCanvas.height;
 
-        // Calculate aspect ratios
-        const sourceAspect = sourceWidth / sourceHeight;
-        const targetAspect = targetWidth / targetHeight;
-
-        let scaleWidth, scaleHeight;
-        let sourceX = 0, sourceY = 0;
-        let drawWidth, drawHeight;
-
-        // Scale to cover the target dimensions while maintaining aspect ratio
-        if (sourceAspect > targetAspect) {
-            // Source is wider - fit to height
-            scaleHeight = targetHeight;
-            scaleWidth = sourceWidth * (targetHeight / sourceHeight);
-            sourceX = (scaleWidth - targetWidth) / 2;
-            drawWidth = scaleWidth;
-            drawHeight = scaleHeight;
-        } else {
-            // Source is taller or equal - fit to width
-            scaleWidth = targetWidth;
-            scaleHeight = sourceHeight * (targetWidth / sourceWidth);
-            sourceY = (scaleHeight - targetHeight) / 2;
-            drawWidth = scaleWidth;
-            drawHeight = scaleHeight;
+        if (cropMode === 'smart') {
+            return this.findSmartCrop(sourceCanvas, width, height);
         }
 
-        // Create a temporary canvas for the resized image
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = drawWidth;
-        tempCanvas.height = drawHeight;
-        const tempCtx = tempCanvas.getContext('2d');
+        if (cropMode === 'resize') {
+            // Scale to cover the target dimensions while maintaining aspect ratio, then take the centre
+            const scale = Math.max(width / sourceWidth, height / sourceHeight);
+            const cropWidth = Math.round(width / scale);
+            const cropHeight = Math.round(height / scale);
+
+            return {
+                x: Math.round((sourceWidth - cropWidth) / 2),
+                y: Math.round((sourceHeight - cropHeight) / 2),
+                width: cropWidth,
+                height: cropHeight
+            };
+        }
 
-        // Draw the scaled image to temp canvas
-        tempCtx.drawImage(
-            sourceCanvas,
-            0, 0, sourceWidth, sourceHeight,
-            0, 0, drawWidth, drawHeight
-        );
+        // Direct crop from the top-left
+        return { x: 0, y: 0, width, height };
+    }
+
+    /**
+     * Pick the most interesting region of the master for a format
+     * The master's pixels are read once and shared by every format
+     */
+    findSmartCrop(sourceCanvas, width, height) {
+        if (!this.masterPixels || this.masterPixels.source !== sourceCanvas) {
+            const imageData = sourceCanvas.getContext('2d').getImageData(0, 0, sourceCanvas.width, sourceCanvas.height);
+            this.masterPixels = { source: sourceCanvas, imageData };
+        }
+
+        return new SmartCrop().findCrop(this.masterPixels.imageData, width, height);
+    }
+
+    /**
+     * Open the crop editor for a format, starting from its current crop
+     */
+    openCropEditor(formatName) {
+        const format = this.getSelectedFormats().find(entry => entry.name === formatName);
+        this.cropEditor.open(this.sketches.master.canvas, format, this.sketches[formatName].crop);
+    }
+
+    /**
+     * Keep a crop from the editor and redraw the format with it
+     */
+    applyEditedCrop(formatName, crop) {
+        this.cropEdits.crops[formatName] = { mode: 'manual', ...crop };
+        this.cropEdits.masterSize = this.sketches.master.canvas.width;
+        this.redrawCrop(formatName);
+    }
+
+    /**
+     * Drop a format's edited crop and go back to the crop mode
+     */
+    resetEditedCrop(formatName) {
+        delete this.cropEdits.crops[formatName];
+        this.redrawCrop(formatName);
+    }
+
+    /**
+     * Redraw one format from the master
+     */
+    redrawCrop(formatName) {
+        const format = this.getSelectedFormats().find(entry => entry.name === formatName);
+        const masterCanvas = this.sketches.master.canvas;
 
-        // Draw the cropped portion from temp canvas to final canvas
-        ctx.drawImage(
-            tempCanvas,
-            sourceX, sourceY, targetWidth, targetHeight,  // Source rectangle (crop from center)
-            0, 0, targetWidth, targetHeight               // Destination rectangle
+        this.createCroppedCanvas(
+            masterCanvas,
+            `canvas-${formatName}`,
+            format.width,
+            format.height,
+            formatName,
+            document.querySelector('input[name="cropMode"]:checked').value,
+            this.getEditedCrop(formatName, masterCanvas.width)
         );
     }
 
     /**
-     * Download image
+     * Edited crop for a format, scaled to the current master size
+     * @returns {Object|null}
+     */
+    getEditedCrop(formatName, masterSize) {
+        const crop = this.cropEdits && this.cropEdits.crops[formatName];
+        if (!crop) {
+            return null;
+        }
+
+        const scale = masterSize / this.cropEdits.masterSize;
+        const width = Math.min(masterSize, Math.round(crop.width * scale));
+        const height = Math.min(masterSize, Math.round(crop.height * scale));
+
+        return {
+            ...crop,
+            x: Math.min(masterSize - width, Math.round(crop.x * scale)),
+            y: Math.min(masterSize - height, Math.round(crop.y * scale)),
+            width,
+            height
+        };
+    }
+
+    /**
+     * Download the edited crops as {id}-crops.json, which the CLI replays
+     * for the item with the same ID and content (--crops <dir>)
      */
-    downloadImage(format) {
+    exportCrops() {
+        if (!this.cropEdits || Object.keys(this.cropEdits.crops).length === 0) {
+            alert('Edit at least one crop first!');
+            return;
+        }
+
+        const id = document.getElementById('itemIdInput').value.trim();
+        if (!id) {
+            alert('Please enter the item ID the CLI uses for this content (post ID or file name)!');
+            return;
+        }
+
+        const record = {
+            id,
+            contentHash: this.cropEdits.contentHash,
+            seed: this.cropEdits.seed,
+            generatorVersion: this.cropEdits.generatorVersion,
+            masterSize: this.cropEdits.masterSize,
+            crops: this.cropEdits.crops
+        };
+
+        const blob = new Blob([JSON.stringify(record, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = `${id}-crops.json`;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Download image with the selected encoding, lowering the quality until
+     * it fits the max size if one is set
+     */
+    async downloadImage(format) {
         const sketch = this.sketches[format];
         if (!sketch) {
             alert('Image not generated yet!');
@@ -499,36 +796,67 @@ class App {
         // Get the canvas
         const canvas = sketch.canvas;
 
+        const name = document.getElementById('encodingSelect').value;
+        const encoding = Encodings.FORMATS[name];
+        let settings;
+        try {
+            settings = Encodings.resolveSettings({
+                quality: parseInt(document.getElementById('qualityInput').value, 10),
+                maxBytes: Encodings.parseBytes(document.getElementById('maxSizeInput').value.trim())
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        const result = await Encodings.encodeWithinBudget(name, quality => new Promise(resolve => {
+            canvas.toBlob(blob => resolve({ data: blob, size: blob.size }), encoding.mime, quality === null ? undefined : quality / 100);
+        }), settings);
+
         // Create filename from first few words of content
         const words = this.metrics.words.slice(0, 3).join('-');
-        const filename = `abstract-${words}-${format}.png`;
+        const filename = `abstract-${words}-${format}${encoding.extensions[0]}`;
 
         // Create download link
-        canvas.toBlob((blob) => {
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.download = filename;
-            link.href = url;
-            link.click();
-            URL.revokeObjectURL(url);
-        }, 'image/png');
+        const url = URL.createObjectURL(result.data);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        this.showEncodingInfo(format, encoding, result, settings);
     }
 
     /**
-     * Clean up previous p5 sketches
+     * Show the encoding settings chosen for a download under its button
+     */
+    showEncodingInfo(format, encoding, result, settings) {
+        const button = document.querySelector(`.download-btn[data-format="${format}"]`);
+        let info = button.nextElementSibling;
+        if (!info || !info.classList.contains('encoding-info')) {
+            info = document.createElement('small');
+            info.className = 'encoding-info';
+            button.insertAdjacentElement('afterend', info);
+        }
+
+        const quality = result.quality === null ? '' : ` at quality ${result.quality}`;
+        const budget = settings.maxBytes
+            ? (result.fits ? ` (within ${Encodings.formatBytes(settings.maxBytes)})` : ` (still over ${Encodings.formatBytes(settings.maxBytes)})`)
+            : '';
+        info.textContent = `Saved as ${encoding.label}${quality}: ${Encodings.formatBytes(result.size)}${budget}`;
+    }
+
+    /**
+     * Clean up previous sketches
      */
     cleanupSketches() {
-        // Remove p5 sketches (master sketch has a remove method)
-        Object.values(this.sketches).forEach(sketch => {
-            if (sketch && sketch.remove) {
-                sketch.remove();
-            }
-        });
         this.sketches = {};
+        this.masterPixels = null;
+        this.cropEditor.close();
 
-        // Clear containers
-        document.getElementById('canvas-landscape').innerHTML = '';
-        document.getElementById('canvas-square').innerHTML = '';
+        // Clear previews
+        document.getElementById('previewGrid').innerHTML = '';
     }
 }
 
@@ -0,0 +1,224 @@
+/**
+ * Crop Editor
+ * Lets users frame each format on the master preview: drag the frame to move
+ * it, drag its corner to resize it, or click anywhere to centre it on a focal point
+ */
+
+class CropEditor {
+    /**
+     * @param {Function} onApply - Called with (formatName, crop) when a crop is applied
+     * @param {Function} onReset - Called with (formatName) to drop a format's edited crop
+     */
+    constructor(onApply, onReset) {
+        this.onApply = onApply;
+        this.onReset = onReset;
+
+        this.panel = document.getElementById('cropEditor');
+        this.title = document.getElementById('cropEditorTitle');
+        this.stage = document.getElementById('cropStage');
+        this.frame = document.getElementById('cropFrame');
+        this.focus = document.getElementById('cropFocus');
+
+        this.preview = document.createElement('canvas');
+        this.stage.insertBefore(this.preview, this.stage.firstChild);
+
+        this.format = null;
+        this.crop = null;
+        this.drag = null;
+
+        this.initEventListeners();
+    }
+
+    /**
+     * Wire up pointer dragging and the editor buttons
+     */
+    initEventListeners() {
+        this.stage.addEventListener('pointerdown', (e) => this.startDrag(e));
+        this.stage.addEventListener('pointermove', (e) => this.moveDrag(e));
+        this.stage.addEventListener('pointerup', () => this.endDrag());
+        this.stage.addEventListener('pointercancel', () => this.endDrag());
+
+        document.getElementById('applyCropBtn').addEventListener('click', () => {
+            this.onApply(this.format.name, this.getCrop());
+            this.close();
+        });
+
+        document.getElementById('resetCropBtn').addEventListener('click', () => {
+            this.onReset(this.format.name);
+            this.close();
+        });
+
+        document.getElementById('cancelCropBtn').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    /**
+     * Open the editor for a format
+     * @param {HTMLCanvasElement} masterCanvas - Square master the format is cropped from
+     * @param {{name: string, label: string, width: number, height: number}} format - Format being edited
+     * @param {{x: number, y: number, width: number, height: number, focus?: Object}} crop - Current crop, in master pixels
+     */
+    open(masterCanvas, format, crop) {
+        this.format = format;
+        this.masterSize = masterCanvas.width;
+        this.crop = { x: crop.x, y: crop.y, width: crop.width, height: crop.height };
+        this.focusPoint = crop.focus
+            ? { x: crop.focus.x * this.masterSize, y: crop.focus.y * this.masterSize }
+            : null;
+
+        // Draw a reduced copy of the master to edit on
+        const previewSize = Math.min(this.masterSize, 600);
+        this.preview.width = previewSize;
+        this.preview.height = previewSize;
+        this.preview.getContext('2d').drawImage(masterCanvas, 0, 0, previewSize, previewSize);
+
+        this.title.textContent = `Edit crop: ${format.label} (${format.width}×${format.height})`;
+        this.panel.style.display = 'block';
+        this.render();
+        this.panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Hide the editor
+     */
+    close() {
+        this.panel.style.display = 'none';
+        this.drag = null;
+    }
+
+    /**
+     * The edited crop, rounded to master pixels, with the focal point as a
+     * fraction of the master (the frame's centre if none was picked)
+     */
+    getCrop() {
+        const crop = {
+            x: Math.round(this.crop.x),
+            y: Math.round(this.crop.y),
+            width: Math.round(this.crop.width),
+            height: Math.round(this.crop.height)
+        };
+        const focus = this.focusPoint || { x: this.crop.x + this.crop.width / 2, y: this.crop.y + this.crop.height / 2 };
+
+        crop.focus = {
+            x: Math.round((focus.x / this.masterSize) * 1000) / 1000,
+            y: Math.round((focus.y / this.masterSize) * 1000) / 1000
+        };
+
+        return crop;
+    }
+
+    /**
+     * Convert a pointer position to master pixels
+     */
+    toMaster(e) {
+        const rect = this.stage.getBoundingClientRect();
+        return {
+            x: ((e.clientX - rect.left) / rect.width) * this.masterSize,
+            y: ((e.clientY - rect.top) / rect.height) * this.masterSize
+        };
+    }
+
+    /**
+     * Start moving or resizing the frame, or pick a focal point
+     */
+    startDrag(e) {
+        const point = this.toMaster(e);
+        this.stage.setPointerCapture(e.pointerId);
+        e.preventDefault();
+
+        if (e.target.classList.contains('crop-handle')) {
+            this.drag = { mode: 'resize' };
+        } else if (e.target === this.frame) {
+            this.drag = { mode: 'move', offsetX: point.x - this.crop.x, offsetY: point.y - this.crop.y };
+            this.focusPoint = null;
+        } else {
+            this.drag = { mode: 'focus' };
+            this.centreOn(point);
+        }
+    }
+
+    /**
+     * Update the frame while dragging
+     */
+    moveDrag(e) {
+        if (!this.drag) {
+            return;
+        }
+
+        const point = this.toMaster(e);
+
+        if (this.drag.mode === 'move') {
+            this.crop.x = point.x - this.drag.offsetX;
+            this.crop.y = point.y - this.drag.offsetY;
+            this.clamp();
+        } else if (this.drag.mode === 'resize') {
+            this.resizeTo(point);
+        } else {
+            this.centreOn(point);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Stop dragging
+     */
+    endDrag() {
+        this.drag = null;
+    }
+
+    /**
+     * Centre the frame on a focal point, keeping it inside the master
+     */
+    centreOn(point) {
+        this.focusPoint = {
+            x: Math.min(Math.max(point.x, 0), this.masterSize),
+            y: Math.min(Math.max(point.y, 0), this.masterSize)
+        };
+        this.crop.x = this.focusPoint.x - this.crop.width / 2;
+        this.crop.y = this.focusPoint.y - this.crop.height / 2;
+        this.clamp();
+        this.render();
+    }
+
+    /**
+     * Resize from the top-left corner, keeping the format's aspect ratio
+     * The frame can shrink to a tenth of the master, or grow until it touches an edge
+     */
+    resizeTo(point) {
+        const aspect = this.format.width / this.format.height;
+        const maxWidth = Math.min(this.masterSize - this.crop.x, (this.masterSize - this.crop.y) * aspect);
+        const minWidth = Math.min(maxWidth, (this.masterSize / 10) * Math.max(aspect, 1));
+        const width = Math.min(Math.max(point.x - this.crop.x, (point.y - this.crop.y) * aspect, minWidth), maxWidth);
+
+        this.crop.width = width;
+        this.crop.height = width / aspect;
+    }
+
+    /**
+     * Keep the frame inside the master
+     */
+    clamp() {
+        this.crop.x = Math.min(Math.max(this.crop.x, 0), this.masterSize - this.crop.width);
+        this.crop.y = Math.min(Math.max(this.crop.y, 0), this.masterSize - this.crop.height);
+    }
+
+    /**
+     * Position the frame and focal point marker over the preview
+     */
+    render() {
+        const percent = value => `${(value / this.masterSize) * 100}%`;
+
+        this.frame.style.left = percent(this.crop.x);
+        this.frame.style.top = percent(this.crop.y);
+        this.frame.style.width = percent(this.crop.width);
+        this.frame.style.height = percent(this.crop.height);
+
+        this.focus.style.display = this.focusPoint ? 'block' : 'none';
+        if (this.focusPoint) {
+            this.focus.style.left = percent(this.focusPoint.x);
+            this.focus.style.top = percent(this.focusPoint.y);
+        }
+    }
+}
@@ -22,7 +22,7 @@ if exist "generated-images\test-content-square.png" del "generated-images\test-c
 if exist "generated-images\26136-landscape.png" del "generated-images\26136-landscape.png"
 if exist "generated-images\26136-square.png" del "generated-images\26136-square.png"
 
-echo [Test 1/5] Checking dependencies...
+echo [Test 1/6] Checking dependencies...
 set /a TOTAL+=1
 if exist "node_modules" (
     echo %GREEN%PASS%RESET%: node_modules exists
@@ -40,7 +40,7 @@ if exist "node_modules" (
 )
 echo.
 
-echo [Test 2/5] CLI: Generate from file (test-content.txt)...
+echo [Test 2/6] CLI: Generate from file (test-content.txt)...
 set /a TOTAL+=1
 node src/cli/cli.js generate --source file --path test-content.txt --all >nul 2>&1
 if !ERRORLEVEL! EQU 0 (
@@ -62,7 +62,7 @@ if !ERRORLEVEL! EQU 0 (
 )
 echo.
 
-echo [Test 3/5] CLI: Generate from WordPress (post 26136)...
+echo [Test 3/6] CLI: Generate from WordPress (post 26136)...
 set /a TOTAL+=1
 node src/cli/cli.js generate --source wordpress --url https://osmeusapontamentos.com --id 26136 --all >nul 2>&1
 if !ERRORLEVEL! EQU 0 (
@@ -84,7 +84,7 @@ if !ERRORLEVEL! EQU 0 (
 )
 echo.
 
-echo [Test 4/5] CLI: Generate with resize crop mode...
+echo [Test 4/6] CLI: Generate with resize crop mode...
 set /a TOTAL+=1
 del "generated-images\test-content-landscape.png" 2>nul
 del "generated-images\test-content-square.png" 2>nul
@@ -103,7 +103,7 @@ if !ERRORLEVEL! EQU 0 (
 )
 echo.
 
-echo [Test 5/5] CLI: Generate with custom output directory...
+echo [Test 5/6] CLI: Generate with custom output directory...
 set /a TOTAL+=1
 if exist "test-output" rd /s /q "test-output"
 mkdir "test-output" 2>nul
@@ -128,6 +128,17 @@ if !ERRORLEVEL! EQU 0 (
 )
 echo.
 
+echo [Test 6/6] Browser/Node.js canvas adapters...
+set /a TOTAL+=1
+node src/cli/cli.js verify-adapters >nul 2>&1
+if !ERRORLEVEL! EQU 0 (
+    echo %GREEN%PASS%RESET%: Browser and Node.js canvas adapters produce identical images
+    set /a PASSED+=1
+) else (
+    echo %RED%FAIL%RESET%: Browser and Node.js canvas adapters differ
+    set /a FAILED+=1
+)
+echo.
 echo ============================================================
 echo TEST RESULTS: !PASSED!/!TOTAL! passed
 echo ============================================================
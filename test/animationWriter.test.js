@@ -0,0 +1,119 @@
+/**
+ * Animation writer tests
+ * GIF, APNG and PNG frame output from canvas frames, frame timing, and the
+ * ffmpeg check for MP4
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const Animation = require('../src/core/animation');
+const AnimationWriter = require('../src/cli/animationWriter');
+
+/**
+ * Stand-in for a node-canvas Canvas filled with one colour
+ * Its PNG leaves the chunk CRCs at zero, as the APNG encoder does not read them
+ */
+function solidCanvas(width, height, rgba) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data.set(rgba, i);
+    }
+
+    const chunk = (type, body) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(body.length, 0);
+        return Buffer.concat([length, Buffer.from(type, 'ascii'), body, Buffer.alloc(4)]);
+    };
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+    const rows = Array.from({ length: height }, (_, y) => Buffer.concat([Buffer.from([0]), Buffer.from(data.buffer, y * width * 4, width * 4)]));
+    const png = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+
+    return {
+        getContext: () => ({ getImageData: () => ({ data }) }),
+        toBuffer: () => png
+    };
+}
+
+async function writeAnimation(outputPath, settings) {
+    const writer = new AnimationWriter(outputPath, settings, 4, 3);
+    for (let frame = 0; frame < settings.frames; frame++) {
+        await writer.addFrame(solidCanvas(4, 3, [frame * 40, 0, 255 - frame * 40, 255]));
+    }
+    return writer.finish();
+}
+
+describe('AnimationWriter', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'animation-writer-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('writes a GIF whose frame delays add up to the loop length', async () => {
+        const outputPath = path.join(directory, 'loop.gif');
+        const settings = Animation.resolveSettings({ format: 'gif', fps: 3, duration: 1 });
+        const size = await writeAnimation(outputPath, settings);
+
+        const gif = fs.readFileSync(outputPath);
+        assert.equal(size, gif.length);
+        assert.equal(gif.toString('ascii', 0, 6), 'GIF89a');
+
+        // Delays from each graphic control extension, in hundredths of a second
+        const delays = [];
+        for (let i = gif.indexOf(Buffer.from([0x21, 0xf9, 0x04])); i >= 0; i = gif.indexOf(Buffer.from([0x21, 0xf9, 0x04]), i + 1)) {
+            delays.push(gif.readUInt16LE(i + 4));
+        }
+        assert.deepEqual(delays, [33, 34, 33]);
+    });
+
+    it('writes an APNG with delays in milliseconds', async () => {
+        const outputPath = path.join(directory, 'loop.png');
+        const settings = Animation.resolveSettings({ format: 'apng', fps: 3, duration: 1 });
+        const size = await writeAnimation(outputPath, settings);
+
+        const apng = fs.readFileSync(outputPath);
+        assert.equal(size, apng.length);
+
+        const delays = [];
+        for (let i = apng.indexOf('fcTL'); i >= 0; i = apng.indexOf('fcTL', i + 1)) {
+            delays.push(apng.readUInt16BE(i + 4 + 20));
+        }
+        assert.deepEqual(delays, [333, 334, 333]);
+    });
+
+    it('writes numbered PNG frames into a directory and reports their total size', async () => {
+        const outputPath = path.join(directory, 'loop-frames');
+        const settings = Animation.resolveSettings({ format: 'frames', frames: 3, duration: 1 });
+        const size = await writeAnimation(outputPath, settings);
+
+        const files = fs.readdirSync(outputPath).sort();
+        assert.deepEqual(files, ['frame-0001.png', 'frame-0002.png', 'frame-0003.png']);
+        assert.equal(size, files.reduce((total, file) => total + fs.statSync(path.join(outputPath, file)).size, 0));
+    });
+
+    it('checks for ffmpeg only for MP4 output', () => {
+        const missing = path.join(directory, 'no-ffmpeg');
+
+        assert.doesNotThrow(() => AnimationWriter.checkSupport(Animation.resolveSettings({ format: 'gif' }), missing));
+        assert.throws(
+            () => AnimationWriter.checkSupport(Animation.resolveSettings({ format: 'mp4' }), missing),
+            /MP4 output needs ffmpeg, but ".*no-ffmpeg" could not be run/
+        );
+    });
+});
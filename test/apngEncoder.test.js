@@ -0,0 +1,149 @@
+/**
+ * APNG encoder tests
+ * Chunk order, sequence numbers, frame control fields and CRCs, plus the
+ * frame, delay and frame count checks
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const ApngEncoder = require('../src/cli/apngEncoder');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Bitwise CRC-32, independent of the encoder's table
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length, 0);
+    crc.writeUInt32BE(crc32(typeAndData), 0);
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Solid RGBA PNG, with its image data split over `parts` IDAT chunks
+ */
+function solidPng(width, height, rgba, parts = 1) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+
+    const row = Buffer.concat([Buffer.from([0]), ...Array.from({ length: width }, () => Buffer.from(rgba))]);
+    const data = zlib.deflateSync(Buffer.concat(Array.from({ length: height }, () => row)));
+    const size = Math.ceil(data.length / parts);
+    const idat = Array.from({ length: parts }, (_, i) => chunk('IDAT', data.subarray(i * size, (i + 1) * size)));
+
+    return Buffer.concat([SIGNATURE, chunk('IHDR', header), ...idat, chunk('IEND', Buffer.alloc(0))]);
+}
+
+/**
+ * Split a PNG into chunks, checking every CRC
+ */
+function readChunks(png) {
+    assert.deepEqual(png.subarray(0, 8), SIGNATURE);
+    const chunks = [];
+
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('ascii', offset + 4, offset + 8);
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        assert.equal(png.readUInt32BE(offset + 8 + length), crc32(png.subarray(offset + 4, offset + 8 + length)), `${type} CRC`);
+        chunks.push({ type, data });
+        offset += length + 12;
+    }
+
+    return chunks;
+}
+
+describe('ApngEncoder', () => {
+    it('writes IHDR, acTL, then fcTL with IDAT for the first frame and fcTL with fdAT after it, then IEND', () => {
+        const encoder = new ApngEncoder(3);
+        encoder.addFrame(solidPng(6, 4, [255, 0, 0, 255], 2), 250);
+        encoder.addFrame(solidPng(6, 4, [0, 255, 0, 255]), 250);
+        encoder.addFrame(solidPng(6, 4, [0, 0, 255, 255], 2), 500);
+        const chunks = readChunks(encoder.finish());
+
+        assert.deepEqual(chunks.map(({ type }) => type), [
+            'IHDR', 'acTL',
+            'fcTL', 'IDAT', 'IDAT',
+            'fcTL', 'fdAT',
+            'fcTL', 'fdAT', 'fdAT',
+            'IEND'
+        ]);
+
+        const animation = chunks[1].data;
+        assert.equal(animation.readUInt32BE(0), 3);
+        assert.equal(animation.readUInt32BE(4), 0);
+
+        // fcTL and fdAT chunks share one sequence, starting at 0 and without gaps
+        const sequenced = chunks.filter(({ type }) => type === 'fcTL' || type === 'fdAT');
+        assert.deepEqual(sequenced.map(({ data }) => data.readUInt32BE(0)), [0, 1, 2, 3, 4, 5]);
+
+        const controls = chunks.filter(({ type }) => type === 'fcTL').map(({ data }) => data);
+        controls.forEach(control => {
+            assert.equal(control.length, 26);
+            assert.deepEqual([control.readUInt32BE(4), control.readUInt32BE(8)], [6, 4]);
+            assert.deepEqual([control.readUInt32BE(12), control.readUInt32BE(16)], [0, 0]);
+            assert.equal(control.readUInt16BE(22), 1000);
+        });
+        assert.deepEqual(controls.map(control => control.readUInt16BE(20)), [250, 250, 500]);
+    });
+
+    it('keeps the image data of every frame', () => {
+        const frames = [solidPng(3, 3, [10, 20, 30, 255], 2), solidPng(3, 3, [40, 50, 60, 128])];
+        const encoder = new ApngEncoder(2);
+        frames.forEach(png => encoder.addFrame(png, 100));
+        const chunks = readChunks(encoder.finish());
+
+        const idat = Buffer.concat(chunks.filter(({ type }) => type === 'IDAT').map(({ data }) => data));
+        const fdat = Buffer.concat(chunks.filter(({ type }) => type === 'fdAT').map(({ data }) => data.subarray(4)));
+        const source = png => Buffer.concat(readChunks(png).filter(({ type }) => type === 'IDAT').map(({ data }) => data));
+
+        assert.deepEqual(idat, source(frames[0]));
+        assert.deepEqual(fdat, source(frames[1]));
+    });
+
+    it('rejects frames that do not match the first one, and data that is not PNG', () => {
+        const encoder = new ApngEncoder(2);
+        encoder.addFrame(solidPng(4, 4, [0, 0, 0, 255]), 100);
+
+        assert.throws(() => encoder.addFrame(solidPng(5, 4, [0, 0, 0, 255]), 100), /APNG frame 2 does not match the size or pixel format of the first frame/);
+        assert.throws(() => encoder.addFrame(Buffer.from('GIF89a'), 100), /APNG frames must be PNG data/);
+    });
+
+    it('rejects delays that do not fit the frame control', () => {
+        const encoder = new ApngEncoder(2);
+        const png = solidPng(2, 2, [0, 0, 0, 255]);
+
+        assert.throws(() => encoder.addFrame(png, 65536), /APNG frame delay must be an integer from 0 to 65535 milliseconds, got 65536/);
+        assert.throws(() => encoder.addFrame(png, -1), /APNG frame delay/);
+        assert.throws(() => encoder.addFrame(png, undefined), /APNG frame delay/);
+        encoder.addFrame(png, 65535);
+    });
+
+    it('rejects finishing with a different number of frames than announced', () => {
+        const encoder = new ApngEncoder(3);
+        encoder.addFrame(solidPng(2, 2, [0, 0, 0, 255]), 100);
+        encoder.addFrame(solidPng(2, 2, [0, 0, 0, 255]), 100);
+        assert.throws(() => encoder.finish(), /APNG expected 3 frames, got 2/);
+
+        encoder.addFrame(solidPng(2, 2, [0, 0, 0, 255]), 100);
+        encoder.addFrame(solidPng(2, 2, [0, 0, 0, 255]), 100);
+        assert.throws(() => encoder.finish(), /APNG expected 3 frames, got 4/);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Crop Loader tests
+ * Validation of saved crop records and replaying them at a new master size
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CropLoader = require('../src/cli/cropLoader');
+
+const record = {
+    id: 42,
+    contentHash: 123,
+    seed: 456,
+    generatorVersion: 5,
+    masterSize: 1200,
+    crops: {
+        landscape: { x: 0, y: 286, width: 1200, height: 628, mode: 'manual', focus: { x: 0.5, y: 0.5 } },
+        square: { x: 100, y: 100, width: 600, height: 600 }
+    }
+};
+
+describe('CropLoader', () => {
+    describe('validate', () => {
+        const loader = new CropLoader('.');
+        const withCrop = crop => ({ ...record, crops: { square: crop } });
+
+        it('accepts records saved by the crop editor', () => {
+            assert.doesNotThrow(() => loader.validate(record, 'a.json'));
+        });
+
+        it('rejects records without an id, master size or crops', () => {
+            assert.throws(() => loader.validate([], 'a.json'), /a\.json: expected an object with id, masterSize and crops/);
+            assert.throws(() => loader.validate({ ...record, id: null }, 'a.json'), /a\.json: missing "id"/);
+            assert.throws(() => loader.validate({ ...record, masterSize: 1200.5 }, 'a.json'), /"masterSize" must be a positive integer, got 1200.5/);
+            assert.throws(() => loader.validate({ ...record, crops: [] }, 'a.json'), /"crops" must be an object/);
+        });
+
+        it('rejects crops with bad or out of range values', () => {
+            assert.throws(() => loader.validate(withCrop(null), 'a.json'), /a\.json crops\.square: expected \{x, y, width, height\}/);
+            assert.throws(() => loader.validate(withCrop({ x: -1, y: 0, width: 10, height: 10 }), 'a.json'), /x must be a non-negative number, got -1/);
+            assert.throws(() => loader.validate(withCrop({ x: 0, y: '0', width: 10, height: 10 }), 'a.json'), /y must be a non-negative number, got "0"/);
+            assert.throws(() => loader.validate(withCrop({ x: 0, y: 0, width: 0, height: 10 }), 'a.json'), /width and height must be greater than 0/);
+            assert.throws(() => loader.validate(withCrop({ x: 700, y: 0, width: 600, height: 600 }), 'a.json'), /extends past the 1200×1200 master/);
+        });
+    });
+
+    describe('load', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'crops-'));
+        fs.writeFileSync(path.join(directory, '42-crops.json'), JSON.stringify(record));
+        fs.writeFileSync(path.join(directory, 'broken-crops.json'), '{"id":');
+        after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+        const loader = new CropLoader(directory);
+        const image = { contentHash: 123, seed: 456 };
+
+        it('scales crops to the master size and keeps their other fields', async () => {
+            const { crops, warning } = await loader.load('42-crops.json', { id: '42' }, image, 2400);
+
+            assert.equal(warning, null);
+            assert.deepEqual(crops.square, { x: 200, y: 200, width: 1200, height: 1200 });
+            assert.deepEqual(crops.landscape, { x: 0, y: 572, width: 2400, height: 1256, mode: 'manual', focus: { x: 0.5, y: 0.5 } });
+        });
+
+        it('keeps rounded crops inside a smaller master', async () => {
+            const { crops } = await loader.load('42-crops.json', { id: 42 }, image, 1000);
+
+            for (const crop of Object.values(crops)) {
+                assert.ok(crop.x + crop.width <= 1000 && crop.y + crop.height <= 1000);
+            }
+            assert.deepEqual(crops.landscape, { ...record.crops.landscape, x: 0, y: 238, width: 1000, height: 523 });
+        });
+
+        it('returns no crops without a warning when the item has no file', async () => {
+            assert.deepEqual(await loader.load('7-crops.json', { id: 7 }, image, 1200), { crops: {}, warning: null });
+        });
+
+        it('ignores files for another item, other content or another seed, with a warning', async () => {
+            const otherItem = await loader.load('42-crops.json', { id: 43 }, image, 1200);
+            assert.deepEqual(otherItem.crops, {});
+            assert.match(otherItem.warning, /is for item "42", not "43"/);
+
+            const otherContent = await loader.load('42-crops.json', { id: 42 }, { ...image, contentHash: 999 }, 1200);
+            assert.match(otherContent.warning, /saved for different content \(hash 123, now 999\)/);
+
+            const otherSeed = await loader.load('42-crops.json', { id: 42 }, { ...image, seed: 1 }, 1200);
+            assert.match(otherSeed.warning, /different image \(seed 456 by generator version 5, now 1\)/);
+        });
+
+        it('reports invalid JSON with the file name', async () => {
+            await assert.rejects(loader.load('broken-crops.json', { id: 'broken' }, image, 1200), /broken-crops\.json: invalid JSON/);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Encodings tests
+ * Quality settings, byte sizes and the size budget loop, plus WebP and AVIF
+ * encoding through sharp where it is installed
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Encodings = require('../src/core/encodings');
+const ImageEncoder = require('../src/cli/imageEncoder');
+
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    // Optional dependency; the sharp tests are skipped without it
+}
+
+/**
+ * Fake encoder whose output is 1 KB per quality point, recording the qualities it was asked for
+ */
+function shrinkingEncoder(calls) {
+    return async quality => {
+        calls.push(quality);
+        const size = quality === null ? 5000 : quality * 1024;
+        return { data: `q${quality}`, size };
+    };
+}
+
+describe('Encodings', () => {
+    describe('parseBytes', () => {
+        it('parses bytes and k or m suffixes', () => {
+            assert.equal(Encodings.parseBytes(800000), 800000);
+            assert.equal(Encodings.parseBytes('800000'), 800000);
+            assert.equal(Encodings.parseBytes('300k'), 300 * 1024);
+            assert.equal(Encodings.parseBytes(' 300 KB '), 300 * 1024);
+            assert.equal(Encodings.parseBytes('1.5m'), 1572864);
+            assert.equal(Encodings.parseBytes('2MB'), 2 * 1024 * 1024);
+        });
+
+        it('treats empty values as no budget and rejects anything else', () => {
+            assert.equal(Encodings.parseBytes(undefined), null);
+            assert.equal(Encodings.parseBytes(null), null);
+            assert.equal(Encodings.parseBytes(''), null);
+            assert.throws(() => Encodings.parseBytes('300 kilobytes'), /Invalid size "300 kilobytes"/);
+            assert.throws(() => Encodings.parseBytes('-5k'), /Invalid size/);
+            assert.throws(() => Encodings.parseBytes('1g'), /Invalid size/);
+        });
+    });
+
+    describe('resolveSettings and fromExtension', () => {
+        it('fills in defaults and checks the quality range', () => {
+            assert.deepEqual(Encodings.resolveSettings({ quality: 70, maxBytes: 1000 }), { quality: 70, minQuality: 40, qualityStep: 5, maxBytes: 1000 });
+            assert.deepEqual(Encodings.resolveSettings({ quality: null }), { ...Encodings.DEFAULTS, maxBytes: null });
+            assert.throws(() => Encodings.resolveSettings({ quality: 101 }), /quality must be an integer from 1 to 100, got 101/);
+            assert.throws(() => Encodings.resolveSettings({ qualityStep: 2.5 }), /qualityStep must be an integer/);
+            assert.throws(() => Encodings.resolveSettings({ quality: 30 }), /minQuality \(40\) must not be above quality \(30\)/);
+            assert.throws(() => Encodings.resolveSettings({ maxBytes: 1.5 }), /maxBytes must be a positive integer, got 1.5/);
+        });
+
+        it('maps file extensions to encodings', () => {
+            assert.equal(Encodings.fromExtension('.JPG'), 'jpeg');
+            assert.equal(Encodings.fromExtension('.jpeg'), 'jpeg');
+            assert.equal(Encodings.fromExtension('.avif'), 'avif');
+            assert.equal(Encodings.fromExtension('.gif'), undefined);
+        });
+    });
+
+    describe('encodeWithinBudget', () => {
+        it('encodes once at the configured quality without a budget', async () => {
+            const calls = [];
+            const result = await Encodings.encodeWithinBudget('webp', shrinkingEncoder(calls), Encodings.resolveSettings({ quality: 80 }));
+
+            assert.deepEqual(calls, [80]);
+            assert.deepEqual(result, { data: 'q80', size: 80 * 1024, quality: 80, attempts: 1, fits: true });
+        });
+
+        it('lowers the quality step by step until the file fits', async () => {
+            const calls = [];
+            const settings = Encodings.resolveSettings({ quality: 85, qualityStep: 10, maxBytes: 62 * 1024 });
+            const result = await Encodings.encodeWithinBudget('jpeg', shrinkingEncoder(calls), settings);
+
+            assert.deepEqual(calls, [85, 75, 65, 55]);
+            assert.equal(result.quality, 55);
+            assert.equal(result.attempts, 4);
+            assert.equal(result.fits, true);
+        });
+
+        it('stops at the minimum quality, clamping the last step, and reports that it does not fit', async () => {
+            const calls = [];
+            const settings = Encodings.resolveSettings({ quality: 50, minQuality: 42, qualityStep: 5, maxBytes: 1024 });
+            const result = await Encodings.encodeWithinBudget('avif', shrinkingEncoder(calls), settings);
+
+            assert.deepEqual(calls, [50, 45, 42]);
+            assert.equal(result.fits, false);
+            assert.equal(result.quality, 42);
+        });
+
+        it('encodes lossless formats once, without a quality', async () => {
+            const calls = [];
+            const result = await Encodings.encodeWithinBudget('png', shrinkingEncoder(calls), Encodings.resolveSettings({ maxBytes: 1000 }));
+
+            assert.deepEqual(calls, [null]);
+            assert.equal(result.quality, null);
+            assert.equal(result.fits, false);
+        });
+    });
+
+    describe('ImageEncoder with sharp', { skip: !sharp && 'sharp is not installed' }, () => {
+        // A noisy image, so the encoded size depends on the quality
+        const makeCanvas = async () => {
+            const pixels = Buffer.alloc(256 * 256 * 3);
+            for (let i = 0; i < pixels.length; i++) {
+                pixels[i] = (i * 2654435761) >>> 24;
+            }
+            const png = await sharp(pixels, { raw: { width: 256, height: 256, channels: 3 } }).png().toBuffer();
+            return { toBuffer: () => png };
+        };
+
+        for (const encoding of ['webp', 'avif']) {
+            it(`encodes ${encoding} within a size budget`, async () => {
+                const canvas = await makeCanvas();
+                const unlimited = await new ImageEncoder({ quality: 90 }).encode(canvas, encoding);
+                const budget = Math.floor(unlimited.size * 0.8);
+                const result = await new ImageEncoder({ quality: 90, minQuality: 10, qualityStep: 10, maxBytes: budget }).encode(canvas, encoding);
+
+                assert.equal((await sharp(result.data).metadata()).format, encoding === 'avif' ? 'heif' : 'webp');
+                assert.ok(result.fits && result.size <= budget, `${result.size} bytes for a ${budget} byte budget`);
+                assert.ok(result.quality < 90 && result.attempts > 1);
+            });
+        }
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Filters tests
+ * Filter chain checks and the effect of each filter on a small image
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Filters = require('../src/core/filters');
+const { pixelContext } = require('./helpers');
+
+const palette = { bg: ['#ffffff', '#808080'], accents: ['#112233'] };
+
+const grey = (width, height, value = 128) => pixelContext(width, height, [value, value, value, 255]);
+const ramp = (width, height) => pixelContext(width, height, x => {
+    const value = Math.round((x / (width - 1)) * 255);
+    return [value, value, value, 255];
+});
+
+describe('Filters', () => {
+    describe('resolve', () => {
+        it('fills in the defaults for names and objects, in order', () => {
+            assert.deepEqual(Filters.resolve(['posterize', { type: 'grain', strength: 0.2, monochrome: false, size: null }]), [
+                { type: 'posterize', levels: 4 },
+                { type: 'grain', size: 1, strength: 0.2, monochrome: false }
+            ]);
+            assert.deepEqual(Filters.resolve(), []);
+        });
+
+        it('rejects unknown filters and settings', () => {
+            assert.throws(() => Filters.resolve('grain'), /filters must be a list/);
+            assert.throws(() => Filters.resolve(['sepia']), /filters\[0\]: unknown filter "sepia" \(available: grain, vignette, halftone, duotone, posterize, blur, chromatic-aberration\)/);
+            assert.throws(() => Filters.resolve(['blur', { strength: 1 }]), /filters\[1\]: unknown filter undefined/);
+            assert.throws(() => Filters.resolve([{ type: 'blur', size: 3 }]), /filters\[0\]: unknown blur setting "size" \(available: radius\)/);
+        });
+
+        it('checks each setting against its range and kind', () => {
+            assert.throws(() => Filters.resolve([{ type: 'grain', size: 20 }]), /filters\[0\]: grain\.size must be a number from 0.5 to 16, got 20/);
+            assert.throws(() => Filters.resolve([{ type: 'vignette', strength: '0.5' }]), /vignette\.strength must be a number from 0 to 1, got "0.5"/);
+            assert.throws(() => Filters.resolve([{ type: 'halftone', angle: -10 }]), /halftone\.angle must be a number from 0 to 360/);
+            assert.throws(() => Filters.resolve([{ type: 'posterize', levels: 3.5 }]), /posterize\.levels must be a number from 2 to 32, got 3.5/);
+            assert.throws(() => Filters.resolve([{ type: 'grain', monochrome: 'yes' }]), /grain\.monochrome must be true or false, got "yes"/);
+            assert.throws(() => Filters.resolve([{ type: 'duotone', shadows: 'navy' }]), /duotone\.shadows must be a hex color, got "navy"/);
+            assert.doesNotThrow(() => Filters.resolve([{ type: 'duotone', shadows: '#123', highlights: '#fedcba' }]));
+        });
+    });
+
+    describe('apply', () => {
+        const options = { palette, seed: 7 };
+
+        it('leaves the canvas alone for an empty chain', () => {
+            const ctx = grey(2, 2);
+            ctx.getImageData = () => assert.fail('read the pixels');
+            Filters.apply(ctx, [], options);
+        });
+
+        it('posterizes every channel to the given levels', () => {
+            const ctx = ramp(16, 1);
+            Filters.apply(ctx, [{ type: 'posterize', levels: 2 }], options);
+
+            assert.deepEqual(ctx.pixel(0, 0), [0, 0, 0, 255]);
+            assert.deepEqual(ctx.pixel(7, 0), [0, 0, 0, 255]);
+            assert.deepEqual(ctx.pixel(8, 0), [255, 255, 255, 255]);
+        });
+
+        it('adds seeded grain around the original value', () => {
+            const filtered = seed => {
+                const ctx = grey(16, 16);
+                Filters.apply(ctx, [{ type: 'grain', strength: 0.2 }], { palette, seed });
+                return ctx;
+            };
+            const ctx = filtered(7);
+            const values = [];
+            for (let i = 0; i < ctx.data.length; i += 4) {
+                values.push(ctx.data[i]);
+                assert.ok(ctx.data[i] === ctx.data[i + 1] && ctx.data[i] === ctx.data[i + 2], 'monochrome grain');
+            }
+
+            assert.deepEqual(filtered(7).data, ctx.data);
+            assert.notDeepEqual(filtered(8).data, ctx.data);
+            assert.ok(values.every(value => Math.abs(value - 128) <= 26));
+            assert.ok(new Set(values).size > 10);
+        });
+
+        it('darkens the corners but not the centre with a vignette', () => {
+            const ctx = grey(20, 20, 200);
+            Filters.apply(ctx, ['vignette'], options);
+
+            assert.deepEqual(ctx.pixel(10, 10), [200, 200, 200, 255]);
+            assert.ok(ctx.pixel(0, 0)[0] < 200 * 0.7);
+        });
+
+        it('maps luminance onto the darkest and lightest palette colours with duotone', () => {
+            const ctx = ramp(8, 1);
+            Filters.apply(ctx, ['duotone'], options);
+
+            assert.deepEqual(ctx.pixel(0, 0), [0x11, 0x22, 0x33, 255]);
+            assert.deepEqual(ctx.pixel(7, 0), [255, 255, 255, 255]);
+        });
+
+        it('prints halftone dots of ink on paper', () => {
+            const ctx = grey(24, 24);
+            Filters.apply(ctx, [{ type: 'halftone', size: 6, ink: '#000000', paper: '#ffffff' }], options);
+
+            const values = new Set();
+            for (let i = 0; i < ctx.data.length; i += 4) {
+                values.add(ctx.data[i]);
+            }
+            assert.ok(values.has(0) && values.has(255));
+        });
+
+        it('keeps a flat image flat when blurred, up to the edges', () => {
+            const ctx = grey(12, 12, 90);
+            Filters.apply(ctx, [{ type: 'blur', radius: 3 }], options);
+
+            for (let i = 0; i < ctx.data.length; i += 4) {
+                assert.deepEqual(Array.from(ctx.data.slice(i, i + 4)), [90, 90, 90, 255]);
+            }
+        });
+
+        it('shifts red and blue apart towards the edges with chromatic aberration', () => {
+            const ctx = ramp(32, 4);
+            Filters.apply(ctx, [{ type: 'chromatic-aberration', offset: 4 }], options);
+            const [red, green, blue] = ctx.pixel(28, 2);
+
+            assert.ok(red < green && blue > green, `${red} ${green} ${blue}`);
+        });
+
+        it('runs the chain in the order listed', () => {
+            const first = ramp(16, 1);
+            const second = ramp(16, 1);
+            Filters.apply(first, [{ type: 'posterize', levels: 2 }, 'blur'], options);
+            Filters.apply(second, ['blur', { type: 'posterize', levels: 2 }], options);
+
+            assert.notDeepEqual(first.data, second.data);
+        });
+    });
+});
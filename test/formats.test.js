@@ -0,0 +1,90 @@
+/**
+ * Formats tests
+ * Preset and custom format resolution, scale variants and layout checks
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Formats = require('../src/core/formats');
+
+describe('Formats', () => {
+    describe('resolve', () => {
+        it('resolves presets and custom formats at scale 1', () => {
+            assert.deepEqual(Formats.resolve(['landscape', { name: 'banner', width: 1600, height: 400 }]), [
+                { name: 'landscape', label: 'Landscape', width: 1200, height: 628, scale: 1 },
+                { name: 'banner', label: 'banner', width: 1600, height: 400, scale: 1 }
+            ]);
+        });
+
+        it('resolves scale suffixes and custom scales under a suffixed name', () => {
+            const [retina, custom] = Formats.resolve(['square@2x', { name: 'thumb', label: 'Thumb', width: 300, height: 200, scale: 1.5 }]);
+
+            assert.deepEqual(retina, { name: 'square@2x', label: 'Square @2x', width: 1200, height: 1200, scale: 2 });
+            assert.deepEqual(custom, { name: 'thumb@1.5x', label: 'Thumb @1.5x', width: 300, height: 200, scale: 1.5 });
+            assert.deepEqual(Formats.getPixelSize(custom), { width: 450, height: 300 });
+        });
+
+        it('rejects unknown presets, bad entries and duplicate names', () => {
+            assert.throws(() => Formats.resolve([]), /non-empty array/);
+            assert.throws(() => Formats.resolve(['poster']), /formats\[0\]: unknown format "poster"/);
+            assert.throws(() => Formats.resolve([{ name: 'bad name', width: 10, height: 10 }]), /formats\[0\]: expected a preset name/);
+            assert.throws(() => Formats.resolve([{ name: 'wide', width: 9000, height: 10 }]), /\("wide"\): width must be an integer from 1 to 8000/);
+            assert.throws(() => Formats.resolve([{ name: 'half', width: 10.5, height: 10 }]), /width must be an integer/);
+            assert.throws(() => Formats.resolve(['square', 'square']), /duplicate format name "square"/);
+            assert.throws(() => Formats.resolve(['square', { name: 'square', width: 10, height: 10 }]), /duplicate format name "square"/);
+        });
+    });
+
+    describe('withScale', () => {
+        it('keeps the layout size and name at scale 1', () => {
+            const preset = Formats.getPreset('youtube');
+            assert.deepEqual(Formats.withScale(preset, 1, 'x'), { ...preset, scale: 1 });
+        });
+
+        it('rejects scales out of range and outputs over the size limit', () => {
+            const preset = Formats.getPreset('stories');
+
+            assert.throws(() => Formats.withScale(preset, 0, 'formats[0]'), /scale must be a number above 0 and up to 4, got 0/);
+            assert.throws(() => Formats.withScale(preset, 5, 'formats[0]'), /up to 4, got 5/);
+            assert.throws(() => Formats.withScale(preset, '2', 'formats[0]'), /got "2"/);
+            assert.throws(() => Formats.withScale(preset, 4.5, 'formats[0]'), /up to 4/);
+            assert.throws(() => Formats.resolve(['stories@4.2x']), /up to 4/);
+            assert.deepEqual(Formats.getPixelSize(Formats.withScale(preset, 4, 'formats[0]')), { width: 4320, height: 7680 });
+            assert.throws(() => Formats.resolve([{ name: 'tall', width: 2000, height: 2100, scale: 4 }]), /8000×8400 at scale 4 exceeds 8000 pixels/);
+        });
+    });
+
+    describe('master layout', () => {
+        it('enlarges the master to cover the largest format', () => {
+            const formats = Formats.resolve(['landscape', 'stories']);
+            assert.equal(Formats.getMasterSize(formats), 1920);
+            assert.equal(Formats.getMasterSize(formats, 2400), 2400);
+        });
+
+        it('checks the layout and master size', () => {
+            assert.doesNotThrow(() => Formats.validateLayout('master', 4000));
+            assert.throws(() => Formats.validateLayout('grid', 1200), /Unknown layout: grid/);
+            assert.throws(() => Formats.validateLayout('master', 0), /masterSize must be an integer from 1 to 8000, got 0/);
+            assert.throws(() => Formats.validateLayout('master', 9000), /got 9000/);
+        });
+
+        it('keeps the master layout for configs with crop settings and no layout', () => {
+            assert.equal(Formats.resolveLayout(undefined, undefined, undefined), 'aspect');
+            assert.equal(Formats.resolveLayout(undefined, 'smart', undefined), 'master');
+            assert.equal(Formats.resolveLayout(undefined, 'direct', undefined), 'master');
+            assert.equal(Formats.resolveLayout(undefined, undefined, './crops'), 'master');
+            assert.equal(Formats.resolveLayout('aspect', 'direct', './crops'), 'aspect');
+            assert.throws(() => Formats.resolveLayout('aspect', 'resize'), /cropMode "resize" only applies to the master layout/);
+        });
+
+        it('rejects masters that would be drawn past the size limit at a format scale', () => {
+            const formats = Formats.resolve(['landscape', 'square@4x']);
+
+            assert.doesNotThrow(() => Formats.validateMasterScale(2000, formats));
+            assert.throws(
+                () => Formats.validateMasterScale(4000, formats),
+                /masterSize 4000 at the scale of "square@4x" \(4\) needs a 16000×16000 master, over the 8000 pixel limit/
+            );
+        });
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * GIF encoder tests
+ * File structure, LZW data decoded back to the frame pixels, changed regions
+ * of later frames, and the frame and delay checks
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const GifEncoder = require('../src/cli/gifEncoder');
+
+// Channel values that survive the encoder's 5-bit histogram unchanged
+const LEVELS = [0, 132, 255];
+
+/**
+ * Frame of noise over the 27 colours made from LEVELS
+ */
+function noiseFrame(width, height, seed) {
+    const rgba = new Uint8ClampedArray(width * height * 4);
+    let state = seed;
+    for (let p = 0; p < rgba.length; p += 4) {
+        for (let c = 0; c < 3; c++) {
+            state = (state * 1103515245 + 12345) >>> 0;
+            rgba[p + c] = LEVELS[(state >>> 16) % 3];
+        }
+        rgba[p + 3] = 255;
+    }
+    return rgba;
+}
+
+/**
+ * Read a GIF back into its screen, colour table and frames, decoding the LZW
+ * data of each frame and recording the code size used for every code
+ */
+function readGif(gif) {
+    let offset = 0;
+    const read = length => gif.subarray(offset, (offset += length));
+
+    const screen = read(13);
+    const table = read(256 * 3);
+    const frames = [];
+    const extensions = [];
+
+    for (;;) {
+        const introducer = read(1)[0];
+        if (introducer === 0x3b) {
+            break;
+        }
+        if (introducer === 0x21) {
+            const label = read(1)[0];
+            const blocks = [];
+            for (let size = read(1)[0]; size > 0; size = read(1)[0]) {
+                blocks.push(Buffer.from(read(size)));
+            }
+            extensions.push({ label, blocks });
+            continue;
+        }
+
+        assert.equal(introducer, 0x2c, `unexpected block 0x${introducer.toString(16)} at ${offset - 1}`);
+        const descriptor = read(9);
+        const minCodeSize = read(1)[0];
+        const parts = [];
+        for (let size = read(1)[0]; size > 0; size = read(1)[0]) {
+            parts.push(read(size));
+        }
+        frames.push({
+            x: descriptor.readUInt16LE(0),
+            y: descriptor.readUInt16LE(2),
+            width: descriptor.readUInt16LE(4),
+            height: descriptor.readUInt16LE(6),
+            control: extensions[extensions.length - 1],
+            ...decompress(Buffer.concat(parts), minCodeSize)
+        });
+    }
+
+    return { screen, table, extensions, frames, trailing: gif.length - offset };
+}
+
+/**
+ * Plain GIF LZW decoder
+ */
+function decompress(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const pixels = [];
+    const codeSizes = [];
+
+    let position = 0;
+    let codeSize;
+    let dictionary;
+    let previous = null;
+
+    const reset = () => {
+        codeSize = minCodeSize + 1;
+        dictionary = Array.from({ length: endCode + 1 }, (_, code) => [code]);
+        previous = null;
+    };
+    reset();
+
+    for (;;) {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, position++) {
+            code |= ((data[position >> 3] >> (position & 7)) & 1) << bit;
+        }
+        codeSizes.push(codeSize);
+
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) {
+            break;
+        }
+
+        let entry;
+        if (previous === null) {
+            entry = dictionary[code];
+        } else {
+            entry = code < dictionary.length
+                ? dictionary[code]
+                : [...dictionary[previous], dictionary[previous][0]];
+            if (dictionary.length < 4096) {
+                dictionary.push([...dictionary[previous], entry[0]]);
+            }
+            if (dictionary.length === 1 << codeSize && codeSize < 12) {
+                codeSize++;
+            }
+        }
+
+        pixels.push(...entry);
+        previous = code;
+    }
+
+    return { pixels, codeSizes };
+}
+
+describe('GifEncoder', () => {
+    it('writes the header, colour table, loop extension and trailer', () => {
+        const encoder = new GifEncoder(16, 8);
+        encoder.addFrame(noiseFrame(16, 8, 1), 25);
+        const gif = encoder.finish();
+        const { screen, extensions, frames, trailing } = readGif(gif);
+
+        assert.equal(screen.toString('ascii', 0, 6), 'GIF89a');
+        assert.equal(screen.readUInt16LE(6), 16);
+        assert.equal(screen.readUInt16LE(8), 8);
+        assert.equal(screen[10], 0xf7);
+
+        assert.equal(extensions[0].label, 0xff);
+        assert.equal(extensions[0].blocks[0].toString('ascii'), 'NETSCAPE2.0');
+        assert.deepEqual([...extensions[0].blocks[1]], [0x01, 0x00, 0x00]);
+
+        assert.equal(frames.length, 1);
+        assert.equal(frames[0].control.label, 0xf9);
+        assert.equal(frames[0].control.blocks[0].readUInt16LE(1), 25);
+        assert.equal(gif[gif.length - 1], 0x3b);
+        assert.equal(trailing, 0);
+    });
+
+    it('compresses a frame that decodes back to its pixels through every code size', () => {
+        const width = 128;
+        const height = 128;
+        const rgba = noiseFrame(width, height, 7);
+        const encoder = new GifEncoder(width, height);
+        encoder.addFrame(rgba, 10);
+        const { table, frames } = readGif(encoder.finish());
+        const [frame] = frames;
+
+        assert.equal(frame.pixels.length, width * height);
+        frame.pixels.forEach((index, i) => {
+            assert.deepEqual([...table.subarray(index * 3, index * 3 + 3)], [...rgba.subarray(i * 4, i * 4 + 3)], `pixel ${i}`);
+        });
+
+        // Codes widen from 9 to 12 bits, and a full table starts over at 9 bits
+        const changes = frame.codeSizes.filter((size, i) => i === 0 || size !== frame.codeSizes[i - 1]);
+        assert.deepEqual(changes.slice(0, 5), [9, 10, 11, 12, 9]);
+    });
+
+    it('stores only the changed region of later frames, with unchanged pixels transparent', () => {
+        const width = 20;
+        const height = 10;
+        const first = noiseFrame(width, height, 3);
+        const second = Uint8ClampedArray.from(first);
+        // Change two pixels, at (4, 2) and (6, 5)
+        [[4, 2], [6, 5]].forEach(([x, y]) => {
+            const p = (y * width + x) * 4;
+            second.set(second[p] === 0 ? [255, 255, 255] : [0, 0, 0], p);
+        });
+
+        const encoder = new GifEncoder(width, height);
+        encoder.addFrame(first, 10);
+        encoder.addFrame(second, 10);
+        encoder.addFrame(second, 10);
+        const { frames } = readGif(encoder.finish());
+
+        assert.deepEqual(
+            frames.map(frame => [frame.x, frame.y, frame.width, frame.height]),
+            [[0, 0, 20, 10], [4, 2, 3, 4], [0, 0, 1, 1]]
+        );
+        const opaque = frames[1].pixels.flatMap((index, i) => (index === 255 ? [] : [i]));
+        assert.deepEqual(opaque, [0, 11]);
+        assert.deepEqual(frames[2].pixels, [255]);
+    });
+
+    it('rejects frames of the wrong size, out of range delays and an empty animation', () => {
+        const encoder = new GifEncoder(4, 4);
+        assert.throws(() => encoder.addFrame(new Uint8ClampedArray(3 * 4 * 4), 10), /GIF frame 1 has 48 bytes of pixels, expected 64 for 4x4/);
+        assert.throws(() => encoder.addFrame(new Uint8ClampedArray(64), 65536), /GIF frame delay must be an integer from 0 to 65535/);
+        assert.throws(() => encoder.addFrame(new Uint8ClampedArray(64), 2.5), /GIF frame delay/);
+        assert.throws(() => encoder.finish(), /A GIF needs at least one frame/);
+
+        encoder.addFrame(new Uint8ClampedArray(64), 10);
+        assert.throws(() => encoder.addFrame(new Uint8ClampedArray(60), 10), /GIF frame 2 has 60 bytes/);
+    });
+});
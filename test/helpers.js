@@ -0,0 +1,30 @@
+/**
+ * Test helpers
+ * Shared fakes for the tests; not a test file itself
+ */
+
+/**
+ * Minimal raster context over an RGBA buffer, with an identity transform
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Array<number>|Function} fill - RGBA of every pixel, or a function (x, y) returning it
+ * @returns {Object} Context with the pixel buffer as data and pixel(x, y) to read one back
+ */
+function pixelContext(width, height, fill) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(typeof fill === 'function' ? fill(x, y) : fill, (y * width + x) * 4);
+        }
+    }
+    return {
+        canvas: { width, height },
+        data,
+        getTransform: () => ({ a: 1, b: 0 }),
+        getImageData: () => ({ data: new Uint8ClampedArray(data) }),
+        putImageData: image => data.set(image.data),
+        pixel: (x, y) => Array.from(data.slice((y * width + x) * 4, (y * width + x) * 4 + 4))
+    };
+}
+
+module.exports = { pixelContext };
@@ -0,0 +1,128 @@
+/**
+ * Layers tests
+ * Derived layer settings, overrides and their checks, blend modes and compositing
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Layers = require('../src/core/layers');
+const { pixelContext } = require('./helpers');
+
+const params = { seed: 1234, complexity: 0.5, smoothness: 0.5, generatorVersion: 5 };
+
+describe('Layers', () => {
+    describe('resolve', () => {
+        it('derives fainter, softer back layers and an opaque, sharp front layer', () => {
+            const layers = Layers.resolve(params, 3);
+            const front = layers[2];
+
+            assert.deepEqual(layers.map(layer => layer.opacity), [0.45, 0.73, 1]);
+            assert.deepEqual(layers.map(layer => layer.blur), [3, 1.5, 0]);
+            assert.equal(front.blend, 'normal');
+            assert.deepEqual(front.shadow, { color: '#000000', opacity: 0.3, blur: 8, offsetX: 0, offsetY: 4 });
+            assert.ok(layers.slice(0, 2).every(layer => layer.shadow === null));
+        });
+
+        it('is deterministic and picks blend modes to suit the background', () => {
+            const light = Layers.resolve(params, 6);
+            const dark = Layers.resolve(params, 6, {}, true);
+
+            assert.deepEqual(Layers.resolve(params, 6), light);
+            assert.ok(light.every(layer => layer.blend !== 'screen'));
+            assert.ok(dark.every(layer => layer.blend !== 'multiply'));
+            assert.equal(dark[5].shadow.opacity, 0.5);
+        });
+
+        it('drops the shadow for simple content and keeps a single layer opaque', () => {
+            assert.deepEqual(Layers.resolve({ ...params, complexity: 0.1 }, 1), [{ opacity: 1, blend: 'normal', blur: 0, shadow: null }]);
+        });
+
+        it('applies single and per-layer overrides, repeating the last value', () => {
+            const layers = Layers.resolve(params, 3, {
+                opacity: 0.8,
+                blend: ['multiply', 'screen'],
+                blur: [null, 2],
+                shadow: [false, { color: '#F00', offsetX: 3 }]
+            });
+
+            assert.deepEqual(layers.map(layer => layer.opacity), [0.8, 0.8, 0.8]);
+            assert.deepEqual(layers.map(layer => layer.blend), ['multiply', 'screen', 'screen']);
+            assert.deepEqual(layers.map(layer => layer.blur), [3, 2, 2]);
+            assert.equal(layers[0].shadow, null);
+            assert.deepEqual(layers[1].shadow, { color: '#ff0000', opacity: 0.3, blur: 8, offsetX: 3, offsetY: 4 });
+            assert.deepEqual(layers[2].shadow, { color: '#ff0000', opacity: 0.3, blur: 8, offsetX: 3, offsetY: 4 });
+        });
+
+        it('fills a shadow switched on with true from the derived one', () => {
+            const [back, front] = Layers.resolve(params, 2, { shadow: true });
+
+            assert.deepEqual(back.shadow, Layers.DEFAULT_SHADOW);
+            assert.deepEqual(front.shadow, { color: '#000000', opacity: 0.3, blur: 8, offsetX: 0, offsetY: 4 });
+        });
+    });
+
+    describe('checkOverrides', () => {
+        it('rejects values out of range with the setting name', () => {
+            assert.throws(() => Layers.checkOverrides([]), /layers must be an object/);
+            assert.throws(() => Layers.checkOverrides({ enabled: 'yes' }), /layers\.enabled must be true or false, got "yes"/);
+            assert.throws(() => Layers.checkOverrides({ opacity: [0.5, 1.5] }), /layers\.opacity must be a number from 0 to 1, got 1.5/);
+            assert.throws(() => Layers.checkOverrides({ blend: 'darken' }), /Unknown layer blend mode: darken \(available: normal, multiply, screen, overlay, soft-light\)/);
+            assert.throws(() => Layers.checkOverrides({ blur: 60 }), /layers\.blur must be a number of pixels from 0 to 50, got 60/);
+            assert.throws(() => Layers.checkOverrides({ shadow: 'soft' }), /layers\.shadow must be false, true or an object, got "soft"/);
+            assert.throws(() => Layers.checkOverrides({ shadow: { color: 'black' } }), /layers\.shadow\.color must be a hex color, got "black"/);
+            assert.throws(() => Layers.checkOverrides({ shadow: { offsetY: -150 } }), /layers\.shadow\.offsetY must be a number of pixels from -100 to 100/);
+            assert.doesNotThrow(() => Layers.checkOverrides({ enabled: false, opacity: [null, 0.5], shadow: [true, { blur: 0 }] }));
+        });
+    });
+
+    describe('compositing', () => {
+        it('blends channels as CSS mix-blend-mode does', () => {
+            const cases = {
+                normal: [0.2, 0.6, 0.6],
+                multiply: [0.2, 0.6, 0.12],
+                screen: [0.2, 0.6, 0.68],
+                overlay: [0.2, 0.6, 0.24],
+                'soft-light': [0.2, 0.6, 0.2 + 0.2 * (((16 * 0.2 - 12) * 0.2 + 4) * 0.2 - 0.2)]
+            };
+
+            for (const [mode, [backdrop, source, expected]] of Object.entries(cases)) {
+                assert.ok(Math.abs(Layers.getBlendFunction(mode)(backdrop, source) - expected) < 1e-9, mode);
+            }
+        });
+
+        it('blurs without losing coverage away from the edges', () => {
+            const values = new Float32Array(41 * 41);
+            values[20 * 41 + 20] = 1;
+            Layers.blur(values, 41, 41, 1, 3);
+
+            const total = values.reduce((sum, value) => sum + value, 0);
+            assert.ok(Math.abs(total - 1) < 1e-5, `total ${total}`);
+            assert.ok(values[20 * 41 + 20] < 0.1 && values[20 * 41 + 23] > 0);
+        });
+
+        it('composites a layer with its opacity and blend mode', () => {
+            const ctx = pixelContext(4, 4, [255, 255, 255, 255]);
+            const layer = { ctx: pixelContext(4, 4, [255, 0, 0, 255]) };
+
+            Layers.composite(ctx, layer, { opacity: 0.5, blend: 'normal', blur: 0, shadow: null });
+            assert.deepEqual(ctx.pixel(1, 1), [255, 128, 128, 255]);
+
+            const backdrop = pixelContext(4, 4, [128, 128, 128, 255]);
+            Layers.composite(backdrop, { ctx: pixelContext(4, 4, [128, 255, 0, 255]) }, { opacity: 1, blend: 'multiply', blur: 0, shadow: null });
+            assert.deepEqual(backdrop.pixel(2, 2), [64, 128, 0, 255]);
+        });
+
+        it('draws the shadow beneath transparent parts of the layer', () => {
+            const ctx = pixelContext(4, 4, [255, 255, 255, 255]);
+            const layer = { ctx: pixelContext(4, 4, [0, 0, 0, 0]) };
+            layer.ctx.putImageData({ data: new Uint8ClampedArray(4 * 4 * 4).fill(255, 0, 4) });
+
+            const shadow = { color: '#000000', opacity: 0.5, blur: 0, offsetX: 1, offsetY: 1 };
+            Layers.composite(ctx, layer, { opacity: 1, blend: 'normal', blur: 0, shadow });
+
+            assert.deepEqual(ctx.pixel(0, 0), [255, 255, 255, 255]);
+            assert.deepEqual(ctx.pixel(1, 1), [128, 128, 128, 255]);
+            assert.deepEqual(ctx.pixel(2, 2), [255, 255, 255, 255]);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Palette Extractor tests
+ * Remote image downloads: size limit and timeout
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const PaletteExtractor = require('../src/cli/paletteExtractor');
+
+describe('PaletteExtractor.fetchImage', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        server = http.createServer((request, response) => {
+            switch (request.url) {
+                case '/small':
+                    response.end(Buffer.alloc(100, 7));
+                    break;
+                case '/declared-large':
+                    response.writeHead(200, { 'Content-Length': 5000 });
+                    response.end(Buffer.alloc(5000));
+                    break;
+                case '/chunked-large':
+                    // No Content-Length: the limit has to be enforced while reading
+                    response.write(Buffer.alloc(600));
+                    response.end(Buffer.alloc(600));
+                    break;
+                case '/slow':
+                    setTimeout(() => response.end('late'), 1000);
+                    break;
+                default:
+                    response.writeHead(404, 'Not Found');
+                    response.end();
+            }
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+
+    const extractor = new PaletteExtractor({ timeout: 200, maxBytes: 1000 });
+
+    it('returns the bytes of a response within the limits', async () => {
+        assert.deepEqual(await extractor.fetchImage(`${baseUrl}/small`), Buffer.alloc(100, 7));
+    });
+
+    it('rejects responses over the size limit, declared or not', async () => {
+        await assert.rejects(extractor.fetchImage(`${baseUrl}/declared-large`), /larger than the 1 KB limit/);
+        await assert.rejects(extractor.fetchImage(`${baseUrl}/chunked-large`), /larger than the 1 KB limit/);
+    });
+
+    it('gives up on slow responses', async () => {
+        await assert.rejects(extractor.fetchImage(`${baseUrl}/slow`), /No complete response within 0.2 s/);
+    });
+
+    it('reports HTTP errors', async () => {
+        await assert.rejects(extractor.fetchImage(`${baseUrl}/missing`), /HTTP 404: Not Found/);
+    });
+});
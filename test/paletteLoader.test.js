@@ -0,0 +1,189 @@
+/**
+ * Palette Loader tests
+ * JSON, GIMP and Adobe Swatch Exchange parsing, validation and selection
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PaletteLoader = require('../src/cli/paletteLoader');
+
+/**
+ * Build an ASE file from blocks of { group } / { endGroup } / { name, model, values }
+ */
+function buildAse(blocks) {
+    const aseString = text => {
+        const value = Buffer.from(`${text}\0`, 'utf16le').swap16();
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(text.length + 1);
+        return Buffer.concat([length, value]);
+    };
+    const block = (type, body) => {
+        const header = Buffer.alloc(6);
+        header.writeUInt16BE(type);
+        header.writeUInt32BE(body.length, 2);
+        return Buffer.concat([header, body]);
+    };
+
+    const bodies = blocks.map(entry => {
+        if (entry.group) {
+            return block(0xC001, aseString(entry.group));
+        }
+        if (entry.endGroup) {
+            return block(0xC002, Buffer.alloc(0));
+        }
+        const values = Buffer.alloc(entry.values.length * 4);
+        entry.values.forEach((value, i) => values.writeFloatBE(value, i * 4));
+        return block(0x0001, Buffer.concat([aseString(entry.name), Buffer.from(entry.model.padEnd(4)), values, Buffer.alloc(2)]));
+    });
+
+    const header = Buffer.alloc(12);
+    header.write('ASEF', 0, 'ascii');
+    header.writeUInt16BE(1, 4);
+    header.writeUInt32BE(blocks.length, 8);
+    return Buffer.concat([header, ...bodies]);
+}
+
+describe('PaletteLoader', () => {
+    const loader = new PaletteLoader();
+
+    describe('parseJson', () => {
+        it('accepts an array or a palettes object and normalizes colours', () => {
+            const palette = { name: ' Brand ', bg: ['#FFF'], accents: ['#123456', '#aBcDeF'] };
+            const expected = [{ name: 'Brand', bg: ['#ffffff'], accents: ['#123456', '#abcdef'] }];
+
+            assert.deepEqual(loader.parseJson(JSON.stringify([palette]), 'a.json'), expected);
+            assert.deepEqual(loader.parseJson(JSON.stringify({ palettes: [palette] }), 'a.json'), expected);
+        });
+
+        it('reports invalid JSON, shapes and colours with their source', () => {
+            assert.throws(() => loader.parseJson('{', 'a.json'), /^Error: a\.json: invalid JSON/);
+            assert.throws(() => loader.parseJson('{}', 'a.json'), /expected an array of palettes/);
+            assert.throws(() => loader.parseJson('[{"bg": ["#000"], "accents": ["#fff"]}]', 'a.json'), /a\.json palettes\[0\]: missing "name"/);
+            assert.throws(() => loader.parseJson('[{"name": "x", "bg": [], "accents": ["#fff"]}]', 'a.json'), /"bg" must be a non-empty array/);
+            assert.throws(() => loader.parseJson('[{"name": "x", "bg": ["red"], "accents": ["#fff"]}]', 'a.json'), /bg\[0\] "red" is not a hex color/);
+        });
+    });
+
+    describe('parseGpl', () => {
+        it('reads swatches, the palette name and background swatches', () => {
+            const text = [
+                'GIMP Palette',
+                'Name: Dusk',
+                'Columns: 3',
+                '# comment',
+                '255 128   0 Accent one',
+                ' 10  20  30 background',
+                '0 0 255',
+                ''
+            ].join('\r\n');
+
+            assert.deepEqual(loader.parseGpl(text, 'dusk.gpl'), [
+                { name: 'Dusk', bg: ['#0a141e'], accents: ['#ff8000', '#0000ff'] }
+            ]);
+        });
+
+        it('uses the file name and the first swatch as background when nothing says otherwise', () => {
+            const [palette] = loader.parseGpl('GIMP Palette\n1 2 3 a\n4 5 6 b\n', 'night.gpl');
+            assert.deepEqual(palette, { name: 'night', bg: ['#010203'], accents: ['#040506'] });
+        });
+
+        it('rejects files without the header and bad swatch lines', () => {
+            assert.throws(() => loader.parseGpl('Palette\n1 2 3\n', 'x.gpl'), /not a GIMP palette/);
+            assert.throws(() => loader.parseGpl('GIMP Palette\n1 2\n', 'x.gpl'), /x\.gpl line 2: expected "R G B \[name\]"/);
+            assert.throws(() => loader.parseGpl('GIMP Palette\n1 2 3\n1 256 3\n', 'x.gpl'), /x\.gpl line 3: channel values must be 0-255/);
+        });
+    });
+
+    describe('parseAse', () => {
+        it('converts every colour model and turns groups into palettes', () => {
+            const buffer = buildAse([
+                { name: 'bg', model: 'RGB', values: [1, 0.5, 0] },
+                { name: 'gray', model: 'Gray', values: [0.2] },
+                { group: 'Print' },
+                { name: 'paper', model: 'LAB', values: [1, 0, 0] },
+                { name: 'cyan', model: 'CMYK', values: [1, 0, 0, 0] },
+                { name: 'ink', model: 'CMYK', values: [0, 0, 0, 1] },
+                { endGroup: true }
+            ]);
+
+            assert.deepEqual(loader.parseAse(buffer, 'brand.ase'), [
+                { name: 'brand', bg: ['#ff8000'], accents: ['#333333'] },
+                { name: 'Print', bg: ['#ffffff'], accents: ['#00ffff', '#000000'] }
+            ]);
+        });
+
+        it('converts Lab through D50 to sRGB', () => {
+            // Lab of sRGB #ff0000 under D50
+            assert.equal(loader.labToHex(54.29, 80.8, 69.89), '#ff0000');
+            assert.equal(loader.labToHex(0, 0, 0), '#000000');
+        });
+
+        it('rejects missing signatures, truncated blocks and unknown colour models', () => {
+            assert.throws(() => loader.parseAse(Buffer.from('nope, not a file'), 'x.ase'), /missing ASEF signature/);
+
+            const truncated = buildAse([{ name: 'a', model: 'RGB', values: [0, 0, 0] }]);
+            assert.throws(() => loader.parseAse(truncated.subarray(0, truncated.length - 4), 'x.ase'), /x\.ase: truncated at block 0/);
+
+            const unknown = buildAse([{ name: 'a', model: 'HSV', values: [0, 0, 0] }]);
+            assert.throws(() => loader.parseAse(unknown, 'x.ase'), /swatch "a": unsupported color model "HSV"/);
+        });
+    });
+
+    describe('loadFile and load', () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'palettes-'));
+        const gplPath = path.join(directory, 'sea.gpl');
+        const jsonPath = path.join(directory, 'brand.json');
+        fs.writeFileSync(gplPath, 'GIMP Palette\n0 0 128 bg\n0 200 200 foam\n');
+        fs.writeFileSync(jsonPath, JSON.stringify([{ name: 'brand', bg: ['#fff'], accents: ['#000'] }]));
+        after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+        it('picks the parser from the extension', () => {
+            assert.equal(loader.loadFile(gplPath)[0].name, 'sea');
+            assert.equal(loader.loadFile(jsonPath)[0].name, 'brand');
+            assert.throws(() => loader.loadFile(path.join(directory, 'missing.gpl')), /Palette file not found/);
+
+            const txtPath = path.join(directory, 'colors.txt');
+            fs.writeFileSync(txtPath, '');
+            assert.throws(() => loader.loadFile(txtPath), /Unsupported palette file format: \.txt/);
+        });
+
+        it('combines config palettes with the palette file', () => {
+            const palettes = loader.load({
+                palettes: [{ name: 'inline', bg: ['#111'], accents: ['#eee'] }],
+                palette: { file: gplPath }
+            });
+            assert.deepEqual(palettes.map(palette => palette.name), ['inline', 'sea']);
+        });
+
+        it('rejects empty sets, duplicate names and selections of unknown palettes', () => {
+            const brand = { name: 'brand', bg: ['#fff'], accents: ['#000'] };
+
+            assert.throws(() => loader.load({}), /needs at least one palette/);
+            assert.throws(() => loader.load({ palettes: brand }), /expected an array of palettes/);
+            assert.throws(() => loader.load({ palettes: [brand], palette: { file: jsonPath } }), /Duplicate palette name "brand"/);
+            assert.throws(() => loader.load({ palettes: [brand], palette: { selection: 'random' } }), /Unknown palette selection: random/);
+            assert.throws(() => loader.load({ palettes: [brand], palette: { selection: 'fixed', name: 'other' } }), /palette\.name "other" does not match any palette \(available: brand\)/);
+            assert.throws(
+                () => loader.load({ palettes: [brand], palette: { selection: 'per-category', categories: { News: 'other' } } }),
+                /palette\.categories\.News: unknown palette "other"/
+            );
+        });
+    });
+
+    describe('select', () => {
+        const palettes = ['a', 'b', 'c'].map(name => ({ name, bg: ['#000000'], accents: ['#ffffff'] }));
+
+        it('picks by content hash, by name or by the first listed category', () => {
+            assert.equal(loader.select(palettes, {}, {}, 7).name, 'b');
+            assert.equal(loader.select(palettes, { selection: 'fixed', name: 'c' }, {}, 7).name, 'c');
+
+            const perCategory = { selection: 'per-category', categories: { Travel: 'a', Code: 'c' } };
+            assert.equal(loader.select(palettes, perCategory, { categories: ['Misc', 'Code', 'Travel'] }, 7).name, 'c');
+            assert.equal(loader.select(palettes, perCategory, { categories: ['Misc'] }, 7).name, 'b');
+            assert.equal(loader.select(palettes, perCategory, {}, 9).name, 'a');
+        });
+    });
+});
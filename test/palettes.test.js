@@ -0,0 +1,50 @@
+/**
+ * Palettes tests
+ * The default palette mode by generator version and the generated palettes
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ContentAnalyzer = require('../src/core/contentAnalyzer');
+const SeedGenerator = require('../src/core/seedGenerator');
+const PaletteGenerator = require('../src/core/palettes');
+
+const paramsFor = generatorVersion => new SeedGenerator(
+    new ContentAnalyzer('<p>A short post about palettes.</p>').analyze(),
+    { generatorVersion }
+).generateVisualParams();
+
+describe('PaletteGenerator', () => {
+    it('defaults to generated palettes from version 5 and classic ones before', () => {
+        assert.equal(PaletteGenerator.getDefaultMode(undefined), 'generated');
+        assert.equal(PaletteGenerator.getDefaultMode(5), 'generated');
+        assert.equal(PaletteGenerator.getDefaultMode(4), 'classic');
+        assert.equal(PaletteGenerator.getDefaultMode(1), 'classic');
+    });
+
+    it('keeps the classic palette for a pinned older version without a palette mode', () => {
+        for (let generatorVersion = 1; generatorVersion < 5; generatorVersion++) {
+            const params = paramsFor(generatorVersion);
+            assert.deepEqual(PaletteGenerator.getPalette(params), PaletteGenerator.CLASSIC[params.paletteIndex], `version ${generatorVersion}`);
+        }
+
+        const current = paramsFor(undefined);
+        assert.deepEqual(PaletteGenerator.getPalette(current), PaletteGenerator.generate(current.contentHash, {}));
+        assert.ok(PaletteGenerator.SCHEMES.includes(PaletteGenerator.getPalette(current).scheme));
+    });
+
+    it('still honours an explicit palette mode at any version', () => {
+        const params = { ...paramsFor(3), paletteMode: 'generated' };
+        assert.deepEqual(PaletteGenerator.getPalette(params), PaletteGenerator.generate(params.contentHash, { generatorVersion: 3 }));
+        assert.throws(() => PaletteGenerator.getPalette({ ...params, paletteMode: 'custom' }), /requires a palette/);
+    });
+
+    it('draws generated palettes with the random generator of the version', () => {
+        const hash = 123456789;
+        const lcg = PaletteGenerator.generate(hash, { generatorVersion: 4 });
+
+        assert.deepEqual(PaletteGenerator.generate(hash, { generatorVersion: 1 }), lcg);
+        assert.notDeepEqual(PaletteGenerator.generate(hash, { generatorVersion: 5 }), lcg);
+        assert.deepEqual(PaletteGenerator.generate(hash, {}), PaletteGenerator.generate(hash, { generatorVersion: 5 }));
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Random tests
+ * Seeded generators by version, simplex noise and fractal sums
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SeededRandom, PerlinNoise, SimplexNoise, FractalNoise } = require('../src/core/random');
+
+const sequence = (rng, count) => Array.from({ length: count }, () => rng.random());
+
+describe('SeededRandom', () => {
+    it('keeps the version 1 linear congruential sequence', () => {
+        const rng = new SeededRandom(1);
+
+        assert.equal(rng.algorithm, 'lcg');
+        assert.equal(rng.random(), 1015568748 / 4294967296);
+        assert.equal(rng.random(), ((1015568748 * 1664525 + 1013904223) % 4294967296) / 4294967296);
+    });
+
+    it('repeats sfc32 sequences for a seed and stays in [0, 1)', () => {
+        const values = sequence(new SeededRandom(12345, 'sfc32'), 1000);
+
+        assert.deepEqual(sequence(new SeededRandom(12345, 'sfc32'), 1000), values);
+        assert.ok(values.every(value => value >= 0 && value < 1));
+        assert.notDeepEqual(values.slice(0, 10), sequence(new SeededRandom(12345, 'lcg'), 10));
+    });
+
+    it('gives unrelated sfc32 sequences for nearby seeds', () => {
+        const firsts = Array.from({ length: 100 }, (_, seed) => new SeededRandom(seed, 'sfc32').random());
+        const mean = firsts.reduce((sum, value) => sum + value, 0) / firsts.length;
+
+        // LCG first values climb steadily with the seed; sfc32 ones are spread out
+        assert.ok(Math.abs(mean - 0.5) < 0.1, `mean ${mean}`);
+        assert.ok(firsts.filter((value, i) => i > 0 && value > firsts[i - 1]).length < 70);
+    });
+
+    it('has balanced low bits with sfc32', () => {
+        const rng = new SeededRandom(7, 'sfc32');
+        let odd = 0;
+        for (let i = 0; i < 4000; i++) {
+            odd += rng.nextSfc32() & 1;
+        }
+        assert.ok(odd > 1800 && odd < 2200, `${odd} odd outputs`);
+    });
+
+    it('maps generator versions to algorithms and rejects unknown ones', () => {
+        assert.equal(SeededRandom.forVersion(1), 'lcg');
+        assert.equal(SeededRandom.forVersion(2), 'sfc32');
+        assert.equal(SeededRandom.forVersion(5), 'sfc32');
+        assert.equal(SeededRandom.forVersion(undefined), 'sfc32');
+        assert.throws(() => new SeededRandom(1, 'xorshift'), /Unknown random algorithm: xorshift \(available: lcg, sfc32\)/);
+    });
+});
+
+describe('SimplexNoise', () => {
+    const noise = new SimplexNoise(42, 'sfc32');
+    const points = Array.from({ length: 200 }, (_, i) => [i * 0.37, i * 0.23]);
+
+    it('is deterministic for a seed and differs between seeds', () => {
+        const values = points.map(([x, y]) => noise.get(x, y));
+
+        assert.deepEqual(points.map(([x, y]) => new SimplexNoise(42, 'sfc32').get(x, y)), values);
+        assert.notDeepEqual(points.map(([x, y]) => new SimplexNoise(43, 'sfc32').get(x, y)), values);
+    });
+
+    it('stays within 0-1 in two, three and four dimensions and uses the range', () => {
+        const values = points.flatMap(([x, y]) => [noise.get(x, y), noise.get3D(x, y, x - y), noise.get4D(x, y, y, x)]);
+
+        assert.ok(values.every(value => value >= 0 && value <= 1));
+        assert.ok(Math.min(...values) < 0.3 && Math.max(...values) > 0.7);
+    });
+
+    it('repeats over its periods', () => {
+        for (const [x, y] of points.slice(0, 20)) {
+            assert.ok(Math.abs(noise.get(x + 8, y + 6, 8, 6) - noise.get(x, y, 8, 6)) < 1e-9);
+            assert.ok(Math.abs(noise.get3D(x + 8, y, 0.5, 8, 6) - noise.get3D(x, y, 0.5, 8, 6)) < 1e-9);
+        }
+    });
+});
+
+describe('FractalNoise', () => {
+    const perlin = new PerlinNoise(42, 'sfc32');
+
+    it('fills in defaults and checks settings', () => {
+        assert.deepEqual(FractalNoise.resolveSettings({ octaves: null, gain: 0.4 }), { ...FractalNoise.DEFAULTS, gain: 0.4 });
+        assert.throws(() => FractalNoise.resolveSettings({ type: 'value' }), /Unknown noise type: value/);
+        assert.throws(() => FractalNoise.resolveSettings({ fractal: 'billow' }), /Unknown noise fractal: billow/);
+        assert.throws(() => FractalNoise.resolveSettings({ octaves: 9 }), /noise\.octaves must be an integer from 1 to 8, got 9/);
+        assert.throws(() => FractalNoise.resolveSettings({ lacunarity: 0.5 }), /noise\.lacunarity must be a number from 1 to 4/);
+        assert.throws(() => FractalNoise.resolveSettings({ gain: 0 }), /noise\.gain must be a number from 0 to 1, got 0/);
+    });
+
+    it('is the plain base noise for one octave of fbm', () => {
+        const fractal = new FractalNoise(perlin);
+        const simplex = new FractalNoise(perlin, { type: 'simplex' });
+
+        assert.equal(fractal.get(1.3, 2.7), perlin.get(1.3, 2.7));
+        assert.equal(simplex.get(1.3, 2.7), new SimplexNoise(42, 'sfc32').get(1.3, 2.7));
+    });
+
+    it('weights octaves by gain and shapes them by fractal type', () => {
+        const frequencies = [];
+        const fbm = new FractalNoise(perlin, { lacunarity: 3 });
+        const ridged = new FractalNoise(perlin, { fractal: 'ridged' });
+        const turbulence = new FractalNoise(perlin, { fractal: 'turbulence' });
+
+        // Octave values 1, 0 and 0 with amplitudes 1, 0.5 and 0.25
+        assert.equal(fbm.sum(3, (frequency, octave) => {
+            frequencies.push(frequency);
+            return octave === 0 ? 1 : 0;
+        }), 1 / 1.75);
+        assert.deepEqual(frequencies, [1, 3, 9]);
+
+        assert.equal(ridged.sum(2, () => 0.75), 0.25);
+        assert.equal(turbulence.sum(2, () => 0.75), 0.5);
+        assert.equal(ridged.sum(1, () => 0.5), 1);
+        assert.equal(turbulence.sum(1, () => 0.5), 0);
+    });
+
+    it('keeps every fractal type within 0-1 and repeating at the canvas edges', () => {
+        for (const type of FractalNoise.TYPES) {
+            for (const fractal of FractalNoise.FRACTALS) {
+                const noise = new FractalNoise(perlin, { type, fractal, octaves: 4 });
+
+                for (let i = 0; i < 50; i++) {
+                    const x = i * 7.3;
+                    const y = i * 3.1;
+                    const value = noise.getTileable(x, y, 0.01, 300, 200);
+
+                    assert.ok(value >= 0 && value <= 1, `${type} ${fractal}: ${value}`);
+                    assert.ok(Math.abs(noise.getTileable(x + 300, y + 200, 0.01, 300, 200) - value) < 1e-9, `${type} ${fractal} wraps`);
+                }
+            }
+        }
+    });
+
+    it('samples grids with the settings octaves', () => {
+        const noise = new FractalNoise(perlin, { type: 'simplex', octaves: 3 });
+        const grid = noise.sampleGrid(4, 3, 10, 0.02, 0.5, 1);
+
+        assert.equal(grid.length, 12);
+        assert.ok(Math.abs(grid[1 * 4 + 2] - noise.sum(3, (multiplier, octave) => noise.base.get3D(20 * 0.02 * multiplier, 10 * 0.02 * multiplier, 0.5 + octave * 17, 0, 0))) < 1e-6);
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Renderer tests
+ * Backgrounds drawn through the SVG adapter: the linear, radial, conic and mesh
+ * types, and the vertical gradient that generator versions before 4 keep
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SvgCanvas } = require('../src/core/svgCanvas');
+const Renderer = require('../src/core/renderer');
+
+const svgAdapter = { isVector: true, createCanvas: (width, height) => new SvgCanvas(width, height) };
+const colors = ['#ff0000', '#0000ff', '#00ff00'];
+
+/**
+ * Draw only the background of a 300 × 200 image and return its SVG canvas
+ */
+function drawBackground(generatorVersion, background, overrides = {}) {
+    const renderer = new Renderer({ seed: 42, generatorVersion, background, ...overrides }, 300, 200, svgAdapter);
+    const canvas = new SvgCanvas(300, 200);
+    renderer.drawBackground(canvas.getContext('2d'), colors);
+    return canvas;
+}
+
+/**
+ * Attributes and stops of the single gradient definition
+ */
+function readGradient(canvas) {
+    assert.equal(canvas.defs.length, 1);
+    const [, tag, attrs, stops] = canvas.defs[0].match(/^<(\w+) id="gradient0" gradientUnits="userSpaceOnUse" ([^>]*)>(.*)<\/\1>$/);
+    return {
+        tag,
+        coords: Object.fromEntries([...attrs.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, Number(value)])),
+        stops: [...stops.matchAll(/<stop offset="([^"]*)" stop-color="([^"]*)"\/>/g)].map(([, offset, color]) => [Number(offset), color])
+    };
+}
+
+const fullRect = '<path d="M0 0L300 0L300 200L0 200Z" fill="url(#gradient0)"/>';
+
+describe('Renderer backgrounds', () => {
+    it('keeps the vertical gradient of the first two colours before version 4, whatever the background settings', () => {
+        for (const version of [1, 2, 3]) {
+            for (const type of ['linear', 'radial', 'conic', 'mesh']) {
+                const canvas = drawBackground(version, { type, angle: 90 });
+                const gradient = readGradient(canvas);
+
+                assert.equal(gradient.tag, 'linearGradient', `version ${version}, ${type}`);
+                assert.deepEqual(gradient.coords, { x1: 0, y1: 0, x2: 0, y2: 200 });
+                assert.deepEqual(gradient.stops, [[0, '#ff0000'], [1, '#0000ff']]);
+                assert.deepEqual(canvas.elements, [fullRect]);
+            }
+        }
+    });
+
+    it('runs the old gradient to the second colour and back when tileable', () => {
+        const gradient = readGradient(drawBackground(3, null, { tileable: true }));
+
+        assert.deepEqual(gradient.stops, [[0, '#ff0000'], [0.5, '#0000ff'], [1, '#ff0000']]);
+    });
+
+    it('draws a linear gradient through every colour at the background angle', () => {
+        const canvas = drawBackground(4, { type: 'linear', angle: 90 });
+        const gradient = readGradient(canvas);
+
+        assert.equal(gradient.tag, 'linearGradient');
+        assert.deepEqual(gradient.coords, { x1: 0, y1: 100, x2: 300, y2: 100 });
+        // Eight stops per pair of colours follow the OKLab ramp
+        assert.equal(gradient.stops.length, 17);
+        assert.deepEqual(gradient.stops[0], [0, '#ff0000']);
+        assert.deepEqual(gradient.stops[8], [0.5, '#0000ff']);
+        assert.deepEqual(gradient.stops[16], [1, '#00ff00']);
+        assert.deepEqual(canvas.elements, [fullRect]);
+    });
+
+    it('draws a radial gradient from the centre out to the farthest corner', () => {
+        const canvas = drawBackground(5, { type: 'radial', centerX: 0.25, centerY: 0.5 });
+        const gradient = readGradient(canvas);
+
+        assert.equal(gradient.tag, 'radialGradient');
+        assert.deepEqual(gradient.coords, { fx: 75, fy: 100, fr: 0, cx: 75, cy: 100, r: 246.22 });
+        assert.deepEqual(gradient.stops[0], [0, '#ff0000']);
+        assert.deepEqual(gradient.stops[16], [1, '#00ff00']);
+        assert.deepEqual(canvas.elements, [fullRect]);
+    });
+
+    it('draws a conic gradient as wedges around the centre', () => {
+        const canvas = drawBackground(4, { type: 'conic', angle: 90, centerX: 0.25, centerY: 0.5 });
+
+        assert.deepEqual(canvas.defs, []);
+        assert.equal(canvas.elements.length, 180);
+        assert.ok(canvas.elements.every(element => /^<path d="M75 100L[-\d.]+ [-\d.]+L[-\d.]+ [-\d.]+Z" fill="#[0-9a-f]{6}"\/>$/.test(element)));
+        // At 90 degrees the first wedge starts pointing right, in the first colour
+        assert.ok(canvas.elements[0].startsWith('<path d="M75 100L575 100L'));
+        assert.ok(canvas.elements[0].endsWith('fill="#ff0000"/>'));
+    });
+
+    it('draws a mesh gradient as a blurred layer of cells reaching past the edges', () => {
+        const canvas = drawBackground(4, { type: 'mesh', warp: 0.5 });
+        const cells = canvas.elements.slice(1, -1);
+
+        assert.match(canvas.defs[0], /^<filter id="layer0" .*<feGaussianBlur in="SourceGraphic" stdDeviation="9.38"/);
+        assert.equal(canvas.elements[0], '<g filter="url(#layer0)">');
+        assert.equal(canvas.elements[canvas.elements.length - 1], '</g>');
+        // Cells of 300 / 32 units, two cells past every edge
+        assert.equal(cells.length, 36 * 26);
+        assert.ok(cells[0].startsWith('<path d="M-18.75 -18.75L'));
+        assert.ok(new Set(cells.map(cell => cell.match(/fill="([^"]*)"/)[1])).size > 10);
+        assert.deepEqual(drawBackground(4, { type: 'mesh', warp: 0.5 }).elements, canvas.elements);
+    });
+
+    it('falls back to a mirrored vertical linear gradient for tileable images', () => {
+        const gradient = readGradient(drawBackground(4, { type: 'radial' }, { tileable: true }));
+
+        assert.equal(gradient.tag, 'linearGradient');
+        assert.equal(gradient.coords.x1, gradient.coords.x2);
+        assert.deepEqual(gradient.stops[0], [0, '#ff0000']);
+        assert.deepEqual(gradient.stops[16], [0.5, '#00ff00']);
+        assert.deepEqual(gradient.stops[32], [1, '#ff0000']);
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Seed Generator tests
+ * Option checks, metrics and content seeding, and the content hash by generator version
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ContentAnalyzer = require('../src/core/contentAnalyzer');
+const SeedGenerator = require('../src/core/seedGenerator');
+const Sha256 = require('../src/core/sha256');
+
+const text = '<p>The quick brown fox</p>\n<p>jumps over the lazy dog.</p>';
+const metrics = new ContentAnalyzer(text).analyze();
+const paramsFor = (content, options) => new SeedGenerator(new ContentAnalyzer(content).analyze(), options).generateVisualParams();
+
+describe('SeedGenerator', () => {
+    describe('resolveOptions', () => {
+        it('defaults to metrics seeding, no salt and the current version', () => {
+            assert.deepEqual(SeedGenerator.resolveOptions(), { mode: 'metrics', salt: '', generatorVersion: SeedGenerator.GENERATOR_VERSION });
+            assert.deepEqual(SeedGenerator.resolveOptions({ mode: 'content', salt: null, generatorVersion: 2 }), { mode: 'content', salt: '', generatorVersion: 2 });
+        });
+
+        it('rejects unknown modes, non-string salts and unknown versions', () => {
+            assert.throws(() => SeedGenerator.resolveOptions({ mode: 'random' }), /Unknown seeding mode: random \(available: metrics, content\)/);
+            assert.throws(() => SeedGenerator.resolveOptions({ salt: 42 }), /seeding\.salt must be a string, got 42/);
+            assert.throws(() => SeedGenerator.resolveOptions({ generatorVersion: 0 }), /generatorVersion must be an integer from 1 to/);
+            assert.throws(() => SeedGenerator.resolveOptions({ generatorVersion: SeedGenerator.GENERATOR_VERSION + 1 }), /generatorVersion must be an integer/);
+            assert.throws(() => SeedGenerator.resolveOptions({ generatorVersion: '5' }), /got "5"/);
+        });
+    });
+
+    describe('metrics seeding', () => {
+        it('seeds from the word and character counts', () => {
+            const { wordCount, characters, avgWordLength } = metrics;
+            const seed = new SeedGenerator(metrics).generateSeed();
+
+            assert.equal(seed, Math.floor(wordCount * 137 + characters * 31 + avgWordLength * 17));
+        });
+
+        it('ignores the salt and keeps the hash of the bare text', () => {
+            const plain = new SeedGenerator(metrics).generateVisualParams();
+            const salted = new SeedGenerator(metrics, { salt: 'my-blog' }).generateVisualParams();
+
+            assert.equal(salted.seed, plain.seed);
+            assert.equal(plain.contentHash, new SeedGenerator(metrics).hashContent(metrics.cleanContent));
+            assert.equal(salted.contentHash, plain.contentHash);
+        });
+    });
+
+    describe('content seeding', () => {
+        it('seeds from the first 32 bits of the salted digest of the normalized text', () => {
+            const digest = Sha256.digest(`my-blog\u0000${metrics.cleanContent}`);
+            const seed = new SeedGenerator(metrics, { mode: 'content', salt: 'my-blog' }).generateSeed();
+
+            assert.equal(seed, Buffer.from(digest).readUInt32BE(0));
+        });
+
+        it('ignores markup and whitespace but not wording', () => {
+            const options = { mode: 'content' };
+            const params = paramsFor(text, options);
+            const reformatted = paramsFor('The quick   brown fox <br>jumps over the lazy dog.', options);
+            const edited = paramsFor('The quick brown fox jumps over the lazy cat.', options);
+
+            assert.equal(reformatted.seed, params.seed);
+            assert.equal(reformatted.contentHash, params.contentHash);
+            assert.notEqual(edited.seed, params.seed);
+            assert.notEqual(edited.contentHash, params.contentHash);
+        });
+
+        it('treats composed and decomposed accents as the same text', () => {
+            const options = { mode: 'content' };
+            const composed = paramsFor('Caf\u00e9 culture', options);
+            const decomposed = paramsFor('Cafe\u0301 culture', options);
+
+            assert.equal(decomposed.seed, composed.seed);
+            assert.equal(decomposed.contentHash, composed.contentHash);
+        });
+
+        it('takes the content hash from the salted digest, so the salt changes the palette', () => {
+            const digest = Sha256.digest(`my-blog\u0000${metrics.cleanContent}`);
+            const params = new SeedGenerator(metrics, { mode: 'content', salt: 'my-blog' }).generateVisualParams();
+
+            assert.equal(params.contentHash, Buffer.from(digest).readUInt32BE(4) >>> 1);
+            assert.equal(params.paletteIndex, params.contentHash % 10);
+
+            // Different salts pick different palettes for at least some posts
+            const posts = ['First post', 'Second post', 'Third post', 'Fourth post', 'Fifth post'];
+            const indices = salt => posts.map(post => paramsFor(post, { mode: 'content', salt }).paletteIndex);
+            assert.notDeepEqual(indices('blog-a'), indices('blog-b'));
+        });
+
+        it('keeps the unsalted text hash before generator version 5', () => {
+            const bare = new SeedGenerator(metrics).hashContent(metrics.cleanContent);
+
+            for (let generatorVersion = 1; generatorVersion < 5; generatorVersion++) {
+                const params = new SeedGenerator(metrics, { mode: 'content', salt: 'my-blog', generatorVersion }).generateVisualParams();
+                assert.equal(params.contentHash, bare, `version ${generatorVersion}`);
+                assert.equal(params.generatorVersion, generatorVersion);
+            }
+        });
+    });
+});
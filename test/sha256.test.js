@@ -0,0 +1,36 @@
+/**
+ * SHA-256 tests
+ * Digests checked against the FIPS 180-2 examples and Node's crypto module
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Sha256 = require('../src/core/sha256');
+
+describe('Sha256', () => {
+    it('matches the published test vectors', () => {
+        assert.equal(Sha256.hex(''), 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+        assert.equal(Sha256.hex('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        assert.equal(
+            Sha256.hex('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'),
+            '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1'
+        );
+    });
+
+    it('matches Node crypto across padding boundaries and for UTF-8 text', () => {
+        const messages = [55, 56, 63, 64, 65, 119, 120, 1000].map(length => 'a'.repeat(length));
+        messages.push('Grüße, 世界 🎨', '\u0000salted');
+
+        for (const message of messages) {
+            const expected = crypto.createHash('sha256').update(message, 'utf8').digest();
+            assert.deepEqual(Buffer.from(Sha256.digest(message)), expected, `${message.length} characters`);
+        }
+    });
+
+    it('returns a 32-byte digest', () => {
+        const digest = Sha256.digest('abc');
+        assert.ok(digest instanceof Uint8Array);
+        assert.equal(digest.length, 32);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Smart Crop tests
+ * Candidate windows, summed-area tables and picking the busiest region
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SmartCrop = require('../src/core/smartCrop');
+
+/**
+ * Flat grey image with a black and white checkerboard in one square region
+ */
+function imageWithDetail(width, height, region) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const inside = x >= region.x && x < region.x + region.size && y >= region.y && y < region.y + region.size;
+            const value = inside ? ((Math.floor(x / 8) + Math.floor(y / 8)) % 2) * 255 : 128;
+            data.set([value, value, value, 255], (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+describe('SmartCrop', () => {
+    it('merges weight overrides with the defaults', () => {
+        const smartCrop = new SmartCrop({ steps: 4, weights: { edge: 1 } });
+
+        assert.equal(smartCrop.options.steps, 4);
+        assert.equal(smartCrop.options.analysisSize, SmartCrop.defaultOptions.analysisSize);
+        assert.deepEqual(smartCrop.options.weights, { edge: 1, variance: 0.3, density: 0.3 });
+    });
+
+    it('offers windows with the target aspect ratio, inside the master and no smaller than the target', () => {
+        const candidates = new SmartCrop({ steps: 4 }).getCandidates(1200, 1200, 1200, 628);
+        const widths = [...new Set(candidates.map(candidate => candidate.width))];
+
+        // Only the full width fits, as no window may be smaller than the target
+        assert.deepEqual(widths, [1200]);
+        assert.deepEqual(candidates.map(candidate => candidate.y), [0, 143, 286, 429, 572]);
+
+        for (const candidate of new SmartCrop().getCandidates(2400, 2400, 1200, 628)) {
+            assert.ok(candidate.width >= 1200);
+            assert.ok(Math.abs(candidate.width / candidate.height - 1200 / 628) < 0.01);
+            assert.ok(candidate.x >= 0 && candidate.x + candidate.width <= 2400);
+            assert.ok(candidate.y >= 0 && candidate.y + candidate.height <= 2400);
+        }
+    });
+
+    it('builds summed-area tables with a zero first row and column', () => {
+        const values = [1, 2, 3, 4, 5, 6];
+        const table = new SmartCrop().summedArea(3, 2, index => values[index]);
+
+        assert.deepEqual(Array.from(table), [0, 0, 0, 0, 0, 1, 3, 6, 0, 5, 12, 21]);
+    });
+
+    it('crops towards the detailed region of the image', () => {
+        const region = { x: 300, y: 280, size: 80 };
+        const crop = new SmartCrop().findCrop(imageWithDetail(400, 400, region), 100, 100);
+
+        assert.ok(crop.width < 400, 'a window smaller than the master scores higher');
+        assert.ok(crop.x <= region.x && crop.x + crop.width >= region.x + region.size, `x ${crop.x}-${crop.x + crop.width}`);
+        assert.ok(crop.y <= region.y && crop.y + crop.height >= region.y + region.size, `y ${crop.y}-${crop.y + crop.height}`);
+        assert.equal(crop.edge, 1);
+        assert.equal(crop.density, 1);
+    });
+
+    it('keeps the whole master when only one window fits', () => {
+        const crop = new SmartCrop().findCrop(imageWithDetail(200, 100, { x: 0, y: 0, size: 40 }), 200, 100);
+        assert.deepEqual({ x: crop.x, y: crop.y, width: crop.width, height: crop.height }, { x: 0, y: 0, width: 200, height: 100 });
+    });
+});
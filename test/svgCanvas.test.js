@@ -0,0 +1,136 @@
+/**
+ * SVG Canvas tests
+ * Recording shapes once and placing them with <use>, and symmetric and tileable SVG output
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SvgCanvas } = require('../src/core/svgCanvas');
+const Renderer = require('../src/core/renderer');
+const Symmetry = require('../src/core/symmetry');
+const ContentAnalyzer = require('../src/core/contentAnalyzer');
+const SeedGenerator = require('../src/core/seedGenerator');
+
+const svgAdapter = { isVector: true, createCanvas: (width, height) => new SvgCanvas(width, height) };
+
+/**
+ * Render params for a short post with the given overrides
+ */
+function renderParams(overrides) {
+    const metrics = new ContentAnalyzer('<p>Mirrors and tiles.</p><p>A second paragraph.</p>').analyze();
+    return { ...new SeedGenerator(metrics).generateVisualParams(), texture: false, ...overrides };
+}
+
+describe('SvgCanvas recordings', () => {
+    it('defines recorded shapes once and places them under the current transform', () => {
+        const canvas = new SvgCanvas(100, 100);
+        const ctx = canvas.getContext('2d');
+        const recording = ctx.record(() => ctx.fillRect(0, 0, 10, 10));
+
+        ctx.replay(recording);
+        ctx.translate(20, 30);
+        ctx.replay(recording);
+
+        assert.deepEqual(canvas.elements, ['<use href="#shapes0"/>', '<use href="#shapes0" transform="matrix(1 0 0 1 20 30)"/>']);
+        assert.deepEqual(canvas.defs, ['<g id="shapes0"><path d="M0 0L10 0L10 10L0 10Z" fill="#000000"/></g>']);
+    });
+
+    it('places shapes relative to the transform they were recorded under', () => {
+        const canvas = new SvgCanvas(100, 100);
+        const ctx = canvas.getContext('2d');
+        ctx.scale(2, 2);
+        const recording = ctx.record(() => ctx.fillRect(0, 0, 10, 10));
+
+        ctx.replay(recording);
+        ctx.transform(-1, 0, 0, 1, 50, 0);
+        ctx.replay(recording);
+
+        assert.match(canvas.defs[0], /d="M0 0L20 0L20 20L0 20Z"/);
+        assert.deepEqual(canvas.elements, ['<use href="#shapes0"/>', '<use href="#shapes0" transform="matrix(-1 0 0 1 100 0)"/>']);
+    });
+
+    it('keeps layer groups as markup and clips copies made under a newer clip', () => {
+        const canvas = new SvgCanvas(100, 100);
+        const ctx = canvas.getContext('2d');
+        const recording = ctx.record(() => {
+            ctx.beginLayer({ opacity: 0.5, blend: 'multiply', blur: 0, shadow: null });
+            ctx.fillRect(0, 0, 10, 10);
+            ctx.endLayer();
+            ctx.fillRect(5, 5, 10, 10);
+        });
+
+        ctx.rect(0, 0, 50, 50);
+        ctx.clip();
+        ctx.replay(recording);
+
+        assert.deepEqual(canvas.elements, [
+            '<g opacity="0.5" style="mix-blend-mode:multiply">',
+            '<g clip-path="url(#clip0)"><use href="#shapes0"/></g>',
+            '</g>',
+            '<g clip-path="url(#clip0)"><use href="#shapes1"/></g>'
+        ]);
+    });
+
+    it('nests recordings', () => {
+        const canvas = new SvgCanvas(100, 100);
+        const ctx = canvas.getContext('2d');
+        const outer = ctx.record(() => {
+            const inner = ctx.record(() => ctx.fillRect(0, 0, 1, 1));
+            ctx.save();
+            ctx.replay(inner);
+            ctx.translate(1, 0);
+            ctx.replay(inner);
+            ctx.restore();
+        });
+        ctx.replay(outer);
+
+        assert.deepEqual(canvas.elements, ['<use href="#shapes1"/>']);
+        assert.equal(canvas.defs[1], '<g id="shapes1"><use href="#shapes0"/><use href="#shapes0" transform="matrix(1 0 0 1 1 0)"/></g>');
+    });
+});
+
+/**
+ * Renderer whose createStyle() calls are counted in renderer.styleCount
+ */
+function countingRenderer(params) {
+    const renderer = new Renderer(params, 300, 200, svgAdapter);
+    const createStyle = renderer.createStyle.bind(renderer);
+    renderer.styleCount = 0;
+    renderer.createStyle = rng => {
+        renderer.styleCount++;
+        return createStyle(rng);
+    };
+    return renderer;
+}
+
+describe('Symmetric and tileable SVG output', () => {
+    for (const symmetry of ['mirror-x', 'quad', 'kaleidoscope']) {
+        it(`draws the style once and places it in every ${symmetry} segment`, () => {
+            const params = renderParams({ style: 'circle-packing', symmetry, paletteMode: 'classic' });
+            const renderer = countingRenderer(params);
+            const svg = renderer.render().toSVG();
+            const segments = svg.match(/<g clip-path="url\(#clip\d+\)"><use href="#shapes0"/g) || [];
+
+            assert.equal(renderer.styleCount, 1);
+            assert.equal(segments.length, Symmetry.getSegments(symmetry, 300, 200, params.shapeVertices).length);
+        });
+    }
+
+    it('draws a tileable style once and places it at every neighbouring tile', () => {
+        const renderer = countingRenderer(renderParams({ style: 'mosaic', symmetry: 'none', tileable: true, paletteMode: 'classic' }));
+        const svg = renderer.render().toSVG();
+
+        assert.equal(renderer.styleCount, 1);
+        assert.equal((svg.match(/<use href="#shapes0"/g) || []).length, 9);
+        assert.match(svg, /<use href="#shapes0" transform="matrix\(1 0 0 1 -300 -200\)"\/>/);
+        assert.match(svg, /<use href="#shapes0" transform="matrix\(1 0 0 1 300 200\)"\/>/);
+    });
+
+    it('records a tileable style once under symmetry too', () => {
+        const renderer = countingRenderer(renderParams({ style: 'mosaic', symmetry: 'quad', tileable: true, paletteMode: 'classic' }));
+        const svg = renderer.render().toSVG();
+
+        assert.equal(renderer.styleCount, 1);
+        assert.equal((svg.match(/<g clip-path="url\(#clip\d+\)"><use href="#shapes1"/g) || []).length, 4);
+    });
+});